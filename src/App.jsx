@@ -4,13 +4,18 @@ import Dashboard from './components/Dashboard';
 import Sidebar from './components/Sidebar';
 import SettingsModal from './components/SettingsModal';
 import { solveCPT } from './lib/solver';
+import { normalizeAllocationRules } from './lib/phases';
+import { resolveCategories } from './lib/categories';
 import {
   getConfiguration,
   saveConfiguration,
   DEFAULT_ALLOCATION_RULES,
   DEFAULT_CASHFLOW_PROFILES,
+  DEFAULT_CALL_PROFILES,
+  DEFAULT_DISTRIBUTION_PROFILES,
   DEFAULT_NOTIFICATION_EMAIL,
-  NET_POSITION_PROFILES
+  DEFAULT_RELAXATION_SETTINGS,
+  splitNetProfile
 } from './config/dummyData';
 
 function App() {
@@ -21,14 +26,25 @@ function App() {
   // Use lazy init to avoid effect-based state setting
   const [config, setConfig] = useState(() => {
     const loaded = getConfiguration();
-    // Maintain backward compatibility for netPositions
-    if (loaded && !loaded.netPositions) {
-      loaded.netPositions = NET_POSITION_PROFILES;
+    // Configs saved with the legacy phase1/phase2/phase3 object: convert to a phase list
+    if (loaded && loaded.rules && !Array.isArray(loaded.rules)) {
+      loaded.rules = normalizeAllocationRules(loaded.rules);
+    }
+    // Configs saved before gross curves existed: split the net profile (negative = call)
+    if (loaded && !loaded.callProfiles) {
+      loaded.callProfiles = {};
+      loaded.distributionProfiles = {};
+      Object.keys(loaded.profiles || {}).forEach(cat => {
+        const { calls, distributions } = splitNetProfile(loaded.profiles[cat]);
+        loaded.callProfiles[cat] = calls;
+        loaded.distributionProfiles[cat] = distributions;
+      });
     }
     return loaded || {
       profiles: DEFAULT_CASHFLOW_PROFILES,
+      callProfiles: DEFAULT_CALL_PROFILES,
+      distributionProfiles: DEFAULT_DISTRIBUTION_PROFILES,
       rules: DEFAULT_ALLOCATION_RULES,
-      netPositions: NET_POSITION_PROFILES,
       notificationEmail: DEFAULT_NOTIFICATION_EMAIL
     };
   });
@@ -42,7 +58,21 @@ function App() {
       startYear: 2026,
       horizon: 15,
       maxYearlyChange: 0.20,
-      firstYearCap: 0.25
+      firstYearCap: 0.25,
+      mixOptimization: 'none',
+      liquidityBuffer: { mode: 'none', value: 0, schedule: {} },
+      commitmentStrategy: 'fullCoverage',
+      maxOvercommitRatio: 1.3,
+      taxSettings: { enabled: false, solvencyAfterTax: false, participationExemption: {} },
+      cashYield: { rate: 0, schedule: {} },
+      externalFlows: [],
+      legacyPortfolio: [],
+      fundPlanning: 'categories',
+      pacingMode: 'solvency',
+      targetExposure: { share: 0.7, fromYear: null, schedule: {} },
+      optimizer: { mode: 'greedy', objective: 'maxCommitment', targetNav: 0.6 },
+      relaxation: DEFAULT_RELAXATION_SETTINGS,
+      granularity: 'annual'
     };
     if (saved) {
       try {
@@ -60,14 +90,19 @@ function App() {
     return defaults;
   });
 
+  // Stored selection; categories it does not know yet (added to the registry later) start selected
   const [categories, setCategories] = useState(() => {
     const saved = localStorage.getItem('cpt_dashboard_categories');
-    return saved ? JSON.parse(saved) : {
-      secondaries: true,
-      pe: true,
-      vc: true
-    };
+    try {
+      return saved ? JSON.parse(saved) || {} : {};
+    } catch {
+      return {};
+    }
   });
+  const selectedCategories = React.useMemo(() => ({
+    ...Object.fromEntries(resolveCategories(config).map(category => [category.id, true])),
+    ...categories
+  }), [config, categories]);
 
   // New: Manual Overrides State
   // Structure: { [yearIndex]: { category: amount } }
@@ -95,27 +130,46 @@ function App() {
   }, [categories]);
 
   // 3. Derived State: Run Solver when dependencies change
+  // Solver input, shared with the sensitivity analysis in the dashboard
+  const solverInput = React.useMemo(() => ({
+    availableCapital: params.availableCapital,
+    startYear: params.startYear,
+    planningHorizon: params.horizon,
+    projectionHorizon: 50,
+    config: config,
+    selectedCategories,
+    maxYearlyChange: params.maxYearlyChange,
+    firstYearCap: params.firstYearCap,
+    mixOptimization: params.mixOptimization,
+    liquidityBuffer: params.liquidityBuffer,
+    commitmentStrategy: params.commitmentStrategy,
+    maxOvercommitRatio: params.maxOvercommitRatio,
+    taxSettings: params.taxSettings,
+    cashYield: params.cashYield,
+    externalFlows: params.externalFlows,
+    legacyPortfolio: params.legacyPortfolio,
+    fundPlanning: params.fundPlanning,
+    pacingMode: params.pacingMode,
+    targetExposure: params.targetExposure,
+    optimizer: params.optimizer,
+    relaxation: params.relaxation,
+    granularity: params.granularity,
+    manualOverrides: manualOverrides
+  }), [params, selectedCategories, config, manualOverrides]);
+
   // Use useMemo instead of useEffect+useState to avoid double renders and side-effects during render
-  const result = React.useMemo(() => {
-    if (!params.availableCapital || params.availableCapital <= 0) return null;
+  const { result, solverError } = React.useMemo(() => {
+    if (!params.availableCapital || params.availableCapital <= 0) return { result: null, solverError: null };
 
     try {
-      return solveCPT({
-        availableCapital: params.availableCapital,
-        startYear: params.startYear,
-        planningHorizon: params.horizon,
-        projectionHorizon: 50,
-        config: config,
-        selectedCategories: categories,
-        maxYearlyChange: params.maxYearlyChange,
-        firstYearCap: params.firstYearCap,
-        manualOverrides: manualOverrides
-      });
+      const solved = solveCPT(solverInput);
+      return { result: solved, solverError: null };
     } catch (err) {
       console.error("Solver Error:", err);
-      return null;
+      // Surface configuration errors (e.g. invalid phases) instead of an endless loading state
+      return { result: null, solverError: err.message };
     }
-  }, [params, categories, config, manualOverrides]);
+  }, [params.availableCapital, solverInput]);
 
   const handleConfigChange = (newConfig) => {
     setConfig(newConfig);
@@ -129,7 +183,8 @@ function App() {
           <Sidebar
             params={params}
             setParams={setParams}
-            categories={categories}
+            config={config}
+            categories={selectedCategories}
             setCategories={setCategories}
             result={result}
           />
@@ -137,8 +192,10 @@ function App() {
         main={
           <Dashboard
             result={result}
+            error={solverError}
             params={params}
             config={config}
+            solverInput={solverInput}
             onOpenSettings={() => setIsSettingsOpen(true)}
             manualOverrides={manualOverrides}
             setManualOverrides={setManualOverrides}
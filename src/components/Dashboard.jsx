@@ -1,8 +1,13 @@
 import React, { useState } from 'react';
 import {
-    ComposedChart, Area, Bar, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine
+    ComposedChart, BarChart, Area, Bar, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine
 } from 'recharts';
 import { Settings, Info } from 'lucide-react';
+import { resolveFundProfile, fundOwnCurves } from '../lib/fundPipeline';
+import { runMonteCarlo } from '../lib/monteCarlo';
+import { runStressTests } from '../lib/stressTests';
+import { runSensitivity, rankSensitivity, SENSITIVITY_OUTPUTS } from '../lib/sensitivity';
+import { QUARTERS_PER_YEAR, interpolateQuarterlyProfile } from '../lib/quarterly';
 
 const KPICard = ({ label, value, subtext, highlight }) => (
     <div className="bg-white p-5 rounded-xl shadow-sm border border-gray-100 flex flex-col justify-between h-full">
@@ -16,7 +21,7 @@ const KPICard = ({ label, value, subtext, highlight }) => (
     </div>
 );
 
-export default function Dashboard({ result, params, config, onOpenSettings, manualOverrides, setManualOverrides }) {
+export default function Dashboard({ result, error, params, config, solverInput, onOpenSettings, manualOverrides, setManualOverrides }) {
     const [chartHorizon, setChartHorizon] = useState(15);
     // Track editing state to prevent jitter
     const [editingCell, setEditingCell] = useState(null); // { yearIndex, category }
@@ -24,6 +29,39 @@ export default function Dashboard({ result, params, config, onOpenSettings, manu
     const [yAxisMax, setYAxisMax] = useState(null); // null means auto
     // State for actively editing commitment input (stores raw string)
     const [editingInputValue, setEditingInputValue] = useState(null);
+    // Monte Carlo uncertainty bands around the base projection
+    const [showBands, setShowBands] = useState(false);
+    // Chart and matrix per year or per quarter (only when the plan was projected per quarter)
+    const [aggregation, setAggregation] = useState('annual');
+
+    // Re-run only when the plan or the configuration changes
+    const simulation = React.useMemo(() => {
+        if (!showBands || !result) return null;
+        return runMonteCarlo({
+            result,
+            availableCapital: params.availableCapital,
+            startYear: params.startYear,
+            config,
+            categoryProfiles: result.categoryProfiles
+        });
+    }, [showBands, result, params.availableCapital, params.startYear, config]);
+
+    // Sensitivity analysis reruns the solver ~20 times, so only on request (button), never on every input change.
+    // The run keeps the input it was computed for, so a changed plan shows as outdated until recalculated.
+    const [sensitivityRun, setSensitivityRun] = useState(null); // { input, analysis }
+    const [sensitivityOutput, setSensitivityOutput] = useState('totalCommitted');
+    const sensitivity = sensitivityRun?.analysis || null;
+    const sensitivityOutdated = sensitivityRun !== null && sensitivityRun.input !== solverInput;
+    const handleRunSensitivity = () => {
+        if (!result || !solverInput) return;
+        setSensitivityRun({ input: solverInput, analysis: runSensitivity({ input: solverInput }) });
+    };
+
+    // Stress scenarios re-project the current plan; no re-optimisation
+    const stress = React.useMemo(() => {
+        if (!result) return null;
+        return runStressTests({ result, availableCapital: params.availableCapital, startYear: params.startYear, config, categoryProfiles: result.categoryProfiles });
+    }, [result, params.availableCapital, params.startYear, config]);
 
     // Sync chart horizon with investment horizon if investment horizon increases
     React.useEffect(() => {
@@ -32,17 +70,179 @@ export default function Dashboard({ result, params, config, onOpenSettings, manu
         }
     }, [params?.horizon, chartHorizon]);
 
-    if (!result) return <div className="p-10 text-center text-gray-500">Laden...</div>;
+    if (!result) {
+        if (error) {
+            return (
+                <div className="p-10 text-center text-red-600 text-sm">
+                    Berekening mislukt: {error}
+                    <button onClick={onOpenSettings} className="block mx-auto mt-4 text-xs font-bold text-[#0B1E3D] hover:underline">
+                        Open Instellingen
+                    </button>
+                </div>
+            );
+        }
+        return <div className="p-10 text-center text-gray-500">Laden...</div>;
+    }
 
     const { metrics, annualReport } = result;
-    const profiles = config?.profiles || {}; // Safe access
+    // Curves the plan was projected with (net of fees when enabled; in quarterly mode the annualised quarterly curves)
+    const categoryProfiles = result.categoryProfiles;
+
+    // Columns of the chart and the matrix: years, or quarters ("2026 Q1") in the quarterly view
+    const showQuarters = aggregation === 'quarterly' && !!result.quarterlyReport;
+    const reportRows = (showQuarters ? result.quarterlyReport.slice(0, chartHorizon * QUARTERS_PER_YEAR) : annualReport.slice(0, chartHorizon))
+        .map(r => ({ ...r, period: r.quarter ? `${r.year} Q${r.quarter}` : r.year }));
+    const periodProfiles = showQuarters ? result.quarterlyProfiles : categoryProfiles;
+    // Periods between a commitment and a report row (the commitment is made in the first quarter of its year)
+    const periodOffset = (comm, r) => (showQuarters ? (r.year - comm.year) * QUARTERS_PER_YEAR + r.quarter - 1 : r.year - comm.year);
+
+    // Call/distribution of a category in a commitment, idx periods after the commitment.
+    // Pipeline plans use each fund's own profile and the category curves for the unallocated rest.
+    const fundCurves = (fund) => {
+        if (!fundOwnCurves(fund)) return periodProfiles[fund.category];
+        const curves = resolveFundProfile(fund, categoryProfiles, config);
+        return showQuarters ? interpolateQuarterlyProfile(curves, config?.quarterlySplit) : curves;
+    };
+    const fundProfileLabel = (fund) => {
+        const own = fundOwnCurves(fund);
+        if (!own) return 'Categorieprofiel';
+        return own.approximate ? 'Fondsspecifiek profiel (netto, benadering)' : 'Fondsspecifiek profiel';
+    };
+    const categoryFlowAt = (comm, cat, idx) => {
+        if (idx < 0) return { call: 0, distribution: 0 };
+        const parts = comm.funds?.length
+            ? [
+                ...comm.funds.filter(f => f.category === cat).map(f => ({ amount: f.amount, curves: fundCurves(f) })),
+                { amount: comm.unallocated?.[cat] || 0, curves: periodProfiles[cat] }
+            ]
+            : [{ amount: comm.breakdown[cat], curves: periodProfiles[cat] }];
+        return parts.reduce((acc, part) => ({
+            call: acc.call + part.amount * (part.curves.calls[idx] || 0),
+            distribution: acc.distribution + part.amount * (part.curves.distributions[idx] || 0)
+        }), { call: 0, distribution: 0 });
+    };
+
+    // Category registry the plan was made with
+    const categoryLabels = Object.fromEntries(result.categories.map(category => [category.id, category.shortLabel]));
+    const ticketReasonLabel = (a) => {
+        if (a.reason === 'maxTicket') return 'begrensd op max. ticket x aantal commitments';
+        if (a.reason === 'belowMinimum') return a.mergedInto ? `onder min. ticket, samengevoegd met ${categoryLabels[a.mergedInto]}` : 'onder min. ticket, vervallen';
+        if (a.reason === 'merged') return `aangevuld vanuit ${categoryLabels[a.mergedFrom]}`;
+        if (a.reason === 'ticketSplit') return 'verlaagd tot een bedrag dat in geldige tickets past';
+        return 'afgerond';
+    };
+    const optimizerObjectiveLabel = { maxCommitment: 'totaal commitment', minCashDrag: 'gem. cash', trackNav: 'gem. afwijking NAV doel' };
+    const bindingLabels = {
+        firstYearCap: 'eerstejaars cap',
+        growthCap: 'max. jaarlijkse groei',
+        restartFloor: 'herstartvloer (5% van kapitaal)',
+        hardCap: 'harde cap',
+        solvency: 'solvabiliteit',
+        buffer: 'liquiditeitsbuffer',
+        targetExposure: 'doel-exposure',
+        lpPlan: 'hele-horizon optimalisatie',
+        ticketMinimum: 'minimum ticket',
+        ticketRounding: 'ticketgrootte (max. ticket / afronding)',
+        manual: 'handmatig bedrag'
+    };
 
     // Formatting Helpers
     const formatEuro = (val) => new Intl.NumberFormat('nl-NL', { style: 'currency', currency: 'EUR', maximumFractionDigits: 0 }).format(val);
+    const formatPct = (val) => (val === null || val === undefined ? '-' : `${(val * 100).toFixed(1)}%`);
     const formatCompact = (val) => new Intl.NumberFormat('nl-NL', { style: 'currency', currency: 'EUR', notation: "compact", maximumFractionDigits: 1 }).format(val);
 
-    // Filter Data for Chart
-    const chartData = annualReport.slice(0, chartHorizon);
+    // Sensitivity analysis labels and formatting
+    const sensitivityOutputLabels = {
+        totalCommitted: 'Totaal Gecommitteerd',
+        minCash: 'Laagste Cash',
+        finalTotalValue: 'Eindwaarde',
+        portfolioMOIC: 'MOIC',
+        fullyCommittedYear: 'Volledig Gecommitteerd'
+    };
+    const sensitivityInputLabel = (item) => ({
+        availableCapital: 'Beschikbaar kapitaal',
+        maxYearlyChange: 'Max. jaarlijkse wijziging',
+        firstYearCap: 'Max. eerste jaar',
+        planningHorizon: 'Planningshorizon',
+        profileScale: `Distributies & NAV ${categoryLabels[item.category]}`,
+        categoryRatio: `Ratio ${categoryLabels[item.category]}`
+    })[item.input];
+    const formatSensitivityInput = (item, value) => {
+        if (item.input === 'availableCapital') return formatCompact(value);
+        if (item.input === 'planningHorizon') return `${value} jr`;
+        if (item.input === 'profileScale') return `${Math.round(value * 100)}%`;
+        if (item.input === 'categoryRatio') return `${value > 0 ? '+' : ''}${Math.round(value * 100)} pp`;
+        return formatPct(value);
+    };
+    const formatSensitivityValue = (output, value) => {
+        if (value === null || value === undefined) return '-';
+        if (output === 'portfolioMOIC') return `${value.toFixed(2)}x`;
+        if (output === 'fullyCommittedYear') return value;
+        return formatCompact(value);
+    };
+    const formatSensitivityDelta = (value) => {
+        if (sensitivityOutput === 'portfolioMOIC') return `${value > 0 ? '+' : ''}${value.toFixed(2)}x`;
+        if (sensitivityOutput === 'fullyCommittedYear') return `${value > 0 ? '+' : ''}${value} jr`;
+        return formatCompact(value);
+    };
+    const tornadoRows = sensitivity
+        ? rankSensitivity(sensitivity, sensitivityOutput).map(row => ({ ...row, label: sensitivityInputLabel(row) }))
+        : [];
+
+    // Solver diagnostics per commitment (shown on hover) and the choice for the run without smoothing
+    const diagnosticsLabel = (d, year) => {
+        if (!d) return undefined;
+        const lines = [`Beperkt door: ${bindingLabels[d.binding] || d.binding}`];
+        if (d.limitBinding && d.limitBinding !== d.binding) lines.push(`Daarachter: ${bindingLabels[d.limitBinding] || d.limitBinding}`);
+        if (d.ticketLoss >= 1) lines.push(`Door ticketgrootte niet gecommit: ${formatEuro(d.ticketLoss)}`);
+        const quarterLabel = (quarter) => (quarter ? ` Q${quarter}` : '');
+        if (d.failYear !== null) lines.push(`Solvabiliteit faalt eerst in ${d.failYear}${quarterLabel(d.failQuarter)}${d.binding === 'manual' ? '' : ' bij +10k'}`);
+        lines.push(`Ruimte solvabiliteit: ${formatEuro(d.slack.solvency)}${d.slack.solvencyYear ? ` (krapst in ${d.slack.solvencyYear}${quarterLabel(d.slack.solvencyQuarter)})` : ''}`);
+        if (d.slack.smoothing !== null) lines.push(`Ruimte smoothing: ${formatEuro(d.slack.smoothing)}`);
+        lines.push(`Ruimte harde cap: ${formatEuro(d.slack.hardCap)}`);
+        if (loosenedByYear[year]) lines.push(`Smoothing versoepeld: ${limitChangeLabel(loosenedByYear[year])}`);
+        return lines.join('\n');
+    };
+    const relaxationLabel = (r) => {
+        if (!r) return null;
+        const minGain = `${Math.round((r.settings?.minGain ?? 0.2) * 100)}%`;
+        const minDeployment = `${Math.round((r.settings?.minDeployment ?? 0.8) * 100)}%`;
+        const minCashShare = `${Math.round((r.settings?.minCashShare ?? 0.1) * 100)}%`;
+        if (r.reason === 'moreCommitted' && r.mode === 'graduated') return `Smoothing in ${r.steps.length} ${r.steps.length === 1 ? 'stap' : 'stappen'} versoepeld: ${formatCompact(r.relaxedTotal)} i.p.v. ${formatCompact(r.smoothedTotal)} gecommit`;
+        if (r.reason === 'moreCommitted') return `Smoothing losgelaten: ${formatCompact(r.relaxedTotal)} i.p.v. ${formatCompact(r.smoothedTotal)} gecommit`;
+        if (r.reason === 'insufficientGain') return `Versoepelde run niet gekozen: ${formatCompact(r.relaxedTotal)} haalt ${minDeployment} niet en is minder dan ${minGain} meer dan ${formatCompact(r.smoothedTotal)}`;
+        if (r.reason === 'lowCash') return `Smoothing behouden: minder dan ${minCashShare} van het kapitaal in cash aan het einde van de planhorizon`;
+        if (r.reason === 'committedEnough') return `Smoothing behouden: minstens ${minDeployment} van het kapitaal gecommit`;
+        if (r.reason === 'ticketSize') return `Ticketgrootte blokkeert het plan in ${r.ticketBoundYears.join(', ')}: het toegestane bedrag valt onder het minimum ticket of de afronding. Verlaag het minimum ticket of verruim de smoothing`;
+        if (r.reason === 'smoothingNotBinding') return 'Smoothing behouden: geen jaar wordt door een smoothing-cap beperkt';
+        if (r.reason === 'disabled') return 'Versoepelen van smoothing staat uit';
+        if (r.reason === 'targetExposure') return 'Smoothing behouden: tempo volgt de doel-exposure';
+        if (r.reason === 'lpPlan') return 'Plan van de hele-horizon optimalisatie gebruikt';
+        return null;
+    };
+    // Loosened smoothing limits of the chosen plan, e.g. "Max. jaarlijkse groei 20% -> 30% in 2028, 2029"
+    const relaxationLimitLabels = { maxYearlyChange: 'Max. jaarlijkse groei', firstYearCap: 'Eerstejaars cap' };
+    const limitChangeLabel = (l) => `${relaxationLimitLabels[l.constraint]} ${formatPct(l.from)} → ${l.to === null ? 'vervallen' : formatPct(l.to)}`;
+    const loosenedLabel = (l) => `${limitChangeLabel(l)} in ${l.years.join(', ')}`;
+    const loosenedByYear = {};
+    (metrics.relaxation?.loosened || []).forEach(l => l.years.forEach(year => { loosenedByYear[year] = l; }));
+
+    // Filter Data for Chart (Monte Carlo bands are annual)
+    const chartData = reportRows.map((r, idx) => {
+        const band = showQuarters ? null : simulation?.years[idx];
+        if (!band) return r;
+        return {
+            ...r,
+            cashBand: [band.cash.p5, band.cash.p95],
+            cashP50: band.cash.p50,
+            navBand: [band.nav.p5, band.nav.p95],
+            shortfallProbability: band.shortfallProbability
+        };
+    });
+    const maxShortfallProbability = simulation
+        ? Math.max(...simulation.years.slice(0, chartHorizon).map(y => y.shortfallProbability))
+        : 0;
+    const hasBuffer = reportRows.some(r => r.liquidityBuffer > 0);
 
     const handleOverrideChange = (yearIndex, category, value) => {
         const numVal = value === '' ? null : parseFloat(value);
@@ -111,7 +311,9 @@ export default function Dashboard({ result, params, config, onOpenSettings, manu
                     <KPICard
                         label="Portfolio MOIC"
                         value={`${metrics.portfolioMOIC.toFixed(2)}x`}
-                        subtext="Total Value / Total Calls"
+                        subtext={metrics.taxEnabled
+                            ? `Na VPB ${metrics.portfolioMOICAfterTax.toFixed(2)}x - IRR ${formatPct(metrics.portfolioIRR)}`
+                            : `Total Value / Total Calls - IRR ${formatPct(metrics.portfolioIRR)}`}
                     />
                 </div>
 
@@ -121,8 +323,56 @@ export default function Dashboard({ result, params, config, onOpenSettings, manu
                         <div>
                             <h3 className="font-bold text-[#0B1E3D]">Portfolio Projectie</h3>
                             <p className="text-[10px] text-gray-400">Visuele weergave van cash en exposure</p>
+                            {simulation && (
+                                <p className="text-[10px] text-gray-500 mt-1">
+                                    {simulation.paths} scenario's (seed {simulation.seed}) - max. kans op cash tekort: {(maxShortfallProbability * 100).toFixed(1)}%
+                                </p>
+                            )}
+                            {metrics.cashDrag !== null && (
+                                <p className="text-[10px] text-gray-500 mt-1">
+                                    Cash drag: {formatPct(metrics.cashDrag)} p.j. ({formatPct(metrics.averageCashShare)} in cash à {formatPct(metrics.effectiveCashYield)} vs. IRR {formatPct(metrics.portfolioIRR)})
+                                </p>
+                            )}
+                            {metrics.feesEnabled && (
+                                <p className="text-[10px] text-gray-500 mt-1">
+                                    Netto na kosten: {formatCompact(metrics.totalFees)} beheervergoeding en carry over de projectie
+                                </p>
+                            )}
+                            {relaxationLabel(metrics.relaxation) && (
+                                <p className="text-[10px] text-gray-500 mt-1">{relaxationLabel(metrics.relaxation)}</p>
+                            )}
+                            {(metrics.relaxation?.loosened || []).map(l => (
+                                <p key={`${l.constraint}-${l.to}`} className="text-[10px] text-gray-500">{loosenedLabel(l)}</p>
+                            ))}
+                            {metrics.averageTrackingError !== null && (
+                                <p className="text-[10px] text-gray-500 mt-1">
+                                    Doel-exposure: gem. afwijking {formatCompact(metrics.averageTrackingError)}, max. {formatCompact(metrics.maxTrackingError)}
+                                </p>
+                            )}
+                            {metrics.optimizer?.mode === 'lp' && (
+                                <p className="text-[10px] text-gray-500 mt-1">
+                                    {metrics.optimizer.status === 'optimal'
+                                        ? `Hele-horizon optimalisatie (${optimizerObjectiveLabel[metrics.optimizer.objective]}): ${formatCompact(metrics.optimizer.objectiveValue)} vs. jaar voor jaar ${formatCompact(metrics.optimizer.greedyObjectiveValue)}`
+                                        : 'Hele-horizon optimalisatie niet oplosbaar - jaar voor jaar plan getoond'}
+                                </p>
+                            )}
+                            {metrics.bufferBindingYears?.length > 0 && (
+                                <p className="text-[10px] text-red-600 mt-1">
+                                    Buffer beperkend in: {metrics.bufferBindingYears.join(', ')}
+                                </p>
+                            )}
                         </div>
                         <div className="flex items-center gap-6">
+                            {/* Monte Carlo toggle */}
+                            <label className="flex items-center gap-2 cursor-pointer" title="P5-P95 banden op basis van Monte Carlo simulatie van het vaste commitment plan">
+                                <input
+                                    type="checkbox"
+                                    checked={showBands}
+                                    onChange={(e) => setShowBands(e.target.checked)}
+                                    className="w-3 h-3 accent-[#C5A572]"
+                                />
+                                <span className="text-[10px] font-bold text-gray-400 uppercase tracking-wider">Onzekerheid</span>
+                            </label>
                             {/* Y-Axis Zoom Slider */}
                             <div className="flex items-center gap-2">
                                 <span className="text-[10px] font-bold text-gray-400 uppercase tracking-wider">Verticale Schaal:</span>
@@ -145,6 +395,19 @@ export default function Dashboard({ result, params, config, onOpenSettings, manu
                                     Auto
                                 </button>
                             </div>
+                            {result.quarterlyReport && (
+                                <div className="flex items-center gap-2">
+                                    <span className="text-[10px] font-bold text-gray-400 uppercase tracking-wider">Weergave:</span>
+                                    <select
+                                        value={aggregation}
+                                        onChange={(e) => setAggregation(e.target.value)}
+                                        className="text-xs border-gray-200 rounded-md text-gray-600 focus:ring-[#C5A572] focus:border-[#C5A572] bg-gray-50 px-2 py-1"
+                                    >
+                                        <option value="annual">Per jaar</option>
+                                        <option value="quarterly">Per kwartaal</option>
+                                    </select>
+                                </div>
+                            )}
                             <div className="flex items-center gap-2">
                                 <span className="text-[10px] font-bold text-gray-400 uppercase tracking-wider">Projectieduur:</span>
                                 <select
@@ -170,7 +433,7 @@ export default function Dashboard({ result, params, config, onOpenSettings, manu
                             <ResponsiveContainer width="100%" height="100%">
                                 <ComposedChart data={chartData} margin={{ top: 20, right: 120, left: 20, bottom: 5 }}>
                                     <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#E5E7EB" />
-                                    <XAxis dataKey="year" axisLine={false} tickLine={false} tick={{ fill: '#9CA3AF', fontSize: 12 }} dy={10} />
+                                    <XAxis dataKey="period" axisLine={false} tickLine={false} tick={{ fill: '#9CA3AF', fontSize: 12 }} dy={10} />
                                     <YAxis
                                         tickFormatter={(val) => `€${(val / 1000000).toFixed(0)}m`}
                                         axisLine={false} tickLine={false} tick={{ fill: '#9CA3AF', fontSize: 12 }}
@@ -179,7 +442,7 @@ export default function Dashboard({ result, params, config, onOpenSettings, manu
                                         allowDataOverflow={true}
                                     />
                                     <Tooltip
-                                        formatter={(val) => formatEuro(val)}
+                                        formatter={(val) => (Array.isArray(val) ? `${formatEuro(val[0])} - ${formatEuro(val[1])}` : formatEuro(val))}
                                         contentStyle={{ borderRadius: '8px', border: 'none', boxShadow: '0 4px 6px -1px rgba(0, 0, 0, 0.1)' }}
                                     />
                                     <Legend />
@@ -187,6 +450,18 @@ export default function Dashboard({ result, params, config, onOpenSettings, manu
                                     <Bar dataKey="capitalCalled" stackId="a" name="Geïnvesteerd Kapitaal" fill="#0B1E3D" barSize={32} />
                                     <Bar dataKey="availableCash" stackId="a" name="Beschikbaar Kapitaal" fill="#9CA3AF" barSize={32} />
                                     <Line type="monotone" dataKey="totalValue" stroke="#C5A572" strokeWidth={3} dot={false} name="Totale Waarde (NAV + Cash)" />
+                                    {simulation && (
+                                        <>
+                                            <Area type="monotone" dataKey="navBand" stroke="none" fill="#0B1E3D" fillOpacity={0.12} name="NAV P5-P95" />
+                                            <Area type="monotone" dataKey="cashBand" stroke="none" fill="#C5A572" fillOpacity={0.25} name="Cash Saldo P5-P95" />
+                                            <Line type="monotone" dataKey="nav" stroke="#0B1E3D" strokeWidth={2} dot={false} name="NAV (basis)" />
+                                            <Line type="monotone" dataKey="endBalance" stroke="#6B7280" strokeWidth={2} dot={false} name="Cash Saldo (basis)" />
+                                            <Line type="monotone" dataKey="cashP50" stroke="#C5A572" strokeDasharray="3 3" strokeWidth={1} dot={false} name="Cash Saldo P50" />
+                                        </>
+                                    )}
+                                    {hasBuffer && (
+                                        <Line type="stepAfter" dataKey="liquidityBuffer" stroke="#DC2626" strokeDasharray="4 4" strokeWidth={2} dot={false} name="Liquiditeitsbuffer" />
+                                    )}
                                     {/* Horizontal Reference Line for Available Capital */}
                                     <ReferenceLine
                                         y={params.availableCapital}
@@ -215,9 +490,24 @@ export default function Dashboard({ result, params, config, onOpenSettings, manu
                 <div className="bg-white rounded-xl shadow-sm border border-gray-100 overflow-hidden flex flex-col">
                     <div className="px-6 py-4 border-b border-gray-100 flex justify-between items-center bg-gray-50/50">
                         <h3 className="font-bold text-[#0B1E3D]">Cashflow Matrix</h3>
-                        <span className="text-xs text-gray-500 italic">Netto kasstroom projectie per jaar - Pas commitment aan om handmatig te sturen.</span>
+                        <span className="text-xs text-gray-500 italic">Netto kasstroom projectie per {showQuarters ? 'kwartaal' : 'jaar'} - Pas commitment aan om handmatig te sturen.</span>
                     </div>
 
+                    {/* Ticket size adjustments (rounding only counted) */}
+                    {metrics.ticketAdjustments?.length > 0 && (
+                        <div className="px-6 py-2 border-b border-gray-100 text-[11px] text-gray-600 space-y-0.5">
+                            {metrics.ticketAdjustments.filter(a => a.reason !== 'rounding').map(a => (
+                                <div key={`${a.year}-${a.category}-${a.reason}-${a.mergedFrom ?? a.mergedInto ?? ''}`}>
+                                    <span className="font-bold text-[#0B1E3D]">{a.year} {categoryLabels[a.category]}:</span>{' '}
+                                    {formatEuro(a.from)} → {formatEuro(a.to)} - {ticketReasonLabel(a)}
+                                </div>
+                            ))}
+                            <div className="text-gray-400">
+                                {metrics.ticketAdjustments.filter(a => a.reason === 'rounding').length} allocatie(s) afgerond op de ticket stapgrootte.
+                            </div>
+                        </div>
+                    )}
+
                     {/* Added max-h-screen/2 to allow scrolling without going to bottom of page */}
                     <div className="overflow-auto relative max-h-[60vh]">
                         <table className="w-full text-sm text-left whitespace-nowrap">
@@ -228,21 +518,51 @@ export default function Dashboard({ result, params, config, onOpenSettings, manu
                                     <th className="px-4 py-3 sticky top-0 bg-gray-50 z-20 font-bold border-r border-gray-200 text-right w-32">Commitment</th>
                                     <th className="px-3 py-3 sticky top-0 bg-gray-50 z-20 font-bold border-r border-gray-200 text-center">IRR</th>
                                     <th className="px-3 py-3 sticky top-0 bg-gray-50 z-20 font-bold border-r border-gray-200 text-center">Instap</th>
-                                    {annualReport.slice(0, chartHorizon).map(r => (
-                                        <th key={r.year} className="px-3 py-3 sticky top-0 bg-gray-50 z-20 font-medium text-center border-r border-gray-100 last:border-0 min-w-[90px]">
-                                            {r.year}
+                                    {reportRows.map(r => (
+                                        <th key={r.period} className="px-3 py-3 sticky top-0 bg-gray-50 z-20 font-medium text-center border-r border-gray-100 last:border-0 min-w-[90px]">
+                                            {r.period}
                                         </th>
                                     ))}
                                 </tr>
                             </thead>
                             <tbody className="divide-y divide-gray-100">
+                                {/* Existing (legacy) funds: projected remaining flows, not editable */}
+                                {(result.legacyFunds || []).map(fund => (
+                                    <tr key={fund.id} className="bg-gray-50/60">
+                                        <td
+                                            className="px-4 py-2 font-medium text-[#0B1E3D] sticky left-0 bg-gray-50 z-10 border-r border-gray-200 truncate"
+                                            title={`Bestaand fonds (${fund.category}) - paid-in ${formatEuro(fund.paidIn)}, NAV ${formatEuro(fund.nav)}`}
+                                        >
+                                            {fund.name || 'Bestaand fonds'}
+                                        </td>
+                                        <td className="px-2 py-2 text-center text-gray-500 border-r border-gray-200">EUR</td>
+                                        <td className="px-4 py-2 text-right text-gray-500 border-r border-gray-200">
+                                            {new Intl.NumberFormat('nl-NL').format(Math.round(fund.commitment))}
+                                        </td>
+                                        <td className="px-3 py-2 text-center text-gray-400 border-r border-gray-200">-</td>
+                                        <td className="px-3 py-2 text-center text-gray-500 border-r border-gray-200">{fund.vintage}</td>
+                                        {reportRows.map((r, t) => {
+                                            const projection = showQuarters ? fund.quarterlyProjection : fund.projection;
+                                            const call = projection.calls[t];
+                                            const distribution = projection.distributions[t];
+                                            const flow = projection.cashflows[t];
+                                            const isZero = Math.abs(flow) < 1 && call < 1;
+                                            return (
+                                                <td
+                                                    key={r.period}
+                                                    title={isZero ? undefined : `Call: ${formatEuro(call)} | Distributie: ${formatEuro(distribution)}`}
+                                                    className={`px-2 py-2 text-right border-r border-gray-100 text-xs ${isZero ? 'text-gray-300' : flow < 0 ? 'text-red-600' : 'text-green-600'}`}
+                                                >
+                                                    {isZero ? '-' : new Intl.NumberFormat('nl-NL').format(Math.round(flow))}
+                                                </td>
+                                            );
+                                        })}
+                                    </tr>
+                                ))}
+
                                 {result.commitments.map((comm, commIdx) => {
-                                    // Expand each commitment into 3 potential rows (Sec, PE, VC)
-                                    const types = [
-                                        { key: 'secondaries', label: 'Secondaries', irr: '13.2%' },
-                                        { key: 'pe', label: 'PE', irr: '14.7%' },
-                                        { key: 'vc', label: 'VC', irr: '18.5%' }
-                                    ];
+                                    // Expand each commitment into one potential row per category
+                                    const types = result.categories.map(category => ({ key: category.id, label: category.shortLabel, color: category.color }));
 
                                     return types.map(type => {
                                         const amount = comm.breakdown[type.key];
@@ -250,70 +570,121 @@ export default function Dashboard({ result, params, config, onOpenSettings, manu
                                         // If it is manually overridden to 0, show it?
                                         const isManual = comm.isManual || (manualOverrides?.[commIdx]?.[type.key] !== undefined);
                                         if (amount <= 0 && !isManual) return null;
+                                        const defaultShare = comm.ratios?.[type.key] ?? 0;
+                                        const chosenShare = comm.chosenRatios?.[type.key] ?? defaultShare;
 
                                         return (
-                                            <tr key={`${comm.year}-${type.key}`} className={`hover:bg-gray-50 transition-colors ${isManual ? 'bg-yellow-50' : ''}`}>
-                                                <td className="px-4 py-2 font-medium text-[#0B1E3D] sticky left-0 bg-white z-10 border-r border-gray-200 truncate">
-                                                    {type.label}
-                                                </td>
-                                                <td className="px-2 py-2 text-center text-gray-500 border-r border-gray-200">EUR</td>
-                                                <td className="px-2 py-1 text-right text-gray-700 font-medium border-r border-gray-200 relative">
-                                                    <input
-                                                        type="text"
-                                                        value={
-                                                            editingCell?.yearIndex === commIdx && editingCell?.category === type.key
-                                                                ? editingInputValue
-                                                                : new Intl.NumberFormat('nl-NL').format(Math.round(amount / 1000) * 1000)
-                                                        }
-                                                        onFocus={() => {
-                                                            setEditingCell({ yearIndex: commIdx, category: type.key });
-                                                            setEditingInputValue(String(amount));
-                                                        }}
-                                                        onChange={(e) => {
-                                                            // Allow only digits
-                                                            const val = e.target.value.replace(/[^0-9]/g, '');
-                                                            setEditingInputValue(val);
-                                                        }}
-                                                        onBlur={() => {
-                                                            const numVal = editingInputValue === '' ? 0 : parseInt(editingInputValue, 10);
-                                                            const rounded = Math.round(numVal / 1000) * 1000;
-                                                            handleOverrideChange(commIdx, type.key, String(rounded));
-                                                            setEditingCell(null);
-                                                            setEditingInputValue(null);
-                                                        }}
-                                                        className={`w-28 px-2 py-1 text-right border border-transparent hover:border-gray-300 focus:border-[#C5A572] focus:ring-1 focus:ring-[#C5A572] rounded text-sm bg-transparent font-medium
-                                                            ${isManual ? 'text-[#C5A572] font-bold' : ''}`}
-                                                    />
-                                                </td>
-                                                <td className="px-3 py-2 text-center text-gray-500 border-r border-gray-200">{type.irr}</td>
-                                                <td className="px-3 py-2 text-center text-gray-500 border-r border-gray-200">{comm.year}</td>
-
-                                                {annualReport.slice(0, chartHorizon).map(r => {
-                                                    const idx = r.year - comm.year;
-                                                    const profile = profiles[type.key] || [];
+                                            <React.Fragment key={`${comm.year}-${type.key}`}>
+                                                <tr className={`hover:bg-gray-50 transition-colors ${isManual ? 'bg-yellow-50' : ''}`}>
+                                                    <td
+                                                        className="px-4 py-2 font-medium text-[#0B1E3D] sticky left-0 bg-white z-10 border-r border-gray-200 truncate"
+                                                        title={`Mix: ${(chosenShare * 100).toFixed(1)}% (standaard ${(defaultShare * 100).toFixed(1)}%)`}
+                                                    >
+                                                        <span className="inline-block w-2 h-2 rounded-full mr-2" style={{ backgroundColor: type.color }} />
+                                                        {type.label}
+                                                        {comm.tickets?.[type.key]?.length > 1 && (
+                                                            <span className="ml-2 text-[10px] text-gray-400" title={comm.tickets[type.key].map(formatEuro).join(' + ')}>
+                                                                {comm.tickets[type.key].length} tickets
+                                                            </span>
+                                                        )}
+                                                        {Math.abs(chosenShare - defaultShare) > 0.0005 && (
+                                                            <span className="ml-2 text-[10px] text-[#C5A572] font-bold">
+                                                                {(chosenShare * 100).toFixed(1)}% <span className="text-gray-400 font-normal">vs {(defaultShare * 100).toFixed(1)}%</span>
+                                                            </span>
+                                                        )}
+                                                    </td>
+                                                    <td className="px-2 py-2 text-center text-gray-500 border-r border-gray-200">EUR</td>
+                                                    <td className="px-2 py-1 text-right text-gray-700 font-medium border-r border-gray-200 relative">
+                                                        <input
+                                                            type="text"
+                                                            value={
+                                                                editingCell?.yearIndex === commIdx && editingCell?.category === type.key
+                                                                    ? editingInputValue
+                                                                    : new Intl.NumberFormat('nl-NL').format(Math.round(amount / 1000) * 1000)
+                                                            }
+                                                            onFocus={() => {
+                                                                setEditingCell({ yearIndex: commIdx, category: type.key });
+                                                                setEditingInputValue(String(amount));
+                                                            }}
+                                                            onChange={(e) => {
+                                                                // Allow only digits
+                                                                const val = e.target.value.replace(/[^0-9]/g, '');
+                                                                setEditingInputValue(val);
+                                                            }}
+                                                            onBlur={() => {
+                                                                const numVal = editingInputValue === '' ? 0 : parseInt(editingInputValue, 10);
+                                                                const rounded = Math.round(numVal / 1000) * 1000;
+                                                                handleOverrideChange(commIdx, type.key, String(rounded));
+                                                                setEditingCell(null);
+                                                                setEditingInputValue(null);
+                                                            }}
+                                                            className={`w-28 px-2 py-1 text-right border border-transparent hover:border-gray-300 focus:border-[#C5A572] focus:ring-1 focus:ring-[#C5A572] rounded text-sm bg-transparent font-medium
+                                                                ${isManual ? 'text-[#C5A572] font-bold' : ''}`}
+                                                        />
+                                                    </td>
+                                                    <td
+                                                        className="px-3 py-2 text-center text-gray-500 border-r border-gray-200"
+                                                        title={`Profiel IRR ${type.label}: ${formatPct(metrics.categoryMetrics[type.key]?.irr)}`}
+                                                    >
+                                                        {formatPct(comm.irr?.[type.key])}
+                                                    </td>
+                                                    <td
+                                                        className={`px-3 py-2 text-center border-r border-gray-200 cursor-help ${comm.diagnostics?.binding === 'solvency' || comm.diagnostics?.binding === 'buffer' ? 'text-amber-700' : 'text-gray-500'}`}
+                                                        title={diagnosticsLabel(comm.diagnostics, comm.year)}
+                                                    >
+                                                        {comm.year}
+                                                    </td>
 
-                                                    let flow = 0;
-                                                    if (idx >= 0 && idx < profile.length) {
-                                                        flow = amount * profile[idx];
-                                                    }
+                                                    {reportRows.map(r => {
+                                                        // Net flow from the gross curves so calls and distributions in the same period both show
+                                                        const { call, distribution } = categoryFlowAt(comm, type.key, periodOffset(comm, r));
+                                                        const flow = distribution - call;
 
-                                                    const isZero = Math.abs(flow) < 1;
-                                                    const isNegative = flow < 0;
+                                                        const isZero = Math.abs(flow) < 1 && call < 1;
+                                                        const isNegative = flow < 0;
 
-                                                    return (
-                                                        <td key={r.year} className={`px-2 py-2 text-right border-r border-gray-100 text-xs ${isZero ? 'text-gray-300' : isNegative ? 'text-red-600' : 'text-green-600'}`}>
-                                                            {isZero ? '-' : new Intl.NumberFormat('nl-NL').format(Math.round(flow))}
+                                                        return (
+                                                            <td
+                                                                key={r.period}
+                                                                title={isZero ? undefined : `Call: ${formatEuro(call)} | Distributie: ${formatEuro(distribution)}`}
+                                                                className={`px-2 py-2 text-right border-r border-gray-100 text-xs ${isZero ? 'text-gray-300' : isNegative ? 'text-red-600' : 'text-green-600'}`}
+                                                            >
+                                                                {isZero ? '-' : new Intl.NumberFormat('nl-NL').format(Math.round(flow))}
+                                                            </td>
+                                                        );
+                                                    })}
+                                                </tr>
+                                                {(comm.funds || []).filter(f => f.category === type.key).map(fund => (
+                                                    <tr key={fund.fundId} className="text-gray-600">
+                                                        <td className="pl-8 pr-4 py-1.5 text-xs sticky left-0 bg-white z-10 border-r border-gray-200 truncate" title={fundProfileLabel(fund)}>
+                                                            {fund.name}
                                                         </td>
-                                                    );
-                                                })}
-                                            </tr>
+                                                        <td className="px-2 py-1.5 text-center text-xs text-gray-400 border-r border-gray-200">{fund.currency}</td>
+                                                        <td className="px-4 py-1.5 text-right text-xs border-r border-gray-200">
+                                                            {new Intl.NumberFormat('nl-NL').format(Math.round(fund.amount))}
+                                                        </td>
+                                                        <td className="px-3 py-1.5 border-r border-gray-200"></td>
+                                                        <td className="px-3 py-1.5 border-r border-gray-200"></td>
+                                                        {reportRows.map(r => {
+                                                            const idx = periodOffset(comm, r);
+                                                            const curves = fundCurves(fund);
+                                                            const flow = idx < 0 ? 0 : fund.amount * ((curves.distributions[idx] || 0) - (curves.calls[idx] || 0));
+                                                            return (
+                                                                <td key={r.period} className={`px-2 py-1.5 text-right border-r border-gray-100 text-[11px] ${Math.abs(flow) < 1 ? 'text-gray-300' : flow < 0 ? 'text-red-400' : 'text-green-500'}`}>
+                                                                    {Math.abs(flow) < 1 ? '-' : new Intl.NumberFormat('nl-NL').format(Math.round(flow))}
+                                                                </td>
+                                                            );
+                                                        })}
+                                                    </tr>
+                                                ))}
+                                            </React.Fragment>
                                         );
                                     });
                                 })}
 
                                 {/* Spacer Row */}
                                 <tr className="h-4 bg-gray-50 border-t border-b border-gray-200">
-                                    <td colSpan={5 + chartHorizon} className="sticky left-0 bg-gray-50 z-10"></td>
+                                    <td colSpan={5 + reportRows.length} className="sticky left-0 bg-gray-50 z-10"></td>
                                 </tr>
 
                                 {/* Summary Rows (Bottom Fixed style) */}
@@ -322,8 +693,12 @@ export default function Dashboard({ result, params, config, onOpenSettings, manu
                                     <td colSpan={5} className="px-4 py-3 sticky left-0 bg-[#EFF6FF] z-10 border-r border-blue-200 text-[#0B1E3D] font-bold">
                                         Beschikbaar Kapitaal
                                     </td>
-                                    {annualReport.slice(0, chartHorizon).map(r => (
-                                        <td key={r.year} className="px-2 py-3 text-right border-r border-blue-100 text-blue-900">
+                                    {reportRows.map(r => (
+                                        <td
+                                            key={r.period}
+                                            title={r.lowestQuarterBalance !== undefined ? `Laagste kwartaalsaldo: ${formatEuro(r.lowestQuarterBalance)}` : undefined}
+                                            className="px-2 py-3 text-right border-r border-blue-100 text-blue-900"
+                                        >
                                             {formatEuro(r.availableCash)}
                                         </td>
                                     ))}
@@ -332,22 +707,174 @@ export default function Dashboard({ result, params, config, onOpenSettings, manu
                                 {/* 2. Net Cashflow */}
                                 <tr className="bg-[#EFF6FF] border-b border-blue-100 font-medium text-xs">
                                     <td colSpan={5} className="px-4 py-3 sticky left-0 bg-[#EFF6FF] z-10 border-r border-blue-200 text-[#0B1E3D] font-bold">
-                                        Jaarlijkse Netto Cashflow
+                                        {showQuarters ? 'Netto Cashflow per Kwartaal' : 'Jaarlijkse Netto Cashflow'}
                                     </td>
-                                    {annualReport.slice(0, chartHorizon).map(r => (
-                                        <td key={r.year} className={`px-2 py-3 text-right border-r border-blue-100 ${r.netCashflow < 0 ? 'text-red-700' : 'text-green-700'}`}>
+                                    {reportRows.map(r => (
+                                        <td key={r.period} className={`px-2 py-3 text-right border-r border-blue-100 ${r.netCashflow < 0 ? 'text-red-700' : 'text-green-700'}`}>
                                             {new Intl.NumberFormat('nl-NL').format(Math.round(r.netCashflow))}
                                         </td>
                                     ))}
                                 </tr>
 
-                                {/* 3. Capital Called (Actual money invested in funds) */}
+                                {/* 2a. Scheduled external deposits / withdrawals */}
+                                {(metrics.totalDeposits > 0 || metrics.totalWithdrawals > 0) && (
+                                    <tr className="bg-[#EFF6FF] border-b border-blue-100 font-medium text-xs">
+                                        <td colSpan={5} className="px-4 py-3 sticky left-0 bg-[#EFF6FF] z-10 border-r border-blue-200 text-[#0B1E3D] font-bold">
+                                            Stortingen / Onttrekkingen
+                                        </td>
+                                        {reportRows.map(r => (
+                                            <td key={r.period} className={`px-2 py-3 text-right border-r border-blue-100 ${r.externalFlow === 0 ? 'text-gray-300' : r.externalFlow < 0 ? 'text-red-700' : 'text-green-700'}`}>
+                                                {r.externalFlow === 0 ? '-' : new Intl.NumberFormat('nl-NL').format(Math.round(r.externalFlow))}
+                                            </td>
+                                        ))}
+                                    </tr>
+                                )}
+
+                                {/* 2b. Interest on idle cash */}
+                                {metrics.totalInterestIncome > 0 && (
+                                    <tr className="bg-[#EFF6FF] border-b border-blue-100 font-medium text-xs">
+                                        <td colSpan={5} className="px-4 py-3 sticky left-0 bg-[#EFF6FF] z-10 border-r border-blue-200 text-[#0B1E3D] font-bold">
+                                            Rente op Cash
+                                        </td>
+                                        {reportRows.map(r => (
+                                            <td key={r.period} title={`Rente: ${formatPct(r.cashYield)}`} className="px-2 py-3 text-right border-r border-blue-100 text-green-700">
+                                                {new Intl.NumberFormat('nl-NL').format(Math.round(r.interestIncome))}
+                                            </td>
+                                        ))}
+                                    </tr>
+                                )}
+
+                                {/* 3. Gross Capital Calls & Distributions */}
+                                <tr className="bg-[#EFF6FF] border-b border-blue-100 font-medium text-xs">
+                                    <td colSpan={5} className="px-4 py-3 sticky left-0 bg-[#EFF6FF] z-10 border-r border-blue-200 text-[#0B1E3D] font-bold">
+                                        Capital Calls
+                                    </td>
+                                    {reportRows.map(r => (
+                                        <td key={r.period} className="px-2 py-3 text-right border-r border-blue-100 text-red-700">
+                                            {new Intl.NumberFormat('nl-NL').format(-Math.round(r.capitalCalls))}
+                                        </td>
+                                    ))}
+                                </tr>
+                                <tr className="bg-[#EFF6FF] border-b border-blue-100 font-medium text-xs">
+                                    <td colSpan={5} className="px-4 py-3 sticky left-0 bg-[#EFF6FF] z-10 border-r border-blue-200 text-[#0B1E3D] font-bold">
+                                        Distributies
+                                    </td>
+                                    {reportRows.map(r => (
+                                        <td key={r.period} className="px-2 py-3 text-right border-r border-blue-100 text-green-700">
+                                            {new Intl.NumberFormat('nl-NL').format(Math.round(r.distributions))}
+                                        </td>
+                                    ))}
+                                </tr>
+
+                                {/* 3a. Fees: management fees (part of the calls) and carried interest (kept from the distributions) */}
+                                {metrics.totalFees > 0 && (
+                                    <tr className="bg-[#EFF6FF] border-b border-blue-100 font-medium text-xs">
+                                        <td colSpan={5} className="px-4 py-3 sticky left-0 bg-[#EFF6FF] z-10 border-r border-blue-200 text-[#0B1E3D] font-bold">
+                                            Kosten (Beheervergoeding & Carry)
+                                        </td>
+                                        {reportRows.map(r => (
+                                            <td
+                                                key={r.period}
+                                                title={`Beheervergoeding: ${formatEuro(r.managementFees)} | Carried interest: ${formatEuro(r.carriedInterest)}`}
+                                                className={`px-2 py-3 text-right border-r border-blue-100 ${r.fees > 0 ? 'text-red-700' : 'text-gray-300'}`}
+                                            >
+                                                {r.fees > 0 ? new Intl.NumberFormat('nl-NL').format(-Math.round(r.fees)) : '-'}
+                                            </td>
+                                        ))}
+                                    </tr>
+                                )}
+
+                                {/* 4. Unfunded Commitments (what funds can still call) */}
+                                <tr className="bg-[#EFF6FF] border-b border-blue-100 font-medium text-xs">
+                                    <td colSpan={5} className="px-4 py-3 sticky left-0 bg-[#EFF6FF] z-10 border-r border-blue-200 text-[#0B1E3D] font-bold">
+                                        Unfunded Commitments
+                                    </td>
+                                    {reportRows.map(r => (
+                                        <td
+                                            key={r.period}
+                                            title={r.recallableUnfunded > 0 ? `Waarvan terugvorderbaar: ${formatEuro(r.recallableUnfunded)}` : undefined}
+                                            className="px-2 py-3 text-right border-r border-blue-100 text-blue-900"
+                                        >
+                                            {formatEuro(r.unfunded)}
+                                        </td>
+                                    ))}
+                                </tr>
+
+                                {/* 5. Coverage Ratio (cash / unfunded) */}
+                                <tr className="bg-[#EFF6FF] border-b border-blue-100 font-medium text-xs">
+                                    <td colSpan={5} className="px-4 py-3 sticky left-0 bg-[#EFF6FF] z-10 border-r border-blue-200 text-[#0B1E3D] font-bold">
+                                        Dekkingsgraad (Cash / Unfunded)
+                                    </td>
+                                    {reportRows.map(r => (
+                                        <td key={r.period} className={`px-2 py-3 text-right border-r border-blue-100 ${r.coverageRatio !== null && r.coverageRatio < 1 ? 'text-amber-700' : 'text-blue-900'}`}>
+                                            {r.coverageRatio === null ? '-' : `${(r.coverageRatio * 100).toFixed(0)}%`}
+                                        </td>
+                                    ))}
+                                </tr>
+
+                                {/* 5a. Target exposure: target NAV and the deviation from it */}
+                                {metrics.pacingMode === 'targetExposure' && (
+                                    <>
+                                        <tr className="bg-[#EFF6FF] border-b border-blue-100 font-medium text-xs">
+                                            <td colSpan={5} className="px-4 py-3 sticky left-0 bg-[#EFF6FF] z-10 border-r border-blue-200 text-[#0B1E3D] font-bold">
+                                                Doel NAV
+                                            </td>
+                                            {reportRows.map(r => (
+                                                <td key={r.period} title={`NAV: ${formatEuro(r.nav)}`} className="px-2 py-3 text-right border-r border-blue-100 text-blue-900">
+                                                    {r.targetNav > 0 ? formatEuro(r.targetNav) : '-'}
+                                                </td>
+                                            ))}
+                                        </tr>
+                                        <tr className="bg-[#EFF6FF] border-b border-blue-100 font-medium text-xs">
+                                            <td colSpan={5} className="px-4 py-3 sticky left-0 bg-[#EFF6FF] z-10 border-r border-blue-200 text-[#0B1E3D] font-bold">
+                                                Tracking Error (NAV - Doel)
+                                            </td>
+                                            {reportRows.map(r => (
+                                                <td key={r.period} className={`px-2 py-3 text-right border-r border-blue-100 ${r.trackingError < 0 ? 'text-amber-700' : 'text-blue-900'}`}>
+                                                    {r.targetNav > 0 ? new Intl.NumberFormat('nl-NL').format(Math.round(r.trackingError)) : '-'}
+                                                </td>
+                                            ))}
+                                        </tr>
+                                    </>
+                                )}
+
+                                {/* 5b. Corporate tax (VPB) and cash after tax */}
+                                {metrics.taxEnabled && (
+                                    <>
+                                        <tr className="bg-[#EFF6FF] border-b border-blue-100 font-medium text-xs">
+                                            <td colSpan={5} className="px-4 py-3 sticky left-0 bg-[#EFF6FF] z-10 border-r border-blue-200 text-[#0B1E3D] font-bold">
+                                                Vennootschapsbelasting (VPB)
+                                            </td>
+                                            {reportRows.map(r => (
+                                                <td
+                                                    key={r.period}
+                                                    title={`Belastbaar resultaat: ${formatEuro(r.taxableResult)} | Verliesverrekening resterend: ${formatEuro(r.lossCarryForward)}`}
+                                                    className={`px-2 py-3 text-right border-r border-blue-100 ${r.tax > 0 ? 'text-red-700' : 'text-gray-300'}`}
+                                                >
+                                                    {r.tax > 0 ? new Intl.NumberFormat('nl-NL').format(-Math.round(r.tax)) : '-'}
+                                                </td>
+                                            ))}
+                                        </tr>
+                                        <tr className="bg-[#EFF6FF] border-b border-blue-100 font-medium text-xs">
+                                            <td colSpan={5} className="px-4 py-3 sticky left-0 bg-[#EFF6FF] z-10 border-r border-blue-200 text-[#0B1E3D] font-bold">
+                                                Cash na VPB
+                                            </td>
+                                            {reportRows.map(r => (
+                                                <td key={r.period} className={`px-2 py-3 text-right border-r border-blue-100 ${r.afterTaxBalance < 0 ? 'text-red-700' : 'text-blue-900'}`}>
+                                                    {formatEuro(r.afterTaxBalance)}
+                                                </td>
+                                            ))}
+                                        </tr>
+                                    </>
+                                )}
+
+                                {/* 6. Capital Called (Actual money invested in funds) */}
                                 <tr className="bg-[#0B1E3D] text-white text-xs font-medium">
                                     <td colSpan={5} className="px-4 py-3 sticky left-0 bg-[#0B1E3D] z-10 border-r border-gray-700 font-bold">
                                         Geïnvesteerd Kapitaal (Capital Called)
                                     </td>
-                                    {annualReport.slice(0, chartHorizon).map(r => (
-                                        <td key={r.year} className="px-2 py-3 text-right border-r border-gray-700 text-gray-200">
+                                    {reportRows.map(r => (
+                                        <td key={r.period} className="px-2 py-3 text-right border-r border-gray-700 text-gray-200">
                                             {formatEuro(r.capitalCalled)}
                                         </td>
                                     ))}
@@ -356,6 +883,133 @@ export default function Dashboard({ result, params, config, onOpenSettings, manu
                         </table>
                     </div>
                 </div>
+
+                {/* 4. Stress Tests */}
+                {stress && (
+                    <div className="bg-white rounded-xl shadow-sm border border-gray-100 overflow-hidden">
+                        <div className="px-6 py-4 border-b border-gray-100 flex justify-between items-center bg-gray-50/50">
+                            <h3 className="font-bold text-[#0B1E3D]">Stresstests</h3>
+                            <span className="text-xs text-gray-500 italic">Huidig plan doorgerekend onder stress (voor VPB) - scenario's aanpasbaar in instellingen.</span>
+                        </div>
+                        <table className="w-full text-sm text-right whitespace-nowrap">
+                            <thead className="text-xs text-gray-500 bg-gray-50 uppercase tracking-wider border-b border-gray-200">
+                                <tr>
+                                    <th className="px-4 py-3 text-left">Scenario</th>
+                                    <th className="px-4 py-3">Laagste cash</th>
+                                    <th className="px-4 py-3">Jaar</th>
+                                    <th className="px-4 py-3">Eerste tekort</th>
+                                    <th className="px-4 py-3">Extra liquiditeit nodig</th>
+                                    <th className="px-4 py-3">Laagste cash vs. basis</th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-gray-100">
+                                {[{ id: 'base', name: 'Basis', ...stress.base }, ...stress.scenarios].map(row => (
+                                    <tr key={row.id} className={row.id === 'base' ? 'bg-gray-50 font-bold text-[#0B1E3D]' : 'text-gray-700'}>
+                                        <td className="px-4 py-2 text-left">{row.name}</td>
+                                        <td className={`px-4 py-2 ${row.worstCash < 0 ? 'text-red-600' : ''}`}>{formatEuro(row.worstCash)}</td>
+                                        <td className="px-4 py-2">{row.worstCashYear}</td>
+                                        <td className="px-4 py-2">{row.firstShortfallYear ?? '-'}</td>
+                                        <td className={`px-4 py-2 ${row.extraLiquidity > 0 ? 'text-red-600' : ''}`}>{row.extraLiquidity > 0 ? formatEuro(row.extraLiquidity) : '-'}</td>
+                                        <td className="px-4 py-2 text-gray-500">{row.id === 'base' ? '' : formatEuro(row.worstCashChange)}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+
+                {/* 5. Sensitivity Analysis */}
+                <div className="bg-white rounded-xl shadow-sm border border-gray-100 overflow-hidden">
+                    <div className="px-6 py-4 border-b border-gray-100 flex justify-between items-center bg-gray-50/50">
+                        <div>
+                            <h3 className="font-bold text-[#0B1E3D]">Gevoeligheidsanalyse</h3>
+                            <span className="text-xs text-gray-500 italic">Eén aanname tegelijk gevarieerd binnen de bandbreedtes uit de instellingen; het plan wordt telkens opnieuw berekend.</span>
+                        </div>
+                        <div className="flex items-center gap-4">
+                            {sensitivity && (
+                                <select
+                                    value={sensitivityOutput}
+                                    onChange={(e) => setSensitivityOutput(e.target.value)}
+                                    className="px-2 py-1 border border-gray-300 rounded text-xs bg-white"
+                                >
+                                    {SENSITIVITY_OUTPUTS.map(output => <option key={output} value={output}>{sensitivityOutputLabels[output]}</option>)}
+                                </select>
+                            )}
+                            {sensitivityOutdated && (
+                                <span className="text-[10px] font-bold text-amber-600 uppercase tracking-wider">Plan gewijzigd</span>
+                            )}
+                            <button
+                                onClick={handleRunSensitivity}
+                                className="px-3 py-1 bg-gray-100 hover:bg-gray-200 text-gray-700 rounded text-[10px] font-bold uppercase border border-gray-300"
+                            >
+                                {sensitivityRun ? 'Herberekenen' : 'Berekenen'}
+                            </button>
+                            {sensitivityRun && (
+                                <button
+                                    onClick={() => setSensitivityRun(null)}
+                                    className="text-[10px] font-bold text-gray-400 hover:text-gray-700 uppercase tracking-wider"
+                                >
+                                    Verbergen
+                                </button>
+                            )}
+                        </div>
+                    </div>
+                    {sensitivity && (
+                        <>
+                            <div className="h-[320px] w-full p-4">
+                                <ResponsiveContainer width="100%" height="100%">
+                                    <BarChart data={tornadoRows} layout="vertical" barGap={0} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+                                        <CartesianGrid strokeDasharray="3 3" horizontal={false} stroke="#E5E7EB" />
+                                        <XAxis type="number" tickFormatter={formatSensitivityDelta} tick={{ fontSize: 10, fill: '#6B7280' }} />
+                                        <YAxis type="category" dataKey="label" width={170} tick={{ fontSize: 10, fill: '#374151' }} />
+                                        <Tooltip formatter={(value) => formatSensitivityDelta(value)} />
+                                        <Legend wrapperStyle={{ fontSize: '11px' }} />
+                                        <ReferenceLine x={0} stroke="#0B1E3D" />
+                                        <Bar dataKey="lowDelta" name="Lage waarde" fill="#9CA3AF" />
+                                        <Bar dataKey="highDelta" name="Hoge waarde" fill="#C5A572" />
+                                    </BarChart>
+                                </ResponsiveContainer>
+                            </div>
+                            <div className="overflow-x-auto border-t border-gray-100">
+                                <table className="w-full text-xs text-right whitespace-nowrap">
+                                    <thead className="text-gray-500 bg-gray-50 uppercase tracking-wider border-b border-gray-200">
+                                        <tr>
+                                            <th className="px-4 py-2 text-left">Aanname</th>
+                                            <th className="px-4 py-2 text-left">Laag / Hoog</th>
+                                            {SENSITIVITY_OUTPUTS.map(output => (
+                                                <th key={output} className="px-4 py-2">{sensitivityOutputLabels[output]}</th>
+                                            ))}
+                                        </tr>
+                                    </thead>
+                                    <tbody className="divide-y divide-gray-100">
+                                        <tr className="bg-gray-50 font-bold text-[#0B1E3D]">
+                                            <td className="px-4 py-2 text-left">Basis</td>
+                                            <td className="px-4 py-2 text-left"></td>
+                                            {SENSITIVITY_OUTPUTS.map(output => (
+                                                <td key={output} className="px-4 py-2">{formatSensitivityValue(output, sensitivity.base[output])}</td>
+                                            ))}
+                                        </tr>
+                                        {sensitivity.inputs.map(item => (
+                                            <tr key={item.id} className="text-gray-700">
+                                                <td className="px-4 py-2 text-left font-medium">{sensitivityInputLabel(item)}</td>
+                                                <td className="px-4 py-2 text-left text-gray-500">
+                                                    {formatSensitivityInput(item, item.lowValue)} / {formatSensitivityInput(item, item.highValue)}
+                                                </td>
+                                                {item.error ? (
+                                                    <td colSpan={SENSITIVITY_OUTPUTS.length} className="px-4 py-2 text-left text-red-600">{item.error}</td>
+                                                ) : SENSITIVITY_OUTPUTS.map(output => (
+                                                    <td key={output} className="px-4 py-2">
+                                                        {formatSensitivityValue(output, item.low[output])} / {formatSensitivityValue(output, item.high[output])}
+                                                    </td>
+                                                ))}
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        </>
+                    )}
+                </div>
             </div>
         </div>
     );
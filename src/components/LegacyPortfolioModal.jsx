@@ -0,0 +1,173 @@
+import React, { useState } from 'react';
+import { X, Plus, Trash2 } from 'lucide-react';
+import { validateLegacyFunds } from '../lib/legacyPortfolio';
+
+// Amounts are edited as plain numbers; dots/commas are accepted as in the sidebar inputs
+const parseAmount = (value) => {
+    const parsed = parseFloat(String(value).replace(/\./g, '').replace(/,/g, '.'));
+    return isNaN(parsed) ? 0 : parsed;
+};
+
+// Ids only need to be unique within the portfolio
+const newFundId = () => `legacy-${Date.now()}`;
+
+// Mounted only while open, so the draft starts from the saved funds every time
+export default function LegacyPortfolioModal({ onClose, funds, onSave, startYear, categories }) {
+    const [draft, setDraft] = useState(() => (funds || []).map(f => ({ ...f })));
+
+    const categoryIds = categories.map(c => c.id);
+    const errors = validateLegacyFunds(draft, categoryIds);
+    const defaultCategory = categoryIds.includes('pe') ? 'pe' : categoryIds[0];
+
+    const updateFund = (id, changes) => setDraft(draft.map(f => (f.id === id ? { ...f, ...changes } : f)));
+    const removeFund = (id) => setDraft(draft.filter(f => f.id !== id));
+    const addFund = () => setDraft([
+        ...draft,
+        { id: newFundId(), name: '', vintage: startYear - 3, category: defaultCategory, commitment: 1000000, paidIn: 0, nav: 0 }
+    ]);
+
+    const handleSave = () => {
+        if (errors.length > 0) return;
+        onSave(draft);
+        onClose();
+    };
+
+    const formatAmount = (value) => new Intl.NumberFormat('nl-NL').format(value || 0);
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center">
+            {/* Backdrop */}
+            <div
+                className="absolute inset-0 bg-black/50 backdrop-blur-sm"
+                onClick={onClose}
+            />
+
+            {/* Modal */}
+            <div className="relative bg-white rounded-xl shadow-2xl w-full max-w-4xl mx-4 overflow-hidden">
+                {/* Header */}
+                <div className="flex items-center justify-between px-6 py-4 border-b border-gray-100 bg-gray-50">
+                    <div>
+                        <h2 className="text-lg font-bold text-[#0B1E3D]">Bestaande Portefeuille</h2>
+                        <p className="text-xs text-gray-500">Stand per begin {startYear}. Resterende calls, distributies en NAV worden geprojecteerd met het categorieprofiel.</p>
+                    </div>
+                    <button
+                        onClick={onClose}
+                        className="p-1 text-gray-400 hover:text-gray-600 rounded-lg hover:bg-gray-100 transition-colors"
+                    >
+                        <X size={20} />
+                    </button>
+                </div>
+
+                {/* Body */}
+                <div className="p-6 space-y-4 max-h-[70vh] overflow-auto">
+                    <table className="w-full text-sm">
+                        <thead className="text-xs text-gray-500 uppercase tracking-wider border-b border-gray-200">
+                            <tr>
+                                <th className="px-2 py-2 text-left">Fonds</th>
+                                <th className="px-2 py-2 text-left">Vintage</th>
+                                <th className="px-2 py-2 text-left">Categorie</th>
+                                <th className="px-2 py-2 text-right">Commitment (€)</th>
+                                <th className="px-2 py-2 text-right">Paid-in (€)</th>
+                                <th className="px-2 py-2 text-right">NAV (€)</th>
+                                <th className="px-2 py-2"></th>
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-100">
+                            {draft.map(fund => (
+                                <tr key={fund.id}>
+                                    <td className="px-2 py-1">
+                                        <input
+                                            type="text"
+                                            value={fund.name}
+                                            placeholder="Fondsnaam"
+                                            onChange={e => updateFund(fund.id, { name: e.target.value })}
+                                            className="w-full px-2 py-1 border border-gray-300 rounded-md text-sm"
+                                        />
+                                    </td>
+                                    <td className="px-2 py-1">
+                                        <input
+                                            type="number"
+                                            value={fund.vintage}
+                                            onChange={e => updateFund(fund.id, { vintage: parseInt(e.target.value, 10) || '' })}
+                                            className="w-20 px-2 py-1 border border-gray-300 rounded-md text-sm"
+                                        />
+                                    </td>
+                                    <td className="px-2 py-1">
+                                        <select
+                                            value={fund.category}
+                                            onChange={e => updateFund(fund.id, { category: e.target.value })}
+                                            className="px-2 py-1 border border-gray-300 rounded-md text-sm bg-white"
+                                        >
+                                            {categories.map(c => (
+                                                <option key={c.id} value={c.id}>{c.label}</option>
+                                            ))}
+                                        </select>
+                                    </td>
+                                    {['commitment', 'paidIn', 'nav'].map(field => (
+                                        <td key={field} className="px-2 py-1">
+                                            <input
+                                                type="text"
+                                                defaultValue={formatAmount(fund[field])}
+                                                onFocus={e => { e.target.value = String(fund[field] || 0); }}
+                                                onBlur={e => {
+                                                    const value = parseAmount(e.target.value);
+                                                    updateFund(fund.id, { [field]: value });
+                                                    e.target.value = formatAmount(value);
+                                                }}
+                                                className="w-32 px-2 py-1 border border-gray-300 rounded-md text-sm text-right"
+                                            />
+                                        </td>
+                                    ))}
+                                    <td className="px-2 py-1 text-right">
+                                        <button onClick={() => removeFund(fund.id)} className="text-gray-400 hover:text-red-600">
+                                            <Trash2 size={14} />
+                                        </button>
+                                    </td>
+                                </tr>
+                            ))}
+                            {draft.length === 0 && (
+                                <tr>
+                                    <td colSpan={7} className="px-2 py-6 text-center text-xs text-gray-400">
+                                        Geen bestaande fondsen. Het plan start zonder commitments.
+                                    </td>
+                                </tr>
+                            )}
+                        </tbody>
+                    </table>
+
+                    <button
+                        onClick={addFund}
+                        className="flex items-center gap-1 text-xs font-bold text-gray-500 hover:text-gray-900 uppercase"
+                    >
+                        <Plus size={12} /> Fonds toevoegen
+                    </button>
+
+                    {errors.length > 0 && (
+                        <div className="p-3 bg-red-50 border border-red-200 rounded-md text-xs text-red-700 space-y-1">
+                            {errors.map(err => <div key={err}>{err}</div>)}
+                        </div>
+                    )}
+                </div>
+
+                {/* Actions */}
+                <div className="flex gap-3 px-6 py-4 border-t border-gray-100">
+                    <button
+                        type="button"
+                        onClick={onClose}
+                        className="flex-1 px-4 py-3 border border-gray-300 text-gray-700 rounded-lg text-sm font-medium hover:bg-gray-50 transition-colors"
+                    >
+                        Annuleren
+                    </button>
+                    <button
+                        type="button"
+                        onClick={handleSave}
+                        disabled={errors.length > 0}
+                        className="flex-1 px-4 py-3 bg-[#0B1E3D] text-white rounded-lg text-sm font-bold hover:bg-[#0B1E3D]/90 transition-colors disabled:opacity-50"
+                    >
+                        Opslaan
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -1,6 +1,7 @@
 import React, { useState } from 'react';
 import { Save, RefreshCw, AlertTriangle, Mail } from 'lucide-react';
 import { resetConfiguration } from '../config/dummyData';
+import { normalizeAllocationRules, validatePhases } from '../lib/phases';
 
 export default function Settings({ config, onConfigChange }) {
     // Local state for editing before save
@@ -10,20 +11,29 @@ export default function Settings({ config, onConfigChange }) {
     const [error, setError] = useState(null);
 
     const handleSave = () => {
+        let parsedProfiles;
+        let parsedRules;
         try {
-            const parsedProfiles = JSON.parse(localProfiles);
-            const parsedRules = JSON.parse(localRules);
-
-            onConfigChange({
-                profiles: parsedProfiles,
-                rules: parsedRules,
-                notificationEmail: localEmail
-            });
-            setError(null);
-            alert('Configuratie succesvol opgeslagen!');
+            parsedProfiles = JSON.parse(localProfiles);
+            parsedRules = normalizeAllocationRules(JSON.parse(localRules));
         } catch {
             setError('Ongeldig JSON formaat. Controleer uw syntax.');
+            return;
+        }
+
+        const phaseErrors = validatePhases(parsedRules);
+        if (phaseErrors.length > 0) {
+            setError(`Ongeldige fases: ${phaseErrors.join(' ')}`);
+            return;
         }
+
+        onConfigChange({
+            profiles: parsedProfiles,
+            rules: parsedRules,
+            notificationEmail: localEmail
+        });
+        setError(null);
+        alert('Configuratie succesvol opgeslagen!');
     };
 
     const handleReset = () => {
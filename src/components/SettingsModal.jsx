@@ -1,7 +1,16 @@
 import React, { useState } from 'react';
-import { Save, RefreshCw, X, AlertTriangle, Upload, FileSpreadsheet } from 'lucide-react';
-import { resetConfiguration } from '../config/dummyData';
+import { Save, RefreshCw, X, AlertTriangle, Upload, FileSpreadsheet, Plus, Trash2 } from 'lucide-react';
+import { resetConfiguration, deriveNetProfile, splitNetProfile, DEFAULT_MONTE_CARLO_SETTINGS, DEFAULT_TA_PARAMETERS, NAV_PROFILES, DEFAULT_FUND_PIPELINE, DEFAULT_TICKET_CONSTRAINTS, DEFAULT_STRESS_SCENARIOS, DEFAULT_SENSITIVITY_RANGES, DEFAULT_QUARTERLY_SPLIT, DEFAULT_RECALL_SETTINGS, DEFAULT_NAV_GROWTH } from '../config/dummyData';
 import { parseFundData } from '../lib/excelImport';
+import { normalizeAllocationRules, validatePhases } from '../lib/phases';
+import { generateTakahashiAlexanderProfile, validateTakahashiAlexanderParameters } from '../lib/takahashiAlexander';
+import { validateFundPipeline, fundPipelineWarnings, fundOwnCurves } from '../lib/fundPipeline';
+import { resolveCategories, validateCategories } from '../lib/categories';
+import { resolveGrossProfiles } from '../lib/solver';
+import { validateQuarterlySplit } from '../lib/quarterly';
+import { resolveFeeSettings, validateFeeSettings } from '../lib/fees';
+import { validateRecallSettings } from '../lib/recallable';
+import { resolveNavGrowth, validateNavGrowth } from '../lib/nav';
 
 export default function SettingsModal({ isOpen, onClose, config, onConfigChange }) {
     // Local state for the editable configuration
@@ -9,21 +18,117 @@ export default function SettingsModal({ isOpen, onClose, config, onConfigChange
     const [localConfig, setLocalConfig] = useState(() => JSON.parse(JSON.stringify(config)));
     const [error, setError] = useState(null);
     const [importMsg, setImportMsg] = useState(null);
+    // Unsaved Takahashi-Alexander parameter edits per category
+    const [taDrafts, setTaDrafts] = useState({});
 
     if (!isOpen || !localConfig) return null;
 
-    const handleCellChange = (category, yearIndex, value) => {
+    const phases = normalizeAllocationRules(localConfig.rules);
+    const phaseErrors = validatePhases(phases);
+    const pipeline = localConfig.fundPipeline || DEFAULT_FUND_PIPELINE;
+    // Category registry: every per-category table below iterates over it
+    const categories = resolveCategories(localConfig);
+    const categoryIdList = categories.map(category => category.id);
+    const categoryLabels = Object.fromEntries(categories.map(category => [category.id, category.shortLabel]));
+    const categoryErrors = validateCategories(categories);
+    // Curves in effect per category (registry defaults for categories the configuration has no curves for)
+    const grossProfiles = resolveGrossProfiles(localConfig);
+    const pipelineErrors = validateFundPipeline(pipeline, categoryIdList, localConfig.ticketConstraints ?? DEFAULT_TICKET_CONSTRAINTS);
+    const pipelineWarnings = fundPipelineWarnings(pipeline);
+
+    // Phase editing: every change rewrites the full (sorted) phase list
+    const updatePhases = (updater) => {
+        setLocalConfig(prev => ({ ...prev, rules: updater(normalizeAllocationRules(prev.rules).map(p => ({ ...p }))) }));
+    };
+
+    const handlePhaseYearChange = (idx, field, value) => {
+        const numVal = value === '' ? null : parseInt(value, 10);
+        if (numVal !== null && isNaN(numVal)) return;
+        if (field === 'fromYear' && numVal === null) return;
+        updatePhases(list => {
+            list[idx][field] = numVal;
+            return list;
+        });
+    };
+
+    const handlePhaseRatioChange = (idx, category, value) => {
+        const numVal = parseFloat(value);
+        if (isNaN(numVal)) return;
+        updatePhases(list => {
+            list[idx].ratios = { ...list[idx].ratios, [category]: numVal };
+            return list;
+        });
+    };
+
+    const handlePhaseRangeChange = (idx, category, bound, value) => {
         const numVal = parseFloat(value);
         if (isNaN(numVal)) return;
+        updatePhases(list => {
+            const ratio = list[idx].ratios?.[category] ?? 0;
+            const range = [...(list[idx].ranges?.[category] || [ratio, ratio])];
+            range[bound] = numVal;
+            list[idx].ranges = { ...list[idx].ranges, [category]: range };
+            return list;
+        });
+    };
+
+    const handleAddPhase = () => {
+        updatePhases(list => {
+            const last = list[list.length - 1];
+            // Close the open-ended last phase and append a new open-ended phase after it
+            if (last.toYear === null || last.toYear === undefined) last.toYear = last.fromYear;
+            const usedIds = new Set(list.map(p => p.id));
+            let n = list.length + 1;
+            while (usedIds.has(`phase${n}`)) n++;
+            list.push({
+                id: `phase${n}`,
+                label: `Fase ${n}`,
+                fromYear: last.toYear + 1,
+                toYear: null,
+                ratios: { ...last.ratios },
+                ranges: last.ranges ? JSON.parse(JSON.stringify(last.ranges)) : undefined
+            });
+            return list;
+        });
+    };
+
+    const handleRemovePhase = (idx) => {
+        updatePhases(list => {
+            if (list.length <= 1) return list;
+            list.splice(idx, 1);
+            // The new last phase takes over the remaining years
+            list[list.length - 1].toYear = null;
+            return list;
+        });
+    };
 
-        // Update profile
+    // kind: 'callProfiles' | 'distributionProfiles'. The net profile is always derived from both.
+    const handleCellChange = (category, kind, yearIndex, value) => {
+        const numVal = parseFloat(value);
+        if (isNaN(numVal) || numVal < 0) return;
+
+        // Update gross curve
         setLocalConfig(prev => {
             const next = { ...prev };
-            // Ensure array exists
-            if (!next.profiles[category]) return prev;
+            // Categories without curves in the configuration start from the curves in effect
+            if (!next.callProfiles?.[category] || !next.distributionProfiles?.[category]) {
+                const gross = resolveGrossProfiles(prev)[category];
+                if (!gross) return prev;
+                next.callProfiles = { ...next.callProfiles, [category]: [...gross.calls] };
+                next.distributionProfiles = { ...next.distributionProfiles, [category]: [...gross.distributions] };
+            }
             // Update value
-            next.profiles[category] = [...next.profiles[category]];
-            next.profiles[category][yearIndex] = numVal;
+            next[kind] = { ...next[kind], [category]: [...next[kind][category]] };
+            next[kind][category][yearIndex] = numVal;
+            next.profiles = {
+                ...next.profiles,
+                [category]: deriveNetProfile(next.callProfiles[category], next.distributionProfiles[category])
+            };
+            // Hand-edited curves no longer follow a generating model
+            if (next.profileModels?.[category]) {
+                next.profileModels = { ...next.profileModels };
+                delete next.profileModels[category];
+            }
             return next;
         });
     };
@@ -36,14 +141,28 @@ export default function SettingsModal({ isOpen, onClose, config, onConfigChange
             setImportMsg("Bestand verwerken...");
             setError(null);
 
-            const newProfiles = await parseFundData(file);
+            const newProfiles = await parseFundData(file, categories);
 
             setLocalConfig(prev => {
-                const next = { ...prev };
-                // Merge found profiles
-                if (newProfiles.pe) next.profiles.pe = newProfiles.pe;
-                if (newProfiles.vc) next.profiles.vc = newProfiles.vc;
-                if (newProfiles.secondaries) next.profiles.secondaries = newProfiles.secondaries;
+                const next = {
+                    ...prev,
+                    profiles: { ...prev.profiles },
+                    callProfiles: { ...prev.callProfiles },
+                    distributionProfiles: { ...prev.distributionProfiles }
+                };
+                // Merge found profiles. The workbook only holds net factors, so the
+                // gross curves are split from them (negative = call).
+                categoryIdList.forEach(cat => {
+                    if (!newProfiles[cat]) return;
+                    const { calls, distributions } = splitNetProfile(newProfiles[cat]);
+                    next.profiles[cat] = newProfiles[cat];
+                    next.callProfiles[cat] = calls;
+                    next.distributionProfiles[cat] = distributions;
+                    if (next.profileModels?.[cat]) {
+                        next.profileModels = { ...next.profileModels };
+                        delete next.profileModels[cat];
+                    }
+                });
                 return next;
             });
 
@@ -55,7 +174,318 @@ export default function SettingsModal({ isOpen, onClose, config, onConfigChange
         }
     };
 
+    const monteCarlo = { ...DEFAULT_MONTE_CARLO_SETTINGS, ...localConfig.monteCarlo };
+    const ticketConstraints = localConfig.ticketConstraints ?? DEFAULT_TICKET_CONSTRAINTS ?? {};
+
+    const handleTicketChange = (category, field, value) => {
+        const numVal = value === '' ? null : parseFloat(value);
+        if (numVal !== null && (isNaN(numVal) || numVal < 0)) return;
+        setLocalConfig(prev => {
+            const current = prev.ticketConstraints ?? DEFAULT_TICKET_CONSTRAINTS ?? {};
+            return { ...prev, ticketConstraints: { ...current, [category]: { ...current[category], [field]: numVal } } };
+        });
+    };
+
+    // Fees (gross-to-net) per category and layer; rates are entered as percentages
+    const feeSettings = resolveFeeSettings(localConfig.feeSettings);
+    const feeErrors = validateFeeSettings(feeSettings);
+    const feeLayers = [{ key: 'fund', label: 'Fonds' }, { key: 'fundOfFunds', label: 'Fund-of-funds' }];
+    const feeFields = [
+        { field: 'managementFee', label: 'Beheerverg. (% commitment)', percent: true },
+        { field: 'investmentPeriod', label: 'Inv. periode (jr)', percent: false },
+        { field: 'postInvestmentFee', label: 'Daarna (% NAV)', percent: true },
+        { field: 'hurdle', label: 'Hurdle (%)', percent: true },
+        { field: 'carry', label: 'Carry (%)', percent: true },
+        { field: 'catchUp', label: 'Catch-up (%)', percent: true }
+    ];
+
+    const updateFeeStructure = (category, updater) => {
+        setLocalConfig(prev => {
+            const current = resolveFeeSettings(prev.feeSettings);
+            const structure = current.categories[category] || { fund: null, fundOfFunds: null };
+            return { ...prev, feeSettings: { ...current, categories: { ...current.categories, [category]: updater(structure) } } };
+        });
+    };
+
+    const handleFeeTermChange = (category, layer, field, value, percent) => {
+        const numVal = parseFloat(value);
+        if (isNaN(numVal) || numVal < 0) return;
+        updateFeeStructure(category, structure => ({ ...structure, [layer]: { ...structure[layer], [field]: percent ? numVal / 100 : numVal } }));
+    };
+
+    // Recallable distributions per category; share as percentage, empty period = until the fund ends
+    const recallSettings = { ...DEFAULT_RECALL_SETTINGS, ...localConfig.recallSettings };
+    const recallErrors = validateRecallSettings(recallSettings);
+
+    const handleRecallChange = (category, field, value) => {
+        let numVal = null;
+        if (value !== '') {
+            numVal = parseFloat(value);
+            if (isNaN(numVal) || numVal < 0) return;
+            if (field === 'recallableShare') numVal = numVal / 100;
+        } else if (field === 'recallableShare') {
+            numVal = 0;
+        }
+        setLocalConfig(prev => {
+            const current = { ...DEFAULT_RECALL_SETTINGS, ...prev.recallSettings };
+            return { ...prev, recallSettings: { ...current, [category]: { ...current[category], [field]: numVal } } };
+        });
+    };
+
+    // NAV growth per category as percentage (empty = implied by the curves); a static NAV curve overrides it
+    const navGrowth = { ...DEFAULT_NAV_GROWTH, ...localConfig.navGrowth };
+    const navGrowthErrors = validateNavGrowth(navGrowth);
+
+    const handleNavGrowthChange = (category, value) => {
+        const numVal = value === '' ? null : parseFloat(value) / 100;
+        if (numVal !== null && isNaN(numVal)) return;
+        setLocalConfig(prev => ({ ...prev, navGrowth: { ...DEFAULT_NAV_GROWTH, ...prev.navGrowth, [category]: numVal } }));
+    };
+
+    const handleNavOverrideToggle = (category, useStatic) => {
+        setLocalConfig(prev => {
+            const navProfiles = { ...prev.navProfiles };
+            if (useStatic) navProfiles[category] = [...(NAV_PROFILES[category] || [])];
+            else delete navProfiles[category];
+            return { ...prev, navProfiles };
+        });
+    };
+
+    const handleFeeLayerToggle = (category, layer, enabled) => {
+        updateFeeStructure(category, structure => ({
+            ...structure,
+            [layer]: enabled ? { managementFee: 0, investmentPeriod: 5, postInvestmentFee: 0, hurdle: 0, carry: 0, catchUp: 0 } : null
+        }));
+    };
+
+    // Takahashi-Alexander parameters: stored model params, else the working draft, else defaults
+    const taParams = (cat) => taDrafts[cat] || localConfig.profileModels?.[cat]?.params || DEFAULT_TA_PARAMETERS[cat] || DEFAULT_TA_PARAMETERS.pe;
+
+    const taErrors = categoryIdList.flatMap(cat => validateTakahashiAlexanderParameters(taParams(cat)).map(err => `${categoryLabels[cat]}: ${err}`));
+
+    const handleTaParamChange = (category, field, value) => {
+        let parsed;
+        if (field === 'rateOfContribution') {
+            // ';' separated list of rates, e.g. "0.25; 0.33; 0.5" (decimal comma allowed)
+            parsed = value.split(';').map(v => v.trim()).filter(Boolean).map(v => Number(v.replace(',', '.')));
+            if (parsed.length === 0 || parsed.some(isNaN)) return;
+        } else {
+            parsed = parseFloat(value);
+            if (isNaN(parsed)) return;
+        }
+        setTaDrafts(prev => ({ ...prev, [category]: { ...taParams(category), [field]: parsed } }));
+    };
+
+    const handleGenerateTa = (category) => {
+        try {
+            const params = taParams(category);
+            const curves = generateTakahashiAlexanderProfile(params);
+            setLocalConfig(prev => ({
+                ...prev,
+                callProfiles: { ...prev.callProfiles, [category]: curves.calls },
+                distributionProfiles: { ...prev.distributionProfiles, [category]: curves.distributions },
+                profiles: { ...prev.profiles, [category]: deriveNetProfile(curves.calls, curves.distributions) },
+                navProfiles: { ...prev.navProfiles, [category]: curves.nav },
+                profileModels: { ...prev.profileModels, [category]: { type: 'takahashiAlexander', params } }
+            }));
+            setError(null);
+            setImportMsg(`Takahashi-Alexander curves gegenereerd voor ${category}.`);
+        } catch (err) {
+            setError('Genereren mislukt: ' + err.message);
+        }
+    };
+
+    // Category registry editing. A new category gets a copy of the PE curves so it can be planned right away.
+    const updateCategories = (updater) => {
+        setLocalConfig(prev => ({ ...prev, categories: updater(resolveCategories(prev).map(c => ({ ...c }))) }));
+    };
+
+    const handleCategoryChange = (idx, field, value) => {
+        const parsed = field === 'importAliases'
+            ? value.split(',').map(alias => alias.trim().toLowerCase()).filter(Boolean)
+            : value;
+        updateCategories(list => {
+            list[idx][field] = parsed;
+            return list;
+        });
+    };
+
+    const handleAddCategory = () => {
+        const used = new Set(categoryIdList);
+        let n = categoryIdList.length + 1;
+        while (used.has(`category${n}`)) n++;
+        const id = `category${n}`;
+        const template = categories.find(c => c.id === 'pe') || categories[0];
+        const calls = [...(localConfig.callProfiles?.[template.id] || template.profiles.calls)];
+        const distributions = [...(localConfig.distributionProfiles?.[template.id] || template.profiles.distributions)];
+        setLocalConfig(prev => ({
+            ...prev,
+            categories: [
+                ...resolveCategories(prev),
+                { id, label: `Categorie ${n}`, shortLabel: `Cat ${n}`, color: '#9CA3AF', exportCode: `Cat ${n}`, importAliases: [], profiles: { calls, distributions } }
+            ],
+            callProfiles: { ...prev.callProfiles, [id]: calls },
+            distributionProfiles: { ...prev.distributionProfiles, [id]: distributions },
+            profiles: { ...prev.profiles, [id]: deriveNetProfile(calls, distributions) }
+        }));
+    };
+
+    const handleRemoveCategory = (idx) => {
+        updateCategories(list => (list.length > 1 ? list.filter((_, i) => i !== idx) : list));
+    };
+
+    // Fund pipeline editing
+    const updatePipeline = (updater) => {
+        setLocalConfig(prev => ({ ...prev, fundPipeline: updater((prev.fundPipeline || DEFAULT_FUND_PIPELINE).map(f => ({ ...f }))) }));
+    };
+
+    const handlePipelineChange = (idx, field, value) => {
+        const numericFields = ['firstCloseYear', 'finalCloseYear', 'minTicket', 'maxTicket'];
+        let parsed = value;
+        if (numericFields.includes(field)) {
+            parsed = value === '' ? null : parseFloat(value);
+            if (parsed !== null && isNaN(parsed)) return;
+        }
+        updatePipeline(list => {
+            list[idx][field] = parsed;
+            return list;
+        });
+    };
+
+    const handleAddPipelineFund = () => {
+        updatePipeline(list => [
+            ...list,
+            { id: `fund-${Date.now()}`, name: '', category: categoryIdList.includes('pe') ? 'pe' : categoryIdList[0], firstCloseYear: new Date().getFullYear(), finalCloseYear: new Date().getFullYear() + 1, minTicket: 250000, maxTicket: 2000000, currency: 'EUR', profile: null }
+        ]);
+    };
+
+    // Back to the category curves: drop the fund's own gross curves and net profile
+    const handleResetFundProfile = (idx) => {
+        updatePipeline(list => {
+            list[idx] = { ...list[idx], calls: null, distributions: null, profile: null };
+            return list;
+        });
+    };
+
+    const handleRemovePipelineFund = (idx) => {
+        updatePipeline(list => list.filter((_, i) => i !== idx));
+    };
+
+    const handleMonteCarloChange = (field, value) => {
+        const numVal = parseFloat(value);
+        if (isNaN(numVal)) return;
+        setLocalConfig(prev => ({ ...prev, monteCarlo: { ...DEFAULT_MONTE_CARLO_SETTINGS, ...prev.monteCarlo, [field]: numVal } }));
+    };
+
+    const handleVolatilityChange = (category, field, value) => {
+        const numVal = parseFloat(value);
+        if (isNaN(numVal) || numVal < 0) return;
+        setLocalConfig(prev => {
+            const current = { ...DEFAULT_MONTE_CARLO_SETTINGS, ...prev.monteCarlo };
+            return {
+                ...prev,
+                monteCarlo: {
+                    ...current,
+                    volatilities: {
+                        ...current.volatilities,
+                        [category]: { ...current.volatilities[category], [field]: numVal }
+                    }
+                }
+            };
+        });
+    };
+
+    // Stress scenario editing
+    const stressScenarios = localConfig.stressScenarios || DEFAULT_STRESS_SCENARIOS;
+
+    const updateStressScenarios = (updater) => {
+        setLocalConfig(prev => ({ ...prev, stressScenarios: updater((prev.stressScenarios || DEFAULT_STRESS_SCENARIOS).map(s => ({ ...s }))) }));
+    };
+
+    const handleStressChange = (idx, field, value) => {
+        if (field === 'name') {
+            updateStressScenarios(list => { list[idx].name = value; return list; });
+            return;
+        }
+        const numVal = value === '' ? 0 : parseFloat(value);
+        if (isNaN(numVal) || numVal < 0) return;
+        updateStressScenarios(list => {
+            const scenario = list[idx];
+            if (field === 'multipleCut') scenario.multipleCut = Math.min(100, numVal) / 100;
+            else if (field === 'freezeStart' || field === 'freezeYears') {
+                const freeze = { start: 0, years: 0, ...scenario.exitFreeze };
+                freeze[field === 'freezeStart' ? 'start' : 'years'] = Math.round(numVal);
+                scenario.exitFreeze = freeze.years > 0 ? freeze : null;
+            } else scenario[field] = Math.round(numVal);
+            return list;
+        });
+    };
+
+    const handleAddStressScenario = () => {
+        updateStressScenarios(list => [
+            ...list,
+            { id: `stress-${Date.now()}`, name: 'Nieuw scenario', distributionDelay: 0, callAcceleration: 0, multipleCut: 0, exitFreeze: null }
+        ]);
+    };
+
+    const handleRemoveStressScenario = (idx) => {
+        updateStressScenarios(list => list.filter((_, i) => i !== idx));
+    };
+
+    // Sensitivity ranges (percentages are entered as whole numbers)
+    const sensitivityRanges = { ...DEFAULT_SENSITIVITY_RANGES, ...localConfig.sensitivityRanges };
+
+    const handleSensitivityRangeChange = (field, bound, value, percent) => {
+        const numVal = parseFloat(value);
+        if (isNaN(numVal)) return;
+        setLocalConfig(prev => {
+            const current = { ...DEFAULT_SENSITIVITY_RANGES, ...prev.sensitivityRanges };
+            return { ...prev, sensitivityRanges: { ...current, [field]: { ...current[field], [bound]: percent ? numVal / 100 : Math.round(numVal) } } };
+        });
+    };
+
+    // Quarterly split of annual calls and distributions (weights entered as percentages)
+    const quarterlySplit = { ...DEFAULT_QUARTERLY_SPLIT, ...localConfig.quarterlySplit };
+    const quarterlySplitErrors = validateQuarterlySplit(quarterlySplit);
+
+    const handleQuarterlySplitChange = (key, quarter, value) => {
+        const numVal = parseFloat(value);
+        if (isNaN(numVal)) return;
+        setLocalConfig(prev => {
+            const current = { ...DEFAULT_QUARTERLY_SPLIT, ...prev.quarterlySplit };
+            return { ...prev, quarterlySplit: { ...current, [key]: current[key].map((w, q) => (q === quarter ? numVal / 100 : w)) } };
+        });
+    };
+
     const handleSave = () => {
+        if (phaseErrors.length > 0) {
+            setError('Ongeldige fases: ' + phaseErrors.join(' '));
+            return;
+        }
+        if (pipelineErrors.length > 0) {
+            setError('Ongeldige fondspipeline: ' + pipelineErrors.join(' '));
+            return;
+        }
+        if (categoryErrors.length > 0) {
+            setError('Ongeldige categorieën: ' + categoryErrors.join(' '));
+            return;
+        }
+        if (feeErrors.length > 0) {
+            setError('Ongeldige kosten: ' + feeErrors.join(' '));
+            return;
+        }
+        if (navGrowthErrors.length > 0) {
+            setError('Ongeldige NAV groei: ' + navGrowthErrors.join(' '));
+            return;
+        }
+        if (recallErrors.length > 0) {
+            setError('Ongeldige terugvorderbare distributies: ' + recallErrors.join(' '));
+            return;
+        }
+        if (quarterlySplitErrors.length > 0) {
+            setError('Ongeldige kwartaalverdeling: ' + quarterlySplitErrors.join(' '));
+            return;
+        }
         try {
             onConfigChange(localConfig);
             setError(null);
@@ -95,10 +525,92 @@ export default function SettingsModal({ isOpen, onClose, config, onConfigChange
                         </div>
                     )}
 
+                    {/* Category Registry */}
+                    <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+                        <div className="px-4 py-3 bg-gray-50 border-b border-gray-200 flex justify-between items-center">
+                            <h3 className="text-sm font-bold text-gray-700 uppercase">Categorieën</h3>
+                            <button onClick={handleAddCategory} className="flex items-center gap-1 text-xs font-bold text-gray-600 hover:text-gray-900 uppercase">
+                                <Plus size={12} /> Categorie
+                            </button>
+                        </div>
+                        <table className="w-full text-xs">
+                            <thead className="bg-gray-50 text-gray-500 font-medium border-b border-gray-200">
+                                <tr>
+                                    <th className="px-3 py-2 text-left">Id</th>
+                                    <th className="px-3 py-2 text-left">Naam</th>
+                                    <th className="px-3 py-2 text-left">Korte naam</th>
+                                    <th className="px-3 py-2 text-left">Kleur</th>
+                                    <th className="px-3 py-2 text-left">Export code</th>
+                                    <th className="px-3 py-2 text-left">Import herkenning</th>
+                                    <th className="px-3 py-2"></th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-gray-100">
+                                {categories.map((category, idx) => (
+                                    <tr key={idx}>
+                                        <td className="px-3 py-1 font-mono text-gray-500">{category.id}</td>
+                                        {['label', 'shortLabel'].map(field => (
+                                            <td key={field} className="px-1 py-1">
+                                                <input
+                                                    type="text"
+                                                    value={category[field]}
+                                                    onChange={(e) => handleCategoryChange(idx, field, e.target.value)}
+                                                    className="w-full px-2 py-1.5 focus:bg-blue-50 focus:outline-none text-xs font-medium"
+                                                />
+                                            </td>
+                                        ))}
+                                        <td className="px-1 py-1">
+                                            <input
+                                                type="color"
+                                                value={category.color || '#9CA3AF'}
+                                                onChange={(e) => handleCategoryChange(idx, 'color', e.target.value)}
+                                                className="w-10 h-6 cursor-pointer"
+                                            />
+                                        </td>
+                                        <td className="px-1 py-1">
+                                            <input
+                                                type="text"
+                                                value={category.exportCode}
+                                                onChange={(e) => handleCategoryChange(idx, 'exportCode', e.target.value)}
+                                                className="w-full px-2 py-1.5 focus:bg-blue-50 focus:outline-none text-xs"
+                                            />
+                                        </td>
+                                        <td className="px-1 py-1">
+                                            <input
+                                                key={category.importAliases.join(',')}
+                                                type="text"
+                                                defaultValue={category.importAliases.join(', ')}
+                                                onBlur={(e) => handleCategoryChange(idx, 'importAliases', e.target.value)}
+                                                className="w-full px-2 py-1.5 focus:bg-blue-50 focus:outline-none text-xs text-gray-500"
+                                            />
+                                        </td>
+                                        <td className="px-3 py-1 text-right">
+                                            <button
+                                                onClick={() => handleRemoveCategory(idx)}
+                                                disabled={categories.length <= 1}
+                                                className="text-gray-400 hover:text-red-600 disabled:opacity-30"
+                                            >
+                                                <Trash2 size={12} />
+                                            </button>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                        {categoryErrors.length > 0 && (
+                            <div className="p-2 bg-red-50 text-[10px] text-red-700 border-t border-red-200 space-y-0.5">
+                                {categoryErrors.map(err => <div key={err}>{err}</div>)}
+                            </div>
+                        )}
+                        <div className="p-2 bg-gray-50 text-[10px] text-gray-400 border-t border-gray-200 text-center">
+                            Een nieuwe categorie start met de curves van Private Equity; pas curves, fase ratio's en tickets hieronder aan en selecteer de categorie in de zijbalk.
+                        </div>
+                    </div>
+
                     {/* Editable Table: Cashflow Profiles */}
                     <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
                         <div className="px-4 py-3 bg-gray-50 border-b border-gray-200">
-                            <h3 className="text-sm font-bold text-gray-700 uppercase">Cashflow J-Curves (Netto Kasstroom Ratio)</h3>
+                            <h3 className="text-sm font-bold text-gray-700 uppercase">Cashflow J-Curves (Calls, Distributies & Netto Kasstroom Ratio)</h3>
                         </div>
                         <div className="overflow-x-auto">
                             <table className="w-full text-xs text-right">
@@ -111,32 +623,741 @@ export default function SettingsModal({ isOpen, onClose, config, onConfigChange
                                     </tr>
                                 </thead>
                                 <tbody className="divide-y divide-gray-100">
-                                    {['secondaries', 'pe', 'vc'].map(cat => (
-                                        <tr key={cat} className="hover:bg-gray-50 group">
-                                            <td className="px-4 py-4 font-bold text-left text-[#0B1E3D] uppercase border-r border-gray-100 sticky left-0 bg-white z-10">
-                                                {cat}
+                                    {categoryIdList.map(cat => (
+                                        <React.Fragment key={cat}>
+                                            {[
+                                                { kind: 'callProfiles', label: 'Calls' },
+                                                { kind: 'distributionProfiles', label: 'Distributies' }
+                                            ].map(({ kind, label }) => (
+                                                <tr key={kind} className="hover:bg-gray-50 group">
+                                                    <td className="px-4 py-2 font-bold text-left text-[#0B1E3D] uppercase border-r border-gray-100 sticky left-0 bg-white z-10">
+                                                        {categoryLabels[cat]} <span className="block text-[10px] font-medium normal-case text-gray-400">{label}</span>
+                                                    </td>
+                                                    {Array.from({ length: 15 }).map((_, i) => {
+                                                        const val = localConfig[kind]?.[cat]?.[i] ?? grossProfiles[cat]?.[kind === 'callProfiles' ? 'calls' : 'distributions']?.[i] ?? 0;
+                                                        return (
+                                                            <td key={i} className="px-1 py-1 border-r border-gray-100 p-0 h-full">
+                                                                <input
+                                                                    type="number"
+                                                                    step="0.0001"
+                                                                    min="0"
+                                                                    value={val}
+                                                                    onChange={(e) => handleCellChange(cat, kind, i, e.target.value)}
+                                                                    className={`w-full h-full min-h-[36px] px-2 py-2 text-right focus:bg-blue-50 focus:outline-none text-xs font-medium transition-colors ${kind === 'callProfiles' ? 'text-red-700' : 'text-green-700'}`}
+                                                                />
+                                                            </td>
+                                                        );
+                                                    })}
+                                                </tr>
+                                            ))}
+                                            <tr className="bg-gray-50 border-b-2 border-gray-200">
+                                                <td className="px-4 py-2 text-left text-[10px] font-bold text-gray-500 uppercase border-r border-gray-100 sticky left-0 bg-gray-50 z-10">
+                                                    Netto
+                                                </td>
+                                                {Array.from({ length: 15 }).map((_, i) => {
+                                                    const val = localConfig.profiles?.[cat]?.[i] ?? ((grossProfiles[cat]?.distributions[i] ?? 0) - (grossProfiles[cat]?.calls[i] ?? 0));
+                                                    return (
+                                                        <td key={i} className={`px-3 py-2 border-r border-gray-100 text-xs font-medium ${val < 0 ? 'text-red-700' : 'text-green-700'}`}>
+                                                            {val.toFixed(4)}
+                                                        </td>
+                                                    );
+                                                })}
+                                            </tr>
+                                        </React.Fragment>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                        <div className="p-2 bg-gray-50 text-[10px] text-gray-400 border-t border-gray-200 text-center">
+                            Calls en distributies zijn positieve ratio's t.o.v. commitment (bijv. 0.5 = 50% call). Netto = distributie - call.
+                        </div>
+                    </div>
+
+                    {/* Editable Table: Allocation Phases */}
+                    <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+                        <div className="px-4 py-3 bg-gray-50 border-b border-gray-200 flex justify-between items-center">
+                            <h3 className="text-sm font-bold text-gray-700 uppercase">Allocatie Fases (Ratio & Bandbreedte)</h3>
+                            <button
+                                onClick={handleAddPhase}
+                                className="flex items-center gap-1 text-xs font-bold text-[#0B1E3D] hover:text-[#C5A572] uppercase"
+                            >
+                                <Plus size={12} /> Fase toevoegen
+                            </button>
+                        </div>
+                        <div className="overflow-x-auto">
+                            <table className="w-full text-xs text-right">
+                                <thead className="bg-gray-50 text-gray-500 font-medium border-b border-gray-200">
+                                    <tr>
+                                        <th className="px-4 py-3 text-left border-r border-gray-100">Fase</th>
+                                        <th className="px-2 py-3 border-r border-gray-100">Van Jaar</th>
+                                        <th className="px-2 py-3 border-r border-gray-100">Tot Jaar</th>
+                                        {categoryIdList.map(cat => (
+                                            <th key={cat} colSpan={3} className="px-2 py-3 border-r border-gray-100 uppercase text-center">
+                                                {categoryLabels[cat]} <span className="normal-case font-normal text-gray-400">(ratio / min / max)</span>
+                                            </th>
+                                        ))}
+                                        <th className="px-2 py-3"></th>
+                                    </tr>
+                                </thead>
+                                <tbody className="divide-y divide-gray-100">
+                                    {phases.map((phase, idx) => (
+                                        <tr key={phase.id} className="hover:bg-gray-50">
+                                            <td className="px-4 py-2 font-bold text-left text-[#0B1E3D] border-r border-gray-100">
+                                                {phase.label || phase.id}
                                             </td>
-                                            {Array.from({ length: 15 }).map((_, i) => {
-                                                const val = localConfig.profiles[cat]?.[i] ?? 0;
+                                            <td className="px-1 py-1 border-r border-gray-100">
+                                                <input
+                                                    type="number"
+                                                    min="1"
+                                                    value={phase.fromYear}
+                                                    onChange={(e) => handlePhaseYearChange(idx, 'fromYear', e.target.value)}
+                                                    className="w-16 px-2 py-2 text-right focus:bg-blue-50 focus:outline-none text-xs font-medium"
+                                                />
+                                            </td>
+                                            <td className="px-1 py-1 border-r border-gray-100">
+                                                <input
+                                                    type="number"
+                                                    min="1"
+                                                    value={phase.toYear ?? ''}
+                                                    placeholder="open"
+                                                    onChange={(e) => handlePhaseYearChange(idx, 'toYear', e.target.value)}
+                                                    className="w-16 px-2 py-2 text-right focus:bg-blue-50 focus:outline-none text-xs font-medium"
+                                                />
+                                            </td>
+                                            {categoryIdList.map(cat => {
+                                                const ratio = phase.ratios?.[cat] ?? 0;
+                                                const range = phase.ranges?.[cat] || [ratio, ratio];
                                                 return (
-                                                    <td key={i} className="px-1 py-1 border-r border-gray-100 p-0 h-full">
-                                                        <input
-                                                            type="number"
-                                                            step="0.0001"
-                                                            value={val}
-                                                            onChange={(e) => handleCellChange(cat, i, e.target.value)}
-                                                            className={`w-full h-full min-h-[44px] px-2 py-2 text-right focus:bg-blue-50 focus:outline-none text-xs font-medium transition-colors ${val < 0 ? 'text-red-700' : 'text-green-700'}`}
-                                                        />
-                                                    </td>
+                                                    <React.Fragment key={cat}>
+                                                        <td className="px-1 py-1 border-l border-gray-100">
+                                                            <input
+                                                                type="number"
+                                                                step="0.05"
+                                                                value={ratio}
+                                                                onChange={(e) => handlePhaseRatioChange(idx, cat, e.target.value)}
+                                                                className="w-16 px-2 py-2 text-right focus:bg-blue-50 focus:outline-none text-xs font-bold"
+                                                            />
+                                                        </td>
+                                                        {[0, 1].map(bound => (
+                                                            <td key={bound} className="px-1 py-1">
+                                                                <input
+                                                                    type="number"
+                                                                    step="0.05"
+                                                                    value={range[bound]}
+                                                                    onChange={(e) => handlePhaseRangeChange(idx, cat, bound, e.target.value)}
+                                                                    className="w-16 px-2 py-2 text-right focus:bg-blue-50 focus:outline-none text-xs text-gray-500"
+                                                                />
+                                                            </td>
+                                                        ))}
+                                                    </React.Fragment>
                                                 );
                                             })}
+                                            <td className="px-2 py-1 border-l border-gray-100 text-center">
+                                                <button
+                                                    onClick={() => handleRemovePhase(idx)}
+                                                    disabled={phases.length <= 1}
+                                                    className="text-gray-400 hover:text-red-600 disabled:opacity-30"
+                                                    title="Verwijder fase"
+                                                >
+                                                    <Trash2 size={14} />
+                                                </button>
+                                            </td>
                                         </tr>
                                     ))}
                                 </tbody>
                             </table>
                         </div>
+                        {phaseErrors.length > 0 ? (
+                            <div className="p-2 bg-red-50 text-[10px] text-red-700 border-t border-red-200">
+                                {phaseErrors.map((msg, i) => <div key={i}>{msg}</div>)}
+                            </div>
+                        ) : (
+                            <div className="p-2 bg-gray-50 text-[10px] text-gray-400 border-t border-gray-200 text-center">
+                                Jaren zijn planjaren (1 = startjaar). Laat 'Tot Jaar' leeg voor een open einde; fases moeten zonder gaten of overlap aansluiten.
+                            </div>
+                        )}
+                    </div>
+
+                    {/* Takahashi-Alexander Model */}
+                    <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+                        <div className="px-4 py-3 bg-gray-50 border-b border-gray-200">
+                            <h3 className="text-sm font-bold text-gray-700 uppercase">Takahashi-Alexander (Yale) Model</h3>
+                        </div>
+                        <table className="w-full text-xs text-right">
+                            <thead className="bg-gray-50 text-gray-500 font-medium border-b border-gray-200">
+                                <tr>
+                                    <th className="px-4 py-2 text-left">Categorie</th>
+                                    <th className="px-2 py-2">Rate of Contribution (per jaar)</th>
+                                    <th className="px-2 py-2">Bow</th>
+                                    <th className="px-2 py-2">Groei</th>
+                                    <th className="px-2 py-2">Looptijd (jaren)</th>
+                                    <th className="px-2 py-2">Yield</th>
+                                    <th className="px-2 py-2"></th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-gray-100">
+                                {categoryIdList.map(cat => {
+                                    const ta = taParams(cat);
+                                    const isActive = localConfig.profileModels?.[cat]?.type === 'takahashiAlexander';
+                                    return (
+                                        <tr key={cat}>
+                                            <td className="px-4 py-2 font-bold text-left text-[#0B1E3D] uppercase">
+                                                {categoryLabels[cat]}
+                                                {isActive && <span className="ml-2 text-[10px] normal-case font-medium text-[#C5A572]">actief</span>}
+                                            </td>
+                                            <td className="px-1 py-1">
+                                                <input
+                                                    key={ta.rateOfContribution.join(';')}
+                                                    type="text"
+                                                    defaultValue={ta.rateOfContribution.join('; ')}
+                                                    onBlur={(e) => handleTaParamChange(cat, 'rateOfContribution', e.target.value)}
+                                                    className="w-full px-2 py-2 text-right focus:bg-blue-50 focus:outline-none text-xs font-medium"
+                                                />
+                                            </td>
+                                            {['bow', 'growth', 'lifetime', 'yield'].map(field => (
+                                                <td key={field} className="px-1 py-1">
+                                                    <input
+                                                        type="number"
+                                                        step={field === 'lifetime' ? 1 : 0.01}
+                                                        value={ta[field]}
+                                                        onChange={(e) => handleTaParamChange(cat, field, e.target.value)}
+                                                        className="w-20 px-2 py-2 text-right focus:bg-blue-50 focus:outline-none text-xs font-medium"
+                                                    />
+                                                </td>
+                                            ))}
+                                            <td className="px-2 py-1">
+                                                <button
+                                                    onClick={() => handleGenerateTa(cat)}
+                                                    className="px-3 py-1 bg-gray-100 hover:bg-gray-200 text-gray-700 rounded text-[10px] font-bold uppercase border border-gray-300"
+                                                >
+                                                    Genereer
+                                                </button>
+                                            </td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                        {taErrors.length > 0 && (
+                            <div className="p-2 bg-red-50 text-[10px] text-red-700 border-t border-red-200 space-y-0.5">
+                                {taErrors.map(err => <div key={err}>{err}</div>)}
+                            </div>
+                        )}
+                        <div className="p-2 bg-gray-50 text-[10px] text-gray-400 border-t border-gray-200 text-center">
+                            Genereert call-, distributie- en NAV-curves en overschrijft de J-Curve van de categorie. Rates gescheiden door ';' (laatste waarde geldt voor volgende jaren).
+                        </div>
+                    </div>
+
+                    {/* Fund Pipeline */}
+                    <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+                        <div className="px-4 py-3 bg-gray-50 border-b border-gray-200 flex justify-between items-center">
+                            <h3 className="text-sm font-bold text-gray-700 uppercase">Fondspipeline</h3>
+                            <button onClick={handleAddPipelineFund} className="flex items-center gap-1 text-xs font-bold text-gray-600 hover:text-gray-900 uppercase">
+                                <Plus size={12} /> Fonds
+                            </button>
+                        </div>
+                        <table className="w-full text-xs">
+                            <thead className="bg-gray-50 text-gray-500 font-medium border-b border-gray-200">
+                                <tr>
+                                    <th className="px-3 py-2 text-left">Fonds</th>
+                                    <th className="px-3 py-2 text-left">Categorie</th>
+                                    <th className="px-3 py-2 text-right">First close</th>
+                                    <th className="px-3 py-2 text-right">Final close</th>
+                                    <th className="px-3 py-2 text-right">Min. ticket</th>
+                                    <th className="px-3 py-2 text-right">Max. ticket</th>
+                                    <th className="px-3 py-2 text-left">Valuta</th>
+                                    <th className="px-3 py-2 text-left">Profiel</th>
+                                    <th className="px-3 py-2"></th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-gray-100">
+                                {pipeline.map((fund, idx) => (
+                                    <tr key={fund.id}>
+                                        <td className="px-1 py-1">
+                                            <input
+                                                type="text"
+                                                value={fund.name}
+                                                onChange={(e) => handlePipelineChange(idx, 'name', e.target.value)}
+                                                className="w-full px-2 py-1.5 focus:bg-blue-50 focus:outline-none text-xs font-medium"
+                                            />
+                                        </td>
+                                        <td className="px-1 py-1">
+                                            <select
+                                                value={fund.category}
+                                                onChange={(e) => handlePipelineChange(idx, 'category', e.target.value)}
+                                                className="px-2 py-1.5 text-xs bg-white focus:outline-none"
+                                            >
+                                                {categories.map(category => (
+                                                    <option key={category.id} value={category.id}>{category.shortLabel}</option>
+                                                ))}
+                                            </select>
+                                        </td>
+                                        {['firstCloseYear', 'finalCloseYear', 'minTicket', 'maxTicket'].map(field => (
+                                            <td key={field} className="px-1 py-1">
+                                                <input
+                                                    type="number"
+                                                    step={field.endsWith('Year') ? 1 : 50000}
+                                                    value={fund[field] ?? ''}
+                                                    onChange={(e) => handlePipelineChange(idx, field, e.target.value)}
+                                                    className="w-full px-2 py-1.5 text-right focus:bg-blue-50 focus:outline-none text-xs"
+                                                />
+                                            </td>
+                                        ))}
+                                        <td className="px-1 py-1">
+                                            <input
+                                                type="text"
+                                                value={fund.currency || 'EUR'}
+                                                onChange={(e) => handlePipelineChange(idx, 'currency', e.target.value.toUpperCase())}
+                                                className="w-14 px-2 py-1.5 focus:bg-blue-50 focus:outline-none text-xs"
+                                            />
+                                        </td>
+                                        <td className="px-3 py-1 text-gray-500">
+                                            {fundOwnCurves(fund) ? (
+                                                <button onClick={() => handleResetFundProfile(idx)} className="hover:underline" title="Terug naar categorieprofiel">
+                                                    Eigen ({Math.max(fundOwnCurves(fund).calls.length, fundOwnCurves(fund).distributions.length)} jr{fundOwnCurves(fund).approximate ? ', netto' : ''})
+                                                </button>
+                                            ) : 'Categorie'}
+                                        </td>
+                                        <td className="px-3 py-1 text-right">
+                                            <button onClick={() => handleRemovePipelineFund(idx)} className="text-gray-400 hover:text-red-600">
+                                                <Trash2 size={12} />
+                                            </button>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                        {pipelineErrors.length > 0 && (
+                            <div className="p-2 bg-red-50 text-[10px] text-red-700 border-t border-red-200 space-y-0.5">
+                                {pipelineErrors.map(err => <div key={err}>{err}</div>)}
+                            </div>
+                        )}
+                        {pipelineWarnings.length > 0 && (
+                            <div className="p-2 bg-amber-50 text-[10px] text-amber-700 border-t border-amber-200 space-y-0.5">
+                                {pipelineWarnings.map(warning => <div key={warning}>{warning}</div>)}
+                            </div>
+                        )}
+                        <div className="p-2 bg-gray-50 text-[10px] text-gray-400 border-t border-gray-200 text-center">
+                            In de modus "Fondspipeline" worden de categoriebudgetten per jaar verdeeld over open fondsen (eerst sluitend eerst). Ieder fonds krijgt maximaal één commitment.
+                        </div>
+                    </div>
+
+                    {/* Ticket Sizes */}
+                    <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+                        <div className="px-4 py-3 bg-gray-50 border-b border-gray-200">
+                            <h3 className="text-sm font-bold text-gray-700 uppercase">Ticket Grootte</h3>
+                        </div>
+                        <table className="w-full text-xs text-right">
+                            <thead className="bg-gray-50 text-gray-500 font-medium border-b border-gray-200">
+                                <tr>
+                                    <th className="px-4 py-2 text-left">Categorie</th>
+                                    <th className="px-4 py-2">Min. ticket (€)</th>
+                                    <th className="px-4 py-2">Max. ticket (€)</th>
+                                    <th className="px-4 py-2">Afronding (€)</th>
+                                    <th className="px-4 py-2">Max. commitments / jaar</th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-gray-100">
+                                {categoryIdList.map(cat => (
+                                    <tr key={cat}>
+                                        <td className="px-4 py-2 font-bold text-left text-[#0B1E3D] uppercase">{categoryLabels[cat]}</td>
+                                        {['minTicket', 'maxTicket', 'roundingStep', 'maxCommitmentsPerYear'].map(field => (
+                                            <td key={field} className="px-1 py-1">
+                                                <input
+                                                    type="number"
+                                                    min="0"
+                                                    step={field === 'maxCommitmentsPerYear' ? 1 : 50000}
+                                                    value={ticketConstraints[cat]?.[field] ?? ''}
+                                                    placeholder="geen"
+                                                    onChange={(e) => handleTicketChange(cat, field, e.target.value)}
+                                                    className="w-full px-2 py-2 text-right focus:bg-blue-50 focus:outline-none text-xs font-medium"
+                                                />
+                                            </td>
+                                        ))}
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
                         <div className="p-2 bg-gray-50 text-[10px] text-gray-400 border-t border-gray-200 text-center">
-                            Waarden zijn ratio's t.o.v. commitment (bijv. -0.5 = 50% call).
+                            Allocaties onder het minimum worden samengevoegd met de grootste andere categorie. Leeg = geen restrictie.
+                        </div>
+                    </div>
+
+                    {/* Fees (gross-to-net) */}
+                    <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+                        <div className="px-4 py-3 bg-gray-50 border-b border-gray-200 flex justify-between items-center">
+                            <h3 className="text-sm font-bold text-gray-700 uppercase">Kosten (Bruto naar Netto)</h3>
+                            <label className="flex items-center gap-2 text-xs text-gray-600 cursor-pointer">
+                                <input
+                                    type="checkbox"
+                                    checked={feeSettings.enabled}
+                                    onChange={(e) => setLocalConfig(prev => ({ ...prev, feeSettings: { ...resolveFeeSettings(prev.feeSettings), enabled: e.target.checked } }))}
+                                    className="accent-[#C5A572]"
+                                />
+                                Profielen zijn bruto: kosten toepassen
+                            </label>
+                        </div>
+                        <table className={`w-full text-xs text-right ${feeSettings.enabled ? '' : 'opacity-50'}`}>
+                            <thead className="bg-gray-50 text-gray-500 font-medium border-b border-gray-200">
+                                <tr>
+                                    <th className="px-4 py-2 text-left">Categorie</th>
+                                    <th className="px-4 py-2 text-left">Laag</th>
+                                    {feeFields.map(({ field, label }) => <th key={field} className="px-4 py-2">{label}</th>)}
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-gray-100">
+                                {categoryIdList.flatMap(cat => feeLayers.map(({ key: layer, label }) => {
+                                    const terms = feeSettings.categories[cat]?.[layer];
+                                    return (
+                                        <tr key={`${cat}-${layer}`}>
+                                            <td className="px-4 py-2 font-bold text-left text-[#0B1E3D] uppercase">{layer === 'fund' ? categoryLabels[cat] : ''}</td>
+                                            <td className="px-4 py-2 text-left text-gray-600">
+                                                <label className="flex items-center gap-2 cursor-pointer">
+                                                    <input
+                                                        type="checkbox"
+                                                        checked={!!terms}
+                                                        onChange={(e) => handleFeeLayerToggle(cat, layer, e.target.checked)}
+                                                        className="accent-[#C5A572]"
+                                                    />
+                                                    {label}
+                                                </label>
+                                            </td>
+                                            {feeFields.map(({ field, percent }) => (
+                                                <td key={field} className="px-1 py-1">
+                                                    {terms ? (
+                                                        <input
+                                                            type="number"
+                                                            min="0"
+                                                            step={percent ? 0.25 : 1}
+                                                            value={percent ? Math.round((terms[field] || 0) * 10000) / 100 : (terms[field] ?? 0)}
+                                                            onChange={(e) => handleFeeTermChange(cat, layer, field, e.target.value, percent)}
+                                                            className="w-full px-2 py-2 text-right focus:bg-blue-50 focus:outline-none text-xs font-medium"
+                                                        />
+                                                    ) : (
+                                                        <span className="px-2 text-gray-300">-</span>
+                                                    )}
+                                                </td>
+                                            ))}
+                                        </tr>
+                                    );
+                                }))}
+                            </tbody>
+                        </table>
+                        <div className={`p-2 bg-gray-50 text-[10px] border-t border-gray-200 text-center ${feeErrors.length > 0 ? 'text-red-600' : 'text-gray-400'}`}>
+                            {feeErrors.length > 0
+                                ? feeErrors.join(' ')
+                                : 'Beheervergoeding komt uit de commitment; carry na teruggave van het ingelegde kapitaal plus hurdle, met catch-up. Fund-of-funds kosten komen bovenop die van het onderliggende fonds.'}
+                        </div>
+                    </div>
+
+                    {/* NAV derived from the cashflows */}
+                    <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+                        <div className="px-4 py-3 bg-gray-50 border-b border-gray-200">
+                            <h3 className="text-sm font-bold text-gray-700 uppercase">NAV Groei</h3>
+                        </div>
+                        <table className="w-full text-xs text-right">
+                            <thead className="bg-gray-50 text-gray-500 font-medium border-b border-gray-200">
+                                <tr>
+                                    <th className="px-4 py-2 text-left">Categorie</th>
+                                    <th className="px-4 py-2">Waardegroei (% p.j.)</th>
+                                    <th className="px-4 py-2">Statisch NAV profiel</th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-gray-100">
+                                {categoryIdList.map(cat => {
+                                    const growth = navGrowth[cat];
+                                    const hasOverride = localConfig.navProfiles?.[cat]?.length > 0;
+                                    const implied = grossProfiles[cat] ? resolveNavGrowth({ navGrowth: { [cat]: null } }, cat, grossProfiles[cat]) : 0;
+                                    return (
+                                        <tr key={cat} className={hasOverride ? 'text-gray-400' : ''}>
+                                            <td className="px-4 py-2 font-bold text-left text-[#0B1E3D] uppercase">{categoryLabels[cat]}</td>
+                                            <td className="px-1 py-1">
+                                                <input
+                                                    type="number"
+                                                    step="0.5"
+                                                    placeholder={`Impliciet ${(implied * 100).toFixed(1)}`}
+                                                    value={growth === null || growth === undefined ? '' : Math.round(growth * 10000) / 100}
+                                                    onChange={(e) => handleNavGrowthChange(cat, e.target.value)}
+                                                    disabled={hasOverride}
+                                                    className="w-full px-2 py-2 text-right focus:bg-blue-50 focus:outline-none text-xs font-medium"
+                                                />
+                                            </td>
+                                            <td className="px-4 py-2">
+                                                <label className="flex items-center justify-end gap-2 cursor-pointer text-gray-600">
+                                                    <input
+                                                        type="checkbox"
+                                                        checked={hasOverride}
+                                                        onChange={(e) => handleNavOverrideToggle(cat, e.target.checked)}
+                                                        disabled={!hasOverride && !NAV_PROFILES[cat]}
+                                                        className="accent-[#C5A572]"
+                                                    />
+                                                    {hasOverride ? 'Gebruikt' : 'Uit'}
+                                                </label>
+                                            </td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                        <div className={`p-2 bg-gray-50 text-[10px] border-t border-gray-200 text-center ${navGrowthErrors.length > 0 ? 'text-red-600' : 'text-gray-400'}`}>
+                            {navGrowthErrors.length > 0
+                                ? navGrowthErrors.join(' ')
+                                : 'NAV = vorige NAV x (1 + groei) + calls - distributies. Leeg = het rendement dat de cashflow curves impliceren, zodat de NAV na de laatste distributie op nul uitkomt. Een statisch profiel (of Takahashi-Alexander NAV) vervangt de afgeleide NAV.'}
+                        </div>
+                    </div>
+
+                    {/* Recallable distributions (recycling) */}
+                    <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+                        <div className="px-4 py-3 bg-gray-50 border-b border-gray-200">
+                            <h3 className="text-sm font-bold text-gray-700 uppercase">Terugvorderbare Distributies</h3>
+                        </div>
+                        <table className="w-full text-xs text-right">
+                            <thead className="bg-gray-50 text-gray-500 font-medium border-b border-gray-200">
+                                <tr>
+                                    <th className="px-4 py-2 text-left">Categorie</th>
+                                    <th className="px-4 py-2">Terugvorderbaar (% distributies)</th>
+                                    <th className="px-4 py-2">Termijn (jr)</th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-gray-100">
+                                {categoryIdList.map(cat => {
+                                    const terms = recallSettings[cat] || {};
+                                    return (
+                                        <tr key={cat}>
+                                            <td className="px-4 py-2 font-bold text-left text-[#0B1E3D] uppercase">{categoryLabels[cat]}</td>
+                                            <td className="px-1 py-1">
+                                                <input
+                                                    type="number"
+                                                    min="0"
+                                                    max="100"
+                                                    step="5"
+                                                    value={Math.round((terms.recallableShare || 0) * 10000) / 100}
+                                                    onChange={(e) => handleRecallChange(cat, 'recallableShare', e.target.value)}
+                                                    className="w-full px-2 py-2 text-right focus:bg-blue-50 focus:outline-none text-xs font-medium"
+                                                />
+                                            </td>
+                                            <td className="px-1 py-1">
+                                                <input
+                                                    type="number"
+                                                    min="1"
+                                                    step="1"
+                                                    placeholder="Looptijd"
+                                                    value={terms.recallPeriod ?? ''}
+                                                    onChange={(e) => handleRecallChange(cat, 'recallPeriod', e.target.value)}
+                                                    className="w-full px-2 py-2 text-right focus:bg-blue-50 focus:outline-none text-xs font-medium"
+                                                />
+                                            </td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                        <div className={`p-2 bg-gray-50 text-[10px] border-t border-gray-200 text-center ${recallErrors.length > 0 ? 'text-red-600' : 'text-gray-400'}`}>
+                            {recallErrors.length > 0
+                                ? recallErrors.join(' ')
+                                : 'Het terugvorderbare deel van de distributies telt op bij unfunded (en dus bij de solvabiliteitstoets) tot de termijn verstrijkt of het fonds eindigt. Leeg = tot einde looptijd.'}
+                        </div>
+                    </div>
+
+                    {/* Monte Carlo Settings */}
+                    <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+                        <div className="px-4 py-3 bg-gray-50 border-b border-gray-200">
+                            <h3 className="text-sm font-bold text-gray-700 uppercase">Monte Carlo Onzekerheid</h3>
+                        </div>
+                        <div className="p-4 grid grid-cols-3 gap-4 text-xs">
+                            {[
+                                { field: 'paths', label: "Aantal scenario's", step: 100 },
+                                { field: 'seed', label: 'Seed', step: 1 },
+                                { field: 'vintageCorrelation', label: 'Vintage correlatie (0-1)', step: 0.1 }
+                            ].map(({ field, label, step }) => (
+                                <label key={field} className="block">
+                                    <span className="block font-medium text-gray-600 mb-1">{label}</span>
+                                    <input
+                                        type="number"
+                                        step={step}
+                                        value={monteCarlo[field]}
+                                        onChange={(e) => handleMonteCarloChange(field, e.target.value)}
+                                        className="w-full px-3 py-2 border border-gray-300 rounded text-sm"
+                                    />
+                                </label>
+                            ))}
+                        </div>
+                        <table className="w-full text-xs text-right">
+                            <thead className="bg-gray-50 text-gray-500 font-medium border-y border-gray-200">
+                                <tr>
+                                    <th className="px-4 py-2 text-left">Categorie</th>
+                                    <th className="px-4 py-2">Call timing σ (jaren)</th>
+                                    <th className="px-4 py-2">Distributie timing σ (jaren)</th>
+                                    <th className="px-4 py-2">Multiple σ (relatief)</th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-gray-100">
+                                {categoryIdList.map(cat => (
+                                    <tr key={cat}>
+                                        <td className="px-4 py-2 font-bold text-left text-[#0B1E3D] uppercase">{categoryLabels[cat]}</td>
+                                        {['callTiming', 'distributionTiming', 'multiple'].map(field => (
+                                            <td key={field} className="px-1 py-1">
+                                                <input
+                                                    type="number"
+                                                    step="0.05"
+                                                    min="0"
+                                                    value={monteCarlo.volatilities[cat]?.[field] ?? 0}
+                                                    onChange={(e) => handleVolatilityChange(cat, field, e.target.value)}
+                                                    className="w-full px-2 py-2 text-right focus:bg-blue-50 focus:outline-none text-xs font-medium"
+                                                />
+                                            </td>
+                                        ))}
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+
+                    {/* Stress Scenarios */}
+                    <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+                        <div className="px-4 py-3 bg-gray-50 border-b border-gray-200 flex justify-between items-center">
+                            <h3 className="text-sm font-bold text-gray-700 uppercase">Stress Scenario's</h3>
+                            <button onClick={handleAddStressScenario} className="flex items-center gap-1 text-xs font-bold text-gray-600 hover:text-gray-900 uppercase">
+                                <Plus size={12} /> Scenario
+                            </button>
+                        </div>
+                        <table className="w-full text-xs">
+                            <thead className="bg-gray-50 text-gray-500 font-medium border-b border-gray-200">
+                                <tr>
+                                    <th className="px-3 py-2 text-left">Scenario</th>
+                                    <th className="px-3 py-2 text-right">Distributies later (jr)</th>
+                                    <th className="px-3 py-2 text-right">Calls eerder (jr)</th>
+                                    <th className="px-3 py-2 text-right">Multiple korting (%)</th>
+                                    <th className="px-3 py-2 text-right">Exit stop vanaf (jr)</th>
+                                    <th className="px-3 py-2 text-right">Exit stop duur (jr)</th>
+                                    <th className="px-3 py-2"></th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-gray-100">
+                                {stressScenarios.map((scenario, idx) => (
+                                    <tr key={scenario.id}>
+                                        <td className="px-1 py-1">
+                                            <input
+                                                type="text"
+                                                value={scenario.name}
+                                                onChange={(e) => handleStressChange(idx, 'name', e.target.value)}
+                                                className="w-full px-2 py-1.5 focus:bg-blue-50 focus:outline-none text-xs font-medium"
+                                            />
+                                        </td>
+                                        {[
+                                            { field: 'distributionDelay', value: scenario.distributionDelay || 0 },
+                                            { field: 'callAcceleration', value: scenario.callAcceleration || 0 },
+                                            { field: 'multipleCut', value: Math.round((scenario.multipleCut || 0) * 100) },
+                                            { field: 'freezeStart', value: scenario.exitFreeze?.start ?? 0 },
+                                            { field: 'freezeYears', value: scenario.exitFreeze?.years ?? 0 }
+                                        ].map(({ field, value }) => (
+                                            <td key={field} className="px-1 py-1">
+                                                <input
+                                                    type="number"
+                                                    min="0"
+                                                    step={field === 'multipleCut' ? 5 : 1}
+                                                    value={value}
+                                                    onChange={(e) => handleStressChange(idx, field, e.target.value)}
+                                                    className="w-full px-2 py-1.5 text-right focus:bg-blue-50 focus:outline-none text-xs"
+                                                />
+                                            </td>
+                                        ))}
+                                        <td className="px-3 py-1 text-right">
+                                            <button onClick={() => handleRemoveStressScenario(idx)} className="text-gray-400 hover:text-red-600">
+                                                <Trash2 size={12} />
+                                            </button>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                        <div className="p-2 bg-gray-50 text-[10px] text-gray-400 border-t border-gray-200 text-center">
+                            Stresstests herprojecteren het huidige commitmentplan (zonder herberekening) met aangepaste curves. Exit stop vanaf = jaar in het plan (0 = startjaar); distributies in die jaren worden uitgesteld tot na de stop.
+                        </div>
+                    </div>
+
+                    {/* Sensitivity Ranges */}
+                    <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+                        <div className="px-4 py-3 bg-gray-50 border-b border-gray-200">
+                            <h3 className="text-sm font-bold text-gray-700 uppercase">Gevoeligheidsanalyse</h3>
+                        </div>
+                        <table className="w-full text-xs text-right">
+                            <thead className="bg-gray-50 text-gray-500 font-medium border-b border-gray-200">
+                                <tr>
+                                    <th className="px-4 py-2 text-left">Aanname</th>
+                                    <th className="px-4 py-2">Laag</th>
+                                    <th className="px-4 py-2">Hoog</th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-gray-100">
+                                {[
+                                    { field: 'availableCapital', label: 'Beschikbaar kapitaal (%, relatief)', percent: true },
+                                    { field: 'maxYearlyChange', label: 'Max. jaarlijkse wijziging (%-punt)', percent: true },
+                                    { field: 'firstYearCap', label: 'Max. eerste jaar (%-punt)', percent: true },
+                                    { field: 'profileScale', label: 'Distributies & NAV per categorie (%, relatief)', percent: true },
+                                    { field: 'categoryRatio', label: 'Ratio per categorie (%-punt)', percent: true },
+                                    { field: 'planningHorizon', label: 'Planningshorizon (jaren)', percent: false }
+                                ].map(({ field, label, percent }) => (
+                                    <tr key={field}>
+                                        <td className="px-4 py-2 font-medium text-left text-gray-700">{label}</td>
+                                        {['low', 'high'].map(bound => (
+                                            <td key={bound} className="px-1 py-1">
+                                                <input
+                                                    type="number"
+                                                    step={percent ? 5 : 1}
+                                                    value={percent ? Math.round(sensitivityRanges[field][bound] * 100) : sensitivityRanges[field][bound]}
+                                                    onChange={(e) => handleSensitivityRangeChange(field, bound, e.target.value, percent)}
+                                                    className="w-full px-2 py-2 text-right focus:bg-blue-50 focus:outline-none text-xs font-medium"
+                                                />
+                                            </td>
+                                        ))}
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                        <div className="p-2 bg-gray-50 text-[10px] text-gray-400 border-t border-gray-200 text-center">
+                            Afwijking t.o.v. de huidige invoer. Iedere aanname wordt apart op de lage en de hoge waarde gezet.
+                        </div>
+                    </div>
+
+                    {/* Quarterly Split */}
+                    <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+                        <div className="px-4 py-3 bg-gray-50 border-b border-gray-200">
+                            <h3 className="text-sm font-bold text-gray-700 uppercase">Kwartaalverdeling</h3>
+                        </div>
+                        <table className="w-full text-xs text-right">
+                            <thead className="bg-gray-50 text-gray-500 font-medium border-b border-gray-200">
+                                <tr>
+                                    <th className="px-4 py-2 text-left">Kasstroom</th>
+                                    {[1, 2, 3, 4].map(q => <th key={q} className="px-4 py-2">Q{q} (%)</th>)}
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-gray-100">
+                                {[
+                                    { key: 'calls', label: 'Capital calls' },
+                                    { key: 'distributions', label: 'Distributies' }
+                                ].map(({ key, label }) => (
+                                    <tr key={key}>
+                                        <td className="px-4 py-2 font-medium text-left text-gray-700">{label}</td>
+                                        {quarterlySplit[key].map((weight, q) => (
+                                            <td key={q} className="px-1 py-1">
+                                                <input
+                                                    type="number"
+                                                    min="0" step="5"
+                                                    value={Math.round(weight * 1000) / 10}
+                                                    onChange={(e) => handleQuarterlySplitChange(key, q, e.target.value)}
+                                                    className="w-full px-2 py-2 text-right focus:bg-blue-50 focus:outline-none text-xs font-medium"
+                                                />
+                                            </td>
+                                        ))}
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                        <div className={`p-2 bg-gray-50 text-[10px] border-t border-gray-200 text-center ${quarterlySplitErrors.length > 0 ? 'text-red-600' : 'text-gray-400'}`}>
+                            {quarterlySplitErrors.length > 0
+                                ? quarterlySplitErrors.join(' ')
+                                : 'Verdeling van de jaarlijkse calls en distributies over de kwartalen bij projectiestap per kwartaal (wordt naar 100% geschaald).'}
                         </div>
                     </div>
 
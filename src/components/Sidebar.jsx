@@ -1,7 +1,10 @@
 import React, { useState } from 'react';
-import { Download, AlertTriangle, TrendingUp, DollarSign } from 'lucide-react';
+import { Download, AlertTriangle, TrendingUp, DollarSign, Plus, X } from 'lucide-react';
 import { exportToExcel, downloadBlob } from '../lib/export';
 import ExportModal from './ExportModal';
+import LegacyPortfolioModal from './LegacyPortfolioModal';
+import { resolveCategories } from '../lib/categories';
+import { DEFAULT_RELAXATION_SETTINGS } from '../config/dummyData';
 import logo from '../assets/logo.png';
 
 const FormattedNumberInput = ({ value, onChange, className }) => {
@@ -67,17 +70,91 @@ const FormattedNumberInput = ({ value, onChange, className }) => {
     );
 };
 
-export default function Sidebar({ params, setParams, categories, setCategories, result }) {
+export default function Sidebar({ params, setParams, config, categories, setCategories, result }) {
+    // Category registry from the configuration; selection and tax exemption are per category id
+    const categoryList = resolveCategories(config);
     const [isExportModalOpen, setIsExportModalOpen] = useState(false);
+    const [isLegacyModalOpen, setIsLegacyModalOpen] = useState(false);
 
-    const showWarning = !categories.secondaries || !categories.pe || !categories.vc;
+    const showWarning = categoryList.some(category => !categories[category.id]);
+
+    // Liquidity buffer: 'fixed' values are euros, percentage modes are stored as fractions
+    const buffer = params.liquidityBuffer || { mode: 'none', value: 0, schedule: {} };
+    const bufferIsPct = buffer.mode === 'capitalPct' || buffer.mode === 'navPct';
+    const setBuffer = (changes) => setParams({ ...params, liquidityBuffer: { ...buffer, ...changes } });
+    const setBufferScheduleEntry = (year, value) => {
+        const schedule = { ...(buffer.schedule || {}) };
+        if (value === null) delete schedule[year];
+        else schedule[year] = value;
+        setBuffer({ schedule });
+    };
+    const addBufferScheduleEntry = () => {
+        const years = Object.keys(buffer.schedule || {}).map(Number);
+        const nextYear = years.length ? Math.max(...years) + 1 : params.startYear + 5;
+        setBufferScheduleEntry(nextYear, buffer.value || 0);
+    };
+
+    // Money-market yield on idle cash (fraction per year, optionally changing per calendar year)
+    const cashYield = params.cashYield || { rate: 0, schedule: {} };
+    const setCashYield = (changes) => setParams({ ...params, cashYield: { ...cashYield, ...changes } });
+    const setCashYieldScheduleEntry = (year, value) => {
+        const schedule = { ...(cashYield.schedule || {}) };
+        if (value === null) delete schedule[year];
+        else schedule[year] = value;
+        setCashYield({ schedule });
+    };
+    const addCashYieldScheduleEntry = () => {
+        const years = Object.keys(cashYield.schedule || {}).map(Number);
+        const nextYear = years.length ? Math.max(...years) + 1 : params.startYear + 5;
+        setCashYieldScheduleEntry(nextYear, cashYield.rate || 0);
+    };
+
+    // Target exposure: NAV as a share of cash + NAV, optionally changing per calendar year
+    const targetExposure = params.targetExposure || { share: 0.7, fromYear: null, schedule: {} };
+    const setTargetExposure = (changes) => setParams({ ...params, targetExposure: { ...targetExposure, ...changes } });
+    const setTargetScheduleEntry = (year, value) => {
+        const schedule = { ...(targetExposure.schedule || {}) };
+        if (value === null) delete schedule[year];
+        else schedule[year] = value;
+        setTargetExposure({ schedule });
+    };
+    const addTargetScheduleEntry = () => {
+        const years = Object.keys(targetExposure.schedule || {}).map(Number);
+        const nextYear = years.length ? Math.max(...years) + 1 : (targetExposure.fromYear || params.startYear) + 1;
+        setTargetScheduleEntry(nextYear, targetExposure.share || 0);
+    };
+
+    // Scheduled external deposits and withdrawals
+    const externalFlows = params.externalFlows || [];
+    const setExternalFlows = (flows) => setParams({ ...params, externalFlows: flows });
+    const updateExternalFlow = (id, changes) => setExternalFlows(externalFlows.map(f => (f.id === id ? { ...f, ...changes } : f)));
+    const removeExternalFlow = (id) => setExternalFlows(externalFlows.filter(f => f.id !== id));
+    const addExternalFlow = () => setExternalFlows([
+        ...externalFlows,
+        { id: `flow-${Date.now()}`, type: 'deposit', amount: 1000000, year: params.startYear + 2, recurring: false, endYear: null, indexation: 0 }
+    ]);
+
+    // Corporate tax (VPB): brackets and loss offset rules come from the defaults
+    const tax = params.taxSettings || { enabled: false, solvencyAfterTax: false, participationExemption: {} };
+    const setTax = (changes) => setParams({ ...params, taxSettings: { ...tax, ...changes } });
+
+    // Optimiser: greedy (year by year) or a whole-horizon LP with an objective
+    const optimizer = params.optimizer || { mode: 'greedy', objective: 'maxCommitment', targetNav: 0.6 };
+    const setOptimizer = (changes) => setParams({ ...params, optimizer: { ...optimizer, ...changes } });
+
+    // Relaxation of the smoothing limits when the smoothed plan leaves capital idle
+    const relaxation = { ...DEFAULT_RELAXATION_SETTINGS, ...params.relaxation };
+    const setRelaxation = (changes) => setParams({ ...params, relaxation: { ...relaxation, ...changes } });
 
     const handleExport = async (clientName) => {
         if (!result) {
             throw new Error('Geen plan beschikbaar om te exporteren.');
         }
-        const { blob, filename } = await exportToExcel(result, params, clientName);
+        const { blob, filename, unregisteredFunds } = await exportToExcel(result, params, clientName);
         downloadBlob(blob, filename);
+        if (unregisteredFunds.length > 0) {
+            alert(`Export voltooid, maar de Fondsen sheet is vol. Niet toegevoegd: ${unregisteredFunds.join(', ')}.`);
+        }
     };
 
     return (
@@ -132,6 +209,137 @@ export default function Sidebar({ params, setParams, categories, setCategories,
                                 </select>
                             </div>
                         </div>
+
+                        <div>
+                            <label className="block text-xs font-medium text-gray-700 mb-1">Projectiestap</label>
+                            <select
+                                value={params.granularity || 'annual'}
+                                onChange={e => setParams({ ...params, granularity: e.target.value })}
+                                className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm bg-white"
+                            >
+                                <option value="annual">Per jaar</option>
+                                <option value="quarterly">Per kwartaal (solvabiliteit per kwartaal)</option>
+                            </select>
+                        </div>
+
+                        <div>
+                            <label className="block text-xs font-medium text-gray-700 mb-1">Rendement op Cash (% p.j.)</label>
+                            <div className="flex items-center gap-2">
+                                <input
+                                    type="number"
+                                    min="0" max="20" step="0.1"
+                                    value={Math.round((cashYield.rate || 0) * 1000) / 10}
+                                    onChange={e => setCashYield({ rate: (parseFloat(e.target.value) || 0) / 100 })}
+                                    className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+                                />
+                                <span className="text-xs text-gray-500">%</span>
+                            </div>
+                            <div className="mt-2 space-y-2">
+                                {Object.keys(cashYield.schedule || {}).map(Number).sort((a, b) => a - b).map(year => (
+                                    <div key={year} className="flex items-center gap-2 text-xs">
+                                        <span className="text-gray-500 w-14">Vanaf {year}</span>
+                                        <input
+                                            type="number"
+                                            min="0" max="20" step="0.1"
+                                            value={Math.round((cashYield.schedule[year] || 0) * 1000) / 10}
+                                            onChange={e => setCashYieldScheduleEntry(year, (parseFloat(e.target.value) || 0) / 100)}
+                                            className="flex-1 px-2 py-1 border border-gray-300 rounded-md text-xs"
+                                        />
+                                        <button onClick={() => setCashYieldScheduleEntry(year, null)} className="text-gray-400 hover:text-red-600">
+                                            <X size={12} />
+                                        </button>
+                                    </div>
+                                ))}
+                                <button
+                                    onClick={addCashYieldScheduleEntry}
+                                    className="flex items-center gap-1 text-[10px] font-bold text-gray-500 hover:text-gray-900 uppercase"
+                                >
+                                    <Plus size={10} /> Wijziging per jaar
+                                </button>
+                            </div>
+                        </div>
+
+                        <div>
+                            <label className="block text-xs font-medium text-gray-700 mb-1">Bestaande Portefeuille</label>
+                            <button
+                                onClick={() => setIsLegacyModalOpen(true)}
+                                className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm bg-white text-left hover:bg-gray-100 transition-colors"
+                            >
+                                {(params.legacyPortfolio || []).length === 0
+                                    ? 'Geen bestaande fondsen'
+                                    : `${params.legacyPortfolio.length} fonds(en) - ${new Intl.NumberFormat('nl-NL', { style: 'currency', currency: 'EUR', maximumFractionDigits: 0 }).format(params.legacyPortfolio.reduce((acc, f) => acc + (f.commitment || 0), 0))}`}
+                            </button>
+                        </div>
+
+                        <div>
+                            <label className="block text-xs font-medium text-gray-700 mb-1">Stortingen & Onttrekkingen</label>
+                            <div className="space-y-2">
+                                {externalFlows.map(flow => (
+                                    <div key={flow.id} className="bg-white p-2 rounded-md border border-gray-200 space-y-2 text-xs">
+                                        <div className="flex items-center gap-2">
+                                            <select
+                                                value={flow.type}
+                                                onChange={e => updateExternalFlow(flow.id, { type: e.target.value })}
+                                                className="flex-1 px-2 py-1 border border-gray-300 rounded-md text-xs bg-white"
+                                            >
+                                                <option value="deposit">Storting</option>
+                                                <option value="withdrawal">Onttrekking</option>
+                                            </select>
+                                            <input
+                                                type="number"
+                                                value={flow.year}
+                                                onChange={e => updateExternalFlow(flow.id, { year: parseInt(e.target.value, 10) || params.startYear })}
+                                                className="w-16 px-2 py-1 border border-gray-300 rounded-md text-xs"
+                                            />
+                                            <button onClick={() => removeExternalFlow(flow.id)} className="text-gray-400 hover:text-red-600">
+                                                <X size={12} />
+                                            </button>
+                                        </div>
+                                        <FormattedNumberInput
+                                            value={flow.amount || 0}
+                                            onChange={(val) => updateExternalFlow(flow.id, { amount: val })}
+                                            className="w-full px-2 py-1 border border-gray-300 rounded-md text-xs"
+                                        />
+                                        <label className="flex items-center gap-2 cursor-pointer">
+                                            <input
+                                                type="checkbox"
+                                                checked={!!flow.recurring}
+                                                onChange={e => updateExternalFlow(flow.id, { recurring: e.target.checked })}
+                                                className="w-3.5 h-3.5 rounded border-gray-300"
+                                            />
+                                            <span className="text-gray-700">Jaarlijks</span>
+                                        </label>
+                                        {flow.recurring && (
+                                            <div className="flex items-center gap-2">
+                                                <span className="text-gray-500">t/m</span>
+                                                <input
+                                                    type="number"
+                                                    placeholder="einde"
+                                                    value={flow.endYear ?? ''}
+                                                    onChange={e => updateExternalFlow(flow.id, { endYear: e.target.value === '' ? null : parseInt(e.target.value, 10) })}
+                                                    className="w-16 px-2 py-1 border border-gray-300 rounded-md text-xs"
+                                                />
+                                                <span className="text-gray-500">index</span>
+                                                <input
+                                                    type="number"
+                                                    step="0.1"
+                                                    value={Math.round((flow.indexation || 0) * 1000) / 10}
+                                                    onChange={e => updateExternalFlow(flow.id, { indexation: (parseFloat(e.target.value) || 0) / 100 })}
+                                                    className="w-14 px-2 py-1 border border-gray-300 rounded-md text-xs"
+                                                />
+                                                <span className="text-gray-500">%</span>
+                                            </div>
+                                        )}
+                                    </div>
+                                ))}
+                                <button
+                                    onClick={addExternalFlow}
+                                    className="flex items-center gap-1 text-[10px] font-bold text-gray-500 hover:text-gray-900 uppercase"
+                                >
+                                    <Plus size={10} /> Storting / onttrekking
+                                </button>
+                            </div>
+                        </div>
                     </section>
 
                     {/* Section 2: Strategy */}
@@ -140,15 +348,16 @@ export default function Sidebar({ params, setParams, categories, setCategories,
                             <TrendingUp size={14} /> Strategie & Mix
                         </h3>
                         <div className="space-y-2 bg-white p-3 rounded-md border border-gray-200">
-                            {Object.keys(categories).map(cat => (
-                                <label key={cat} className="flex items-center gap-3 p-1 cursor-pointer hover:bg-gray-50 rounded">
+                            {categoryList.map(category => (
+                                <label key={category.id} className="flex items-center gap-3 p-1 cursor-pointer hover:bg-gray-50 rounded">
                                     <input
                                         type="checkbox"
-                                        checked={categories[cat]}
-                                        onChange={e => setCategories({ ...categories, [cat]: e.target.checked })}
+                                        checked={!!categories[category.id]}
+                                        onChange={e => setCategories({ ...categories, [category.id]: e.target.checked })}
                                         className="w-4 h-4 text-gray-900 rounded focus:ring-gray-900 border-gray-300"
                                     />
-                                    <span className="capitalize text-sm font-medium text-gray-700">{cat === 'pe' ? 'Private Equity' : cat === 'vc' ? 'Venture Capital' : 'Secondaries'}</span>
+                                    <span className="inline-block w-2 h-2 rounded-full" style={{ backgroundColor: category.color }} />
+                                    <span className="capitalize text-sm font-medium text-gray-700">{category.label}</span>
                                 </label>
                             ))}
                         </div>
@@ -197,6 +406,341 @@ export default function Sidebar({ params, setParams, categories, setCategories,
                                 className="w-full h-1 bg-gray-300 rounded-lg appearance-none cursor-pointer accent-gray-900"
                             />
                         </div>
+
+                        <div>
+                            <label className="block text-xs font-medium text-gray-700 mb-1">Smoothing Versoepelen</label>
+                            <select
+                                value={relaxation.mode}
+                                onChange={e => setRelaxation({ mode: e.target.value })}
+                                className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm bg-white"
+                            >
+                                <option value="graduated">Stapsgewijs (standaard)</option>
+                                <option value="full">Volledig loslaten</option>
+                                <option value="off">Nooit</option>
+                            </select>
+                            {relaxation.mode !== 'off' && (
+                                <div className="mt-2 grid grid-cols-2 gap-2 text-xs">
+                                    <label className="flex flex-col gap-1 text-gray-500">
+                                        Min. gecommit (%)
+                                        <input
+                                            type="number"
+                                            min="0" max="500" step="5"
+                                            value={Math.round(relaxation.minDeployment * 100)}
+                                            onChange={e => setRelaxation({ minDeployment: (parseFloat(e.target.value) || 0) / 100 })}
+                                            className="px-2 py-1 border border-gray-300 rounded-md text-xs"
+                                        />
+                                    </label>
+                                    <label className="flex flex-col gap-1 text-gray-500">
+                                        Min. cash eind (%)
+                                        <input
+                                            type="number"
+                                            min="0" max="100" step="5"
+                                            value={Math.round(relaxation.minCashShare * 100)}
+                                            onChange={e => setRelaxation({ minCashShare: (parseFloat(e.target.value) || 0) / 100 })}
+                                            className="px-2 py-1 border border-gray-300 rounded-md text-xs"
+                                        />
+                                    </label>
+                                    <label className="flex flex-col gap-1 text-gray-500">
+                                        Min. extra commitment (%)
+                                        <input
+                                            type="number"
+                                            min="0" max="500" step="5"
+                                            value={Math.round(relaxation.minGain * 100)}
+                                            onChange={e => setRelaxation({ minGain: (parseFloat(e.target.value) || 0) / 100 })}
+                                            className="px-2 py-1 border border-gray-300 rounded-md text-xs"
+                                        />
+                                    </label>
+                                    {relaxation.mode === 'graduated' && (
+                                        <>
+                                            <label className="flex flex-col gap-1 text-gray-500">
+                                                Max. stappen
+                                                <input
+                                                    type="number"
+                                                    min="1" max="20" step="1"
+                                                    value={relaxation.maxSteps}
+                                                    onChange={e => setRelaxation({ maxSteps: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+                                                    className="px-2 py-1 border border-gray-300 rounded-md text-xs"
+                                                />
+                                            </label>
+                                            <label className="flex flex-col gap-1 text-gray-500">
+                                                Stap jaarlijkse delta (%)
+                                                <input
+                                                    type="number"
+                                                    min="0" max="100" step="5"
+                                                    value={Math.round(relaxation.maxYearlyChangeStep * 100)}
+                                                    onChange={e => setRelaxation({ maxYearlyChangeStep: (parseFloat(e.target.value) || 0) / 100 })}
+                                                    className="px-2 py-1 border border-gray-300 rounded-md text-xs"
+                                                />
+                                            </label>
+                                            <label className="flex flex-col gap-1 text-gray-500">
+                                                Stap start limit (%)
+                                                <input
+                                                    type="number"
+                                                    min="0" max="100" step="1"
+                                                    value={Math.round(relaxation.firstYearCapStep * 100)}
+                                                    onChange={e => setRelaxation({ firstYearCapStep: (parseFloat(e.target.value) || 0) / 100 })}
+                                                    className="px-2 py-1 border border-gray-300 rounded-md text-xs"
+                                                />
+                                            </label>
+                                            <label className="col-span-2 flex flex-col gap-1 text-gray-500">
+                                                Versoepelen in
+                                                <select
+                                                    value={relaxation.scope}
+                                                    onChange={e => setRelaxation({ scope: e.target.value })}
+                                                    className="px-2 py-1 border border-gray-300 rounded-md text-xs bg-white"
+                                                >
+                                                    <option value="bindingYears">Alleen jaren die de cap raken</option>
+                                                    <option value="allYears">Alle planjaren</option>
+                                                </select>
+                                            </label>
+                                        </>
+                                    )}
+                                </div>
+                            )}
+                        </div>
+
+                        <div>
+                            <label className="block text-xs font-medium text-gray-700 mb-1">Commitment Strategie</label>
+                            <select
+                                value={params.commitmentStrategy || 'fullCoverage'}
+                                onChange={e => setParams({ ...params, commitmentStrategy: e.target.value })}
+                                className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm bg-white"
+                            >
+                                <option value="fullCoverage">Volledige cash dekking (100%)</option>
+                                <option value="overCommit">Over-commitment</option>
+                            </select>
+                            {params.commitmentStrategy === 'overCommit' && (
+                                <div className="mt-2">
+                                    <div className="flex justify-between items-center mb-1">
+                                        <label className="block text-xs font-medium text-gray-700">Max. Unfunded / Middelen</label>
+                                        <span className="text-xs font-bold text-gray-900">{((params.maxOvercommitRatio || 1.3) * 100).toFixed(0)}%</span>
+                                    </div>
+                                    <input
+                                        type="range"
+                                        min="1" max="2" step="0.05"
+                                        value={params.maxOvercommitRatio || 1.3}
+                                        onChange={e => setParams({ ...params, maxOvercommitRatio: parseFloat(e.target.value) })}
+                                        className="w-full h-1 bg-gray-300 rounded-lg appearance-none cursor-pointer accent-gray-900"
+                                    />
+                                </div>
+                            )}
+                        </div>
+
+                        <div>
+                            <label className="block text-xs font-medium text-gray-700 mb-1">Commitment Tempo</label>
+                            <select
+                                value={params.pacingMode || 'solvency'}
+                                onChange={e => setParams({ ...params, pacingMode: e.target.value })}
+                                className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm bg-white"
+                            >
+                                <option value="solvency">Maximaal binnen solvabiliteit</option>
+                                <option value="targetExposure">Doel-exposure (NAV % van vermogen)</option>
+                            </select>
+                            {params.pacingMode === 'targetExposure' && (
+                                <div className="mt-2 space-y-2 bg-white p-3 rounded-md border border-gray-200 text-xs">
+                                    <div className="flex items-center gap-2">
+                                        <span className="text-gray-500 w-14">Doel</span>
+                                        <input
+                                            type="number"
+                                            min="0" max="100" step="5"
+                                            value={Math.round((targetExposure.share || 0) * 100)}
+                                            onChange={e => setTargetExposure({ share: (parseFloat(e.target.value) || 0) / 100 })}
+                                            className="flex-1 px-2 py-1 border border-gray-300 rounded-md text-xs"
+                                        />
+                                        <span className="text-gray-500">%</span>
+                                    </div>
+                                    <div className="flex items-center gap-2">
+                                        <span className="text-gray-500 w-14">Vanaf</span>
+                                        <input
+                                            type="number"
+                                            value={targetExposure.fromYear || params.startYear}
+                                            onChange={e => setTargetExposure({ fromYear: parseInt(e.target.value, 10) || null })}
+                                            className="flex-1 px-2 py-1 border border-gray-300 rounded-md text-xs"
+                                        />
+                                    </div>
+                                    {Object.keys(targetExposure.schedule || {}).map(Number).sort((a, b) => a - b).map(year => (
+                                        <div key={year} className="flex items-center gap-2">
+                                            <span className="text-gray-500 w-14">Vanaf {year}</span>
+                                            <input
+                                                type="number"
+                                                min="0" max="100" step="5"
+                                                value={Math.round((targetExposure.schedule[year] || 0) * 100)}
+                                                onChange={e => setTargetScheduleEntry(year, (parseFloat(e.target.value) || 0) / 100)}
+                                                className="flex-1 px-2 py-1 border border-gray-300 rounded-md text-xs"
+                                            />
+                                            <button onClick={() => setTargetScheduleEntry(year, null)} className="text-gray-400 hover:text-red-600">
+                                                <X size={12} />
+                                            </button>
+                                        </div>
+                                    ))}
+                                    <button
+                                        onClick={addTargetScheduleEntry}
+                                        className="flex items-center gap-1 text-[10px] font-bold text-gray-500 hover:text-gray-900 uppercase"
+                                    >
+                                        <Plus size={10} /> Wijziging per jaar
+                                    </button>
+                                </div>
+                            )}
+                        </div>
+
+                        <div>
+                            <label className="block text-xs font-medium text-gray-700 mb-1">Liquiditeitsbuffer (Minimum Cash)</label>
+                            <select
+                                value={buffer.mode}
+                                onChange={e => setBuffer({ mode: e.target.value })}
+                                className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm bg-white"
+                            >
+                                <option value="none">Geen buffer</option>
+                                <option value="fixed">Vast bedrag (€)</option>
+                                <option value="capitalPct">% van startkapitaal</option>
+                                <option value="navPct">% van NAV</option>
+                            </select>
+                            {buffer.mode !== 'none' && (
+                                <div className="mt-2 space-y-2">
+                                    {bufferIsPct ? (
+                                        <div className="flex items-center gap-2">
+                                            <input
+                                                type="number"
+                                                min="0" max="100" step="1"
+                                                value={Math.round((buffer.value || 0) * 1000) / 10}
+                                                onChange={e => setBuffer({ value: (parseFloat(e.target.value) || 0) / 100 })}
+                                                className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+                                            />
+                                            <span className="text-xs text-gray-500">%</span>
+                                        </div>
+                                    ) : (
+                                        <FormattedNumberInput
+                                            value={buffer.value || 0}
+                                            onChange={(val) => setBuffer({ value: val })}
+                                            className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm font-medium"
+                                        />
+                                    )}
+                                    {Object.keys(buffer.schedule || {}).map(Number).sort((a, b) => a - b).map(year => (
+                                        <div key={year} className="flex items-center gap-2 text-xs">
+                                            <span className="text-gray-500 w-14">Vanaf {year}</span>
+                                            {bufferIsPct ? (
+                                                <input
+                                                    type="number"
+                                                    min="0" max="100" step="1"
+                                                    value={Math.round((buffer.schedule[year] || 0) * 1000) / 10}
+                                                    onChange={e => setBufferScheduleEntry(year, (parseFloat(e.target.value) || 0) / 100)}
+                                                    className="flex-1 px-2 py-1 border border-gray-300 rounded-md text-xs"
+                                                />
+                                            ) : (
+                                                <FormattedNumberInput
+                                                    value={buffer.schedule[year] || 0}
+                                                    onChange={(val) => setBufferScheduleEntry(year, val)}
+                                                    className="flex-1 px-2 py-1 border border-gray-300 rounded-md text-xs"
+                                                />
+                                            )}
+                                            <button onClick={() => setBufferScheduleEntry(year, null)} className="text-gray-400 hover:text-red-600">
+                                                <X size={12} />
+                                            </button>
+                                        </div>
+                                    ))}
+                                    <button
+                                        onClick={addBufferScheduleEntry}
+                                        className="flex items-center gap-1 text-[10px] font-bold text-gray-500 hover:text-gray-900 uppercase"
+                                    >
+                                        <Plus size={10} /> Wijziging per jaar
+                                    </button>
+                                </div>
+                            )}
+                        </div>
+
+                        <div>
+                            <label className="block text-xs font-medium text-gray-700 mb-1">Mix binnen Bandbreedtes</label>
+                            <select
+                                value={params.mixOptimization || 'none'}
+                                onChange={e => setParams({ ...params, mixOptimization: e.target.value })}
+                                className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm bg-white"
+                            >
+                                <option value="none">Vaste ratio's (standaard)</option>
+                                <option value="maxDeployment">Maximale deployment</option>
+                                <option value="smoothTrough">Liquiditeitsdal afvlakken</option>
+                            </select>
+                        </div>
+
+                        <div>
+                            <label className="block text-xs font-medium text-gray-700 mb-1">Optimalisatie</label>
+                            <select
+                                value={optimizer.mode === 'lp' ? optimizer.objective : 'greedy'}
+                                onChange={e => setOptimizer(e.target.value === 'greedy'
+                                    ? { mode: 'greedy' }
+                                    : { mode: 'lp', objective: e.target.value })}
+                                className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm bg-white"
+                            >
+                                <option value="greedy">Jaar voor jaar (standaard)</option>
+                                <option value="maxCommitment">Hele horizon - max. commitment</option>
+                                <option value="minCashDrag">Hele horizon - min. cash drag</option>
+                                <option value="trackNav">Hele horizon - NAV doel volgen</option>
+                            </select>
+                            {optimizer.mode === 'lp' && optimizer.objective === 'trackNav' && !Array.isArray(optimizer.targetNav) && (
+                                <div className="mt-2 flex items-center gap-2 text-xs">
+                                    <span className="text-gray-500">Doel NAV</span>
+                                    <input
+                                        type="number"
+                                        min="0" max="200" step="5"
+                                        value={Math.round((optimizer.targetNav || 0) * 100)}
+                                        onChange={e => setOptimizer({ targetNav: (parseFloat(e.target.value) || 0) / 100 })}
+                                        className="flex-1 px-2 py-1 border border-gray-300 rounded-md text-xs"
+                                    />
+                                    <span className="text-gray-500">% van kapitaal</span>
+                                </div>
+                            )}
+                        </div>
+
+                        <div>
+                            <label className="block text-xs font-medium text-gray-700 mb-1">Fondsplanning</label>
+                            <select
+                                value={params.fundPlanning || 'categories'}
+                                onChange={e => setParams({ ...params, fundPlanning: e.target.value })}
+                                className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm bg-white"
+                            >
+                                <option value="categories">Per categorie (Dummy fondsen)</option>
+                                <option value="pipeline">Fondspipeline</option>
+                            </select>
+                        </div>
+
+                        <div>
+                            <label className="flex items-center gap-2 text-xs font-medium text-gray-700 cursor-pointer">
+                                <input
+                                    type="checkbox"
+                                    checked={!!tax.enabled}
+                                    onChange={e => setTax({ enabled: e.target.checked })}
+                                    className="w-4 h-4 text-gray-900 rounded focus:ring-gray-900 border-gray-300"
+                                />
+                                Vennootschapsbelasting (VPB)
+                            </label>
+                            {tax.enabled && (
+                                <div className="mt-2 space-y-1 bg-white p-3 rounded-md border border-gray-200 text-xs">
+                                    <label className="flex items-center gap-2 cursor-pointer">
+                                        <input
+                                            type="checkbox"
+                                            checked={!!tax.solvencyAfterTax}
+                                            onChange={e => setTax({ solvencyAfterTax: e.target.checked })}
+                                            className="w-3.5 h-3.5 rounded border-gray-300"
+                                        />
+                                        <span className="text-gray-700">Solvabiliteit toetsen na VPB</span>
+                                    </label>
+                                    <div className="pt-1 text-[10px] font-bold text-gray-500 uppercase">Deelnemingsvrijstelling</div>
+                                    {categoryList.map(category => (
+                                        <label key={category.id} className="flex items-center gap-2 cursor-pointer">
+                                            <input
+                                                type="checkbox"
+                                                checked={!!tax.participationExemption?.[category.id]}
+                                                onChange={e => setTax({ participationExemption: { ...tax.participationExemption, [category.id]: e.target.checked } })}
+                                                className="w-3.5 h-3.5 rounded border-gray-300"
+                                            />
+                                            <span className="text-gray-700">{category.label}</span>
+                                        </label>
+                                    ))}
+                                    <p className="pt-1 text-[10px] text-gray-400 leading-snug">
+                                        Gebruik bruto profielen: profielen die al "na VPB" zijn worden anders dubbel belast.
+                                    </p>
+                                </div>
+                            )}
+                        </div>
                     </section>
                 </div>
 
@@ -221,6 +765,17 @@ export default function Sidebar({ params, setParams, categories, setCategories,
                 onClose={() => setIsExportModalOpen(false)}
                 onExport={handleExport}
             />
+
+            {/* Legacy Portfolio Modal */}
+            {isLegacyModalOpen && (
+                <LegacyPortfolioModal
+                    onClose={() => setIsLegacyModalOpen(false)}
+                    funds={params.legacyPortfolio || []}
+                    onSave={(funds) => setParams({ ...params, legacyPortfolio: funds })}
+                    startYear={params.startYear}
+                    categories={categoryList}
+                />
+            )}
         </>
     );
 }
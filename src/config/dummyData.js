@@ -1,26 +1,74 @@
-// 1. Cashflow Profiles (Netto Cashflow Factoren)
-export const DEFAULT_CASHFLOW_PROFILES = {
+// 1. Gross Cashflow Curves (Capital Calls & Distributies t.o.v. commitment)
+// Calls and distributions are both positive fractions of the commitment. The net
+// profile the solver projects with is derived from them (distribution - call).
+export const DEFAULT_CALL_PROFILES = {
     secondaries: [
-        -0.5323, -0.0477, 0.2549, 0.2097, 0.1454,
+        0.6000, 0.2000, 0.1000, 0.0500, 0.0000,
+        0.0000, 0.0000, 0.0000, 0.0000, 0.0000, 0.0000, 0.0
+    ],
+    pe: [
+        0.3200, 0.2400, 0.2400, 0.1200, 0.0500,
+        0.0200, 0.0000, 0.0000, 0.0000, 0.0000, 0.0000, 0.0
+    ],
+    vc: [
+        0.0800, 0.1000, 0.3500, 0.3000, 0.1000,
+        0.0500, 0.0200, 0.0000, 0.0000, 0.0000, 0.0000, 0.0
+    ]
+};
+
+export const DEFAULT_DISTRIBUTION_PROFILES = {
+    secondaries: [
+        0.0677, 0.1523, 0.3549, 0.2597, 0.1454,
         0.0819, 0.0920, 0.0760, 0.0527, 0.0082, 0.0036, 0.0
     ],
     pe: [
-        -0.3146, -0.2186, -0.2186, -0.0981, 0.2536,
-        0.4186, 0.4171, 0.2514, 0.1469, 0.1402, 0.0416, 0.0
+        0.0054, 0.0214, 0.0214, 0.0219, 0.3036,
+        0.4386, 0.4171, 0.2514, 0.1469, 0.1402, 0.0416, 0.0
     ],
     vc: [
-        -0.0712, -0.0834, -0.3393, -0.2871, -0.0690,
-        0.1005, 0.3004, 0.5594, 0.4080, 0.2948, 0.1330, 0.0
+        0.0088, 0.0166, 0.0107, 0.0129, 0.0310,
+        0.1505, 0.3204, 0.5594, 0.4080, 0.2948, 0.1330, 0.0
     ]
 };
 
+// Net profile = distribution - call, rounded to the 4 decimals the profiles are typed in.
+export const deriveNetProfile = (calls = [], distributions = []) => {
+    const length = Math.max(calls.length, distributions.length);
+    return Array.from({ length }, (_, i) => {
+        const net = (distributions[i] || 0) - (calls[i] || 0);
+        return Math.round(net * 10000) / 10000;
+    });
+};
+
+// Legacy split for configurations that only hold a net profile: negative = call, positive = distribution.
+export const splitNetProfile = (net = []) => ({
+    calls: net.map(v => (v < 0 ? -v : 0)),
+    distributions: net.map(v => (v > 0 ? v : 0))
+});
+
+export const deriveNetProfiles = (callProfiles, distributionProfiles) => {
+    const net = {};
+    Object.keys(callProfiles).forEach(cat => {
+        net[cat] = deriveNetProfile(callProfiles[cat], distributionProfiles[cat]);
+    });
+    return net;
+};
+
+// 1b. Cashflow Profiles (Netto Cashflow Factoren)
+export const DEFAULT_CASHFLOW_PROFILES = deriveNetProfiles(DEFAULT_CALL_PROFILES, DEFAULT_DISTRIBUTION_PROFILES);
+
 // 2. Default Notification Email
 export const DEFAULT_NOTIFICATION_EMAIL = "compliance@momentum.nl";
 
 // 3. Allocation Rules
-export const DEFAULT_ALLOCATION_RULES = {
-    phase1: { // Years 1-5
-        years: [1, 2, 3, 4, 5],
+// Ordered phase list. Each phase covers plan years fromYear..toYear (1 = start year);
+// toYear: null means open-ended. Phases must follow each other without gaps or overlaps.
+export const DEFAULT_ALLOCATION_RULES = [
+    {
+        id: 'phase1',
+        label: 'Fase 1',
+        fromYear: 1,
+        toYear: 5,
         ratios: { secondaries: 0.70, pe: 0.30, vc: 0.00 },
         ranges: {
             secondaries: [0.70, 0.80],
@@ -28,8 +76,11 @@ export const DEFAULT_ALLOCATION_RULES = {
             vc: [0.00, 0.10]
         }
     },
-    phase2: { // Years 6-10
-        years: [6, 7, 8, 9, 10],
+    {
+        id: 'phase2',
+        label: 'Fase 2',
+        fromYear: 6,
+        toYear: 10,
         ratios: { secondaries: 0.40, pe: 0.40, vc: 0.20 },
         ranges: {
             secondaries: [0.30, 0.50],
@@ -37,8 +88,11 @@ export const DEFAULT_ALLOCATION_RULES = {
             vc: [0.10, 0.20]
         }
     },
-    phase3: { // Years 10+
-        years: [11, 12, 13, 14, 15],
+    {
+        id: 'phase3',
+        label: 'Fase 3',
+        fromYear: 11,
+        toYear: null,
         ratios: { secondaries: 0.30, pe: 0.50, vc: 0.20 },
         ranges: { // No ranges specified for phase 3, assuming strict or same behavior
             secondaries: [0.30, 0.30],
@@ -46,25 +100,21 @@ export const DEFAULT_ALLOCATION_RULES = {
             vc: [0.20, 0.20]
         }
     }
-};
+];
 
-// 4. Net Position Profiles (Netto positie t.o.v. commitment)
-export const NET_POSITION_PROFILES = {
-    secondaries: [
-        -0.5310, -0.5786, -0.2760, -0.0271, 0.1579,
-        0.2889, 0.4360, 0.5575, 0.6418, 0.6549, 0.6606
-    ],
-    pe: [
-        -0.2950, -0.5000, -0.7050, -0.7970, -0.5680,
-        -0.1900, 0.2470, 0.5430, 0.7160, 0.8810, 0.9300
-    ],
-    vc: [
-        -0.0555, -0.1205, -0.3850, -0.6088, -0.6626,
-        -0.5581, -0.2456, 0.3762, 0.9482, 1.3615, 1.5480
-    ]
+// 4. NAV Growth (NAV afgeleid uit de cashflows)
+// NAV per unit of commitment is derived from the curves: NAV grows by navGrowth per year, calls add to it and
+// distributions come out of it. null = the return implied by the category's own calls and distributions, so the NAV
+// is 0 again after the last distribution. With a higher growth the curve ends with NAV left, written off after it.
+export const DEFAULT_NAV_GROWTH = {
+    secondaries: null,
+    pe: null,
+    vc: null
 };
 
-// 5. Estimated NAV Profiles (Exposure as % of Commitment)
+// 5. Static NAV Profiles (Exposure as % of Commitment)
+// Hand-typed estimates kept as an example override: a curve in config.navProfiles replaces the derived NAV of that
+// category. Not applied by default.
 export const NAV_PROFILES = {
     secondaries: [
         0.30, 0.55, 0.75, 0.85, 0.70,
@@ -80,6 +130,194 @@ export const NAV_PROFILES = {
     ]
 };
 
+// 5a. Asset Categories (registry)
+// Every module iterates over this list, so a category is added by configuration (config.categories).
+// id: key used in profiles, ratios and breakdowns; label / shortLabel: UI names; color: chart and matrix colour;
+// exportCode: type code in the Excel export ("Dummy <code>"); importAliases: lower-case fragments that identify the
+// category in an imported fund sheet; profiles: default calls and distributions, used when the configuration has none
+// for this id (NAV is derived, see 4).
+export const DEFAULT_CATEGORIES = [
+    {
+        id: 'secondaries', label: 'Secondaries', shortLabel: 'Secondaries', color: '#C5A572', exportCode: 'Secondaries',
+        importAliases: ['secondaries', 'secondary'],
+        profiles: { calls: DEFAULT_CALL_PROFILES.secondaries, distributions: DEFAULT_DISTRIBUTION_PROFILES.secondaries }
+    },
+    {
+        id: 'pe', label: 'Private Equity', shortLabel: 'PE', color: '#0B1E3D', exportCode: 'PE',
+        importAliases: ['pe', 'private equity', 'marklink'],
+        profiles: { calls: DEFAULT_CALL_PROFILES.pe, distributions: DEFAULT_DISTRIBUTION_PROFILES.pe }
+    },
+    {
+        id: 'vc', label: 'Venture Capital', shortLabel: 'VC', color: '#2563EB', exportCode: 'VC',
+        importAliases: ['vc', 'venture'],
+        profiles: { calls: DEFAULT_CALL_PROFILES.vc, distributions: DEFAULT_DISTRIBUTION_PROFILES.vc }
+    }
+];
+
+// 5b. Takahashi-Alexander (Yale) model parameters per category
+// rateOfContribution: RC per year (last value repeats), bow: B, growth: G, lifetime: L (years), yield: Y.
+export const DEFAULT_TA_PARAMETERS = {
+    secondaries: { rateOfContribution: [0.60, 0.50, 0.50], bow: 1.5, growth: 0.10, lifetime: 8, yield: 0.10 },
+    pe: { rateOfContribution: [0.25, 0.333, 0.50], bow: 2.5, growth: 0.13, lifetime: 12, yield: 0.0 },
+    vc: { rateOfContribution: [0.15, 0.25, 0.333, 0.50], bow: 3.0, growth: 0.16, lifetime: 12, yield: 0.0 }
+};
+
+// 5c. Vennootschapsbelasting (VPB) - Dutch corporate tax for programmes held in a BV
+// brackets: profit up to `upTo` is taxed at `rate` (upTo: null = remainder).
+// Loss carry-forward offsets profits fully up to lossOffsetThreshold and lossOffsetExcessShare of the excess.
+// participationExemption: categories whose results are exempt (deelnemingsvrijstelling).
+export const DEFAULT_TAX_SETTINGS = {
+    enabled: false,
+    brackets: [
+        { upTo: 200000, rate: 0.19 },
+        { upTo: null, rate: 0.258 }
+    ],
+    lossOffsetThreshold: 1000000,
+    lossOffsetExcessShare: 0.5,
+    participationExemption: { secondaries: false, pe: false, vc: false },
+    solvencyAfterTax: false
+};
+
+// 5d. Fund Pipeline (Fondsen Master Database)
+// Named funds the plan can commit to. A fund can receive one commitment, in a year between its
+// first and final close. calls / distributions: optional fund-specific gross curves (fractions of
+// commitment per year); without them the category curves are used. profile: a net cashflow profile (as in
+// the template's Fondsen sheet, negative = call) is still read, but only approximately (calls and
+// distributions of the same year net out). Amounts are in EUR, currency is informative.
+export const DEFAULT_FUND_PIPELINE = [
+    { id: 'alpinvest-pe', name: 'Alpinvest PE Fund', category: 'pe', firstCloseYear: 2026, finalCloseYear: 2027, minTicket: 500000, maxTicket: 5000000, currency: 'EUR', calls: [0.25, 0.22, 0.16, 0.08, 0, 0, 0, 0, 0, 0, 0, 0], distributions: [0, 0, 0, 0, 0.22, 0.48, 0.42, 0.35, 0.26, 0.14, 0.08, 0] },
+    { id: 'rhein-invest-ii', name: 'Rhein Invest II', category: 'pe', firstCloseYear: 2026, finalCloseYear: 2028, minTicket: 250000, maxTicket: 3000000, currency: 'EUR', calls: [0.22, 0.25, 0.14, 0.09, 0, 0, 0, 0, 0, 0, 0, 0], distributions: [0, 0, 0, 0, 0.28, 0.5, 0.45, 0.38, 0.29, 0.16, 0.1, 0] },
+    { id: 'gp-buyout', name: 'GP Buyout Fund', category: 'pe', firstCloseYear: 2028, finalCloseYear: 2030, minTicket: 1000000, maxTicket: 5000000, currency: 'EUR', calls: null, distributions: null },
+    { id: 'ogf-ii', name: 'OGF II', category: 'vc', firstCloseYear: 2026, finalCloseYear: 2027, minTicket: 250000, maxTicket: 2000000, currency: 'EUR', calls: [0.06, 0.07, 0.28, 0.24, 0.06, 0, 0, 0, 0, 0, 0, 0], distributions: [0, 0, 0, 0, 0, 0.12, 0.3, 0.58, 0.55, 0.4, 0.17, 0] },
+    { id: 'impact-vc', name: 'Impact VC Fund', category: 'vc', firstCloseYear: 2027, finalCloseYear: 2029, minTicket: 250000, maxTicket: 1500000, currency: 'EUR', calls: [0.05, 0.06, 0.25, 0.21, 0.05, 0, 0, 0, 0, 0, 0, 0], distributions: [0, 0, 0, 0, 0, 0.09, 0.28, 0.55, 0.52, 0.38, 0.16, 0] },
+    { id: 'blockchain-ventures', name: 'Blockchain Ventures', category: 'vc', firstCloseYear: 2029, finalCloseYear: 2031, minTicket: 250000, maxTicket: 1000000, currency: 'USD', calls: null, distributions: null },
+    { id: 'icg-i', name: 'ICG I - LP Fund', category: 'secondaries', firstCloseYear: 2026, finalCloseYear: 2027, minTicket: 500000, maxTicket: 3000000, currency: 'EUR', calls: [0.55, 0.05, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0], distributions: [0, 0, 0.28, 0.23, 0.17, 0.12, 0.14, 0.11, 0.08, 0.015, 0.006, 0] },
+    { id: 'bcapital-ii', name: 'Bcapital II', category: 'secondaries', firstCloseYear: 2027, finalCloseYear: 2028, minTicket: 500000, maxTicket: 3000000, currency: 'EUR', calls: [0.5, 0.045, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0], distributions: [0, 0, 0.32, 0.26, 0.19, 0.14, 0.15, 0.13, 0.09, 0.012, 0.005, 0] },
+    { id: 'secondary-feeder-i', name: 'Secondary Feeder I', category: 'secondaries', firstCloseYear: 2028, finalCloseYear: 2030, minTicket: 250000, maxTicket: 2500000, currency: 'EUR', calls: null, distributions: null }
+];
+
+// 5e. Ticket Sizes per category (opt-in)
+// { [category]: { minTicket, maxTicket, roundingStep, maxCommitmentsPerYear } }, e.g.
+// pe: { minTicket: 250000, maxTicket: 10000000, roundingStep: 50000, maxCommitmentsPerYear: 3 }.
+// minTicket: smaller allocations are merged into another category (or dropped);
+// maxTicket x maxCommitmentsPerYear caps a category per year; amounts are rounded down to roundingStep.
+// A year's amount is committed as the fewest tickets between minTicket and maxTicket (commitment.tickets).
+// null disables a constraint; the default null leaves plans without ticket constraints.
+export const DEFAULT_TICKET_CONSTRAINTS = null;
+
+// 5f. Optimiser
+// mode: 'greedy' (year by year) or 'lp' (whole planning horizon at once).
+// objective: 'maxCommitment', 'minCashDrag' or 'trackNav'.
+// targetNav: NAV to track - a share of starting capital, or an array of euro amounts per plan year.
+export const DEFAULT_OPTIMIZER_SETTINGS = {
+    mode: 'greedy',
+    objective: 'maxCommitment',
+    targetNav: 0.6
+};
+
+// 5g. Smoothing Relaxation (when the smoothed plan leaves capital idle)
+// mode: 'graduated' (loosen step by step), 'full' (one run without smoothing) or 'off'.
+// Relaxation is tried while less than minDeployment of capital is committed and more than minCashShare is left in
+// cash at the end of the planning horizon. scope: 'bindingYears' loosens only the years a smoothing cap limited,
+// 'allYears' every plan year. Each step raises maxYearlyChange by maxYearlyChangeStep and firstYearCap by
+// firstYearCapStep (absolute), up to maxSteps. A relaxed plan that still falls short of minDeployment is only used
+// when it commits more than minGain (relative) on top of the smoothed plan.
+export const DEFAULT_RELAXATION_SETTINGS = {
+    mode: 'graduated',
+    scope: 'bindingYears',
+    minDeployment: 0.8,
+    minCashShare: 0.1,
+    minGain: 0.2,
+    maxYearlyChangeStep: 0.1,
+    firstYearCapStep: 0.05,
+    maxSteps: 5
+};
+
+// 5h. Quarterly Split (projection granularity 'quarterly')
+// Share of a year's calls and distributions paid in each quarter when the annual curves are interpolated;
+// NAV moves linearly between year ends. Curves that are quarterly already go in config.quarterlyProfiles
+// ({ [category]: { calls, distributions, nav } } with four entries per year).
+export const DEFAULT_QUARTERLY_SPLIT = {
+    calls: [0.25, 0.25, 0.25, 0.25],
+    distributions: [0.25, 0.25, 0.25, 0.25]
+};
+
+// 5i. Fees (gross-to-net)
+// When enabled, the curves per category are taken as gross of fees and converted to net curves for the solver.
+// fund: terms of the underlying fund; fundOfFunds: terms of a fund-of-funds layer on top (null for direct funds).
+// managementFee: per year on commitment during the first investmentPeriod years; postInvestmentFee: per year on NAV
+// afterwards. Management fees are drawn from the commitment. carry: GP share of the profit once LPs have their
+// paid-in capital back plus the hurdle (per year, compounded); catchUp: GP share of distributions until it holds
+// carry of all profit (0 = no catch-up).
+export const DEFAULT_FEE_SETTINGS = {
+    enabled: false,
+    categories: {
+        secondaries: {
+            fund: { managementFee: 0.01, investmentPeriod: 4, postInvestmentFee: 0.0075, hurdle: 0.08, carry: 0.125, catchUp: 1 },
+            fundOfFunds: null
+        },
+        pe: {
+            fund: { managementFee: 0.02, investmentPeriod: 5, postInvestmentFee: 0.015, hurdle: 0.08, carry: 0.2, catchUp: 1 },
+            fundOfFunds: { managementFee: 0.0075, investmentPeriod: 5, postInvestmentFee: 0.005, hurdle: 0.08, carry: 0.05, catchUp: 0 }
+        },
+        vc: {
+            fund: { managementFee: 0.025, investmentPeriod: 5, postInvestmentFee: 0.02, hurdle: 0, carry: 0.2, catchUp: 0 },
+            fundOfFunds: { managementFee: 0.0075, investmentPeriod: 5, postInvestmentFee: 0.005, hurdle: 0.08, carry: 0.05, catchUp: 0 }
+        }
+    }
+};
+
+// 5j. Recallable Distributions (recycling)
+// recallableShare: part of each distribution the fund may call again. It counts as unfunded (and so in the solvency
+// check) until the recall period or the fund's curves end. recallPeriod: years from the commitment in which
+// distributions are recallable (null = the whole fund life). Curves that call more than the commitment (recycled
+// proceeds) use up the recallable amount. 0 keeps unfunded at commitment - called.
+export const DEFAULT_RECALL_SETTINGS = {
+    secondaries: { recallableShare: 0, recallPeriod: null },
+    pe: { recallableShare: 0, recallPeriod: null },
+    vc: { recallableShare: 0, recallPeriod: null }
+};
+
+// 6. Monte Carlo Settings (Onzekerheid in timing en multiples)
+// Timing volatilities are in years (std. dev. of the shift of the curve), the multiple
+// volatility is the relative std. dev. of the distribution multiple. vintageCorrelation is the
+// share of the variance that is common to all commitments of the same vintage.
+export const DEFAULT_MONTE_CARLO_SETTINGS = {
+    paths: 500,
+    seed: 42,
+    vintageCorrelation: 0.5,
+    volatilities: {
+        secondaries: { callTiming: 0.25, distributionTiming: 0.5, multiple: 0.10 },
+        pe: { callTiming: 0.5, distributionTiming: 1.0, multiple: 0.20 },
+        vc: { callTiming: 0.75, distributionTiming: 1.5, multiple: 0.40 }
+    }
+};
+
+// 6b. Stress Scenarios (applied on top of the profiles; the commitment plan is not re-optimised)
+// distributionDelay: years distributions (and NAV) come later; callAcceleration: years calls come earlier;
+// multipleCut: relative cut of distributions and NAV; exitFreeze: { start: plan year index, years } - no
+// distributions in those calendar years, everything held back is paid in the first year after the freeze.
+export const DEFAULT_STRESS_SCENARIOS = [
+    { id: 'delay-2', name: 'Distributies 2 jaar vertraagd', distributionDelay: 2, callAcceleration: 0, multipleCut: 0, exitFreeze: null },
+    { id: 'calls-1', name: 'Calls 1 jaar versneld', distributionDelay: 0, callAcceleration: 1, multipleCut: 0, exitFreeze: null },
+    { id: 'multiple-30', name: 'Multiples -30%', distributionDelay: 0, callAcceleration: 0, multipleCut: 0.3, exitFreeze: null },
+    { id: 'freeze-3', name: 'Exitmarkt 3 jaar bevroren', distributionDelay: 0, callAcceleration: 0, multipleCut: 0, exitFreeze: { start: 2, years: 3 } },
+    { id: 'gfc', name: 'GFC replay', distributionDelay: 1, callAcceleration: 1, multipleCut: 0.25, exitFreeze: { start: 2, years: 2 } }
+];
+
+// 6c. Sensitivity Analysis (one input at a time, solveCPT is rerun for the low and the high value)
+// availableCapital and profileScale are relative (-0.2 = 20% lower); maxYearlyChange, firstYearCap and
+// categoryRatio are absolute shifts (0.1 = 10 percentage points); planningHorizon is in years.
+// profileScale scales the distributions and NAV of one category; categoryRatio shifts its ratio in every phase.
+export const DEFAULT_SENSITIVITY_RANGES = {
+    availableCapital: { low: -0.2, high: 0.2 },
+    maxYearlyChange: { low: -0.1, high: 0.1 },
+    firstYearCap: { low: -0.1, high: 0.1 },
+    profileScale: { low: -0.2, high: 0.2 },
+    planningHorizon: { low: -3, high: 3 },
+    categoryRatio: { low: -0.1, high: 0.1 }
+};
+
 // Helper to get data with local storage overrides
 export const getConfiguration = () => {
     const saved = localStorage.getItem('cpt_v2_config');
@@ -87,9 +325,20 @@ export const getConfiguration = () => {
         return JSON.parse(saved);
     }
     return {
+        categories: DEFAULT_CATEGORIES,
         profiles: DEFAULT_CASHFLOW_PROFILES,
+        callProfiles: DEFAULT_CALL_PROFILES,
+        distributionProfiles: DEFAULT_DISTRIBUTION_PROFILES,
         rules: DEFAULT_ALLOCATION_RULES,
-        netPositions: NET_POSITION_PROFILES,
+        monteCarlo: DEFAULT_MONTE_CARLO_SETTINGS,
+        stressScenarios: DEFAULT_STRESS_SCENARIOS,
+        sensitivityRanges: DEFAULT_SENSITIVITY_RANGES,
+        quarterlySplit: DEFAULT_QUARTERLY_SPLIT,
+        feeSettings: DEFAULT_FEE_SETTINGS,
+        recallSettings: DEFAULT_RECALL_SETTINGS,
+        navGrowth: DEFAULT_NAV_GROWTH,
+        fundPipeline: DEFAULT_FUND_PIPELINE,
+        ticketConstraints: DEFAULT_TICKET_CONSTRAINTS,
         notificationEmail: DEFAULT_NOTIFICATION_EMAIL
     };
 };
@@ -101,9 +350,20 @@ export const saveConfiguration = (config) => {
 export const resetConfiguration = () => {
     localStorage.removeItem('cpt_v2_config');
     return {
+        categories: DEFAULT_CATEGORIES,
         profiles: DEFAULT_CASHFLOW_PROFILES,
+        callProfiles: DEFAULT_CALL_PROFILES,
+        distributionProfiles: DEFAULT_DISTRIBUTION_PROFILES,
         rules: DEFAULT_ALLOCATION_RULES,
-        netPositions: NET_POSITION_PROFILES,
+        monteCarlo: DEFAULT_MONTE_CARLO_SETTINGS,
+        stressScenarios: DEFAULT_STRESS_SCENARIOS,
+        sensitivityRanges: DEFAULT_SENSITIVITY_RANGES,
+        quarterlySplit: DEFAULT_QUARTERLY_SPLIT,
+        feeSettings: DEFAULT_FEE_SETTINGS,
+        recallSettings: DEFAULT_RECALL_SETTINGS,
+        navGrowth: DEFAULT_NAV_GROWTH,
+        fundPipeline: DEFAULT_FUND_PIPELINE,
+        ticketConstraints: DEFAULT_TICKET_CONSTRAINTS,
         notificationEmail: DEFAULT_NOTIFICATION_EMAIL
     };
 };
@@ -0,0 +1,76 @@
+import { DEFAULT_CATEGORIES } from '../config/dummyData.js';
+
+// Asset category registry helpers. Categories are configuration (config.categories, see DEFAULT_CATEGORIES);
+// code should iterate over the registry instead of listing category ids.
+
+/**
+ * Resolves the category registry from the configuration.
+ * @param {object} config - Configuration; config.categories overrides the default registry.
+ * @returns {Array<object>} [{ id, label, shortLabel, color, exportCode, importAliases, profiles }]
+ */
+export function resolveCategories(config) {
+    const categories = Array.isArray(config?.categories) && config.categories.length > 0 ? config.categories : DEFAULT_CATEGORIES;
+    return categories.map(category => ({
+        label: category.id,
+        shortLabel: category.label || category.id,
+        exportCode: category.shortLabel || category.label || category.id,
+        importAliases: [],
+        ...category
+    }));
+}
+
+/**
+ * Category ids in registry order.
+ * @param {object} config - Configuration (see resolveCategories).
+ * @returns {Array<string>}
+ */
+export function categoryIds(config) {
+    return resolveCategories(config).map(category => category.id);
+}
+
+/**
+ * Breakdown with a zero amount for every category.
+ * @param {Array<string>} ids - Category ids.
+ * @returns {object} { [category]: 0 }
+ */
+export function emptyBreakdown(ids) {
+    const breakdown = {};
+    ids.forEach(id => { breakdown[id] = 0; });
+    return breakdown;
+}
+
+/**
+ * Finds the category a free-text label refers to (e.g. a row label in an imported fund sheet).
+ * @param {string} label - Label to match.
+ * @param {Array<object>} categories - Category registry.
+ * @returns {string|null} Category id, or null when no alias (or, without aliases, the label) occurs in the label.
+ */
+export function matchCategory(label, categories) {
+    if (!label) return null;
+    const text = String(label).toLowerCase();
+    const match = categories.find(category => (category.importAliases?.length ? category.importAliases : [category.label])
+        .some(alias => alias && text.includes(String(alias).toLowerCase())));
+    return match ? match.id : null;
+}
+
+/**
+ * Validates the category registry.
+ * @param {Array<object>} categories - Category registry.
+ * @returns {Array<string>} Validation errors (empty when valid).
+ */
+export function validateCategories(categories) {
+    const errors = [];
+    if (!Array.isArray(categories) || categories.length === 0) {
+        return ['At least one category is required.'];
+    }
+    categories.forEach((category, idx) => {
+        if (!category.id || !/^[a-z][a-zA-Z0-9_]*$/.test(category.id)) {
+            errors.push(`Category #${idx + 1}: id must start with a lower-case letter and contain only letters, digits or _.`);
+        }
+    });
+    const ids = categories.map(category => category.id);
+    if (new Set(ids).size !== ids.length) {
+        errors.push('Category ids must be unique.');
+    }
+    return errors;
+}
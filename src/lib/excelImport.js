@@ -1,12 +1,14 @@
 import ExcelJS from 'exceljs';
+import { resolveCategories, matchCategory } from './categories';
 
 /**
  * Parses the Momentum Excel file to extract custom fund profiles.
  * Looks for "Capital Call&Distributions data" sheet and "Factor na VPB" rows.
  * @param {File} file - The uploaded Excel file.
- * @returns {Promise<Object>} - Format: { pe: number[], vc: number[], secondaries: number[] }
+ * @param {Array<object>} [categories] - Category registry; column A is matched against each category's importAliases.
+ * @returns {Promise<Object>} - Format: { [category]: number[] | null }
  */
-export async function parseFundData(file) {
+export async function parseFundData(file, categories = resolveCategories()) {
     const workbook = new ExcelJS.Workbook();
     try {
         const buffer = await file.arrayBuffer();
@@ -20,21 +22,11 @@ export async function parseFundData(file) {
         throw new Error("Sheet 'Capital Call&Distributions data' not found.");
     }
 
-    const profiles = {
-        pe: null,
-        vc: null,
-        secondaries: null
-    };
+    const profiles = {};
+    categories.forEach(category => { profiles[category.id] = null; });
 
     // Helper: Normalize label
-    const normalizeLabel = (s) => {
-        if (!s) return "";
-        const str = String(s).toLowerCase();
-        if (str.includes('pe') || str.includes('private equity') || str.includes('marklink')) return 'pe';
-        if (str.includes('vc') || str.includes('venture')) return 'vc';
-        if (str.includes('secondaries') || str.includes('secondary')) return 'secondaries';
-        return null; // Unknown
-    };
+    const normalizeLabel = (s) => matchCategory(s, categories);
 
     // Iterate rows to find "Factor na VPB"
     // Based on analysis:
@@ -81,7 +73,7 @@ export async function parseFundData(file) {
     });
 
     // Validation
-    if (!profiles.pe && !profiles.vc && !profiles.secondaries) {
+    if (Object.values(profiles).every(profile => !profile)) {
         throw new Error("No profiles found. Ensure rows have 'Factor na VPB' in column B and a valid type in column A.");
     }
 
@@ -2,7 +2,9 @@
 
 import JSZip from 'jszip';
 import { saveAs } from 'file-saver';
-import { DEFAULT_CASHFLOW_PROFILES } from '../config/dummyData';
+import { deriveNetProfile } from '../config/dummyData';
+import { resolveCategories } from './categories';
+import { fundOwnCurves } from './fundPipeline';
 
 /**
  * Export commitments to Excel using CPT Template v2.0
@@ -10,7 +12,8 @@ import { DEFAULT_CASHFLOW_PROFILES } from '../config/dummyData';
  * @param {object} result - Result object from CPT solver
  * @param {object} params - Parameters object with availableCapital, startYear, etc.
  * @param {string} clientName - Name of the client
- * @returns {Blob} Excel file as blob for download
+ * @returns {object} { blob, filename, unregisteredFunds } - unregisteredFunds: names of pipeline funds that did not
+ *   fit in the template's Fondsen sheet
  */
 /**
  * Export commitments using direct XML manipulation (JSZip)
@@ -26,25 +29,42 @@ export async function exportToExcel(result, params, clientName) {
         }
 
         // 1. Prepare Data
+        // Pipeline plans export the named funds; any unallocated budget stays a "Dummy" row
+        // Type codes and sort order come from the category registry the plan was made with
+        const categories = result.categories || resolveCategories();
+        const typeLabels = {};
+        const typePriority = {};
+        categories.forEach((category, idx) => {
+            typeLabels[category.id] = category.exportCode;
+            typePriority[category.exportCode] = idx;
+        });
         const commitments = [];
+        const pipelineFunds = new Map();
         result.commitments.forEach(commitment => {
-            if (commitment.breakdown.secondaries > 0) {
-                commitments.push({ type: 'Secondaries', amount: Math.round(commitment.breakdown.secondaries), year: commitment.year });
-            }
-            if (commitment.breakdown.pe > 0) {
-                commitments.push({ type: 'PE', amount: Math.round(commitment.breakdown.pe), year: commitment.year });
-            }
-            if (commitment.breakdown.vc > 0) {
-                commitments.push({ type: 'VC', amount: Math.round(commitment.breakdown.vc), year: commitment.year });
+            if (commitment.funds?.length) {
+                commitment.funds.forEach(fund => {
+                    commitments.push({ type: typeLabels[fund.category], amount: Math.round(fund.amount), year: commitment.year, fundName: fund.name, currency: fund.currency });
+                    pipelineFunds.set(fund.name, fund);
+                });
+                Object.keys(commitment.unallocated || {}).forEach(cat => {
+                    commitments.push({ type: typeLabels[cat], amount: Math.round(commitment.unallocated[cat]), year: commitment.year });
+                });
+                return;
             }
+            // One row per ticket when the category was split into tickets
+            categories.forEach(category => {
+                const tickets = commitment.tickets?.[category.id] || [commitment.breakdown[category.id]];
+                tickets.forEach(amount => {
+                    if (amount > 0) commitments.push({ type: category.exportCode, amount: Math.round(amount), year: commitment.year });
+                });
+            });
         });
 
         const validCommitments = commitments
             .filter(c => c.amount > 0 && c.year && c.type)
             .sort((a, b) => {
                 if (a.year !== b.year) return a.year - b.year;
-                // Sort order: Secondaries, PE, VC
-                const typePriority = { 'Secondaries': 0, 'PE': 1, 'VC': 2 };
+                // Sort order: registry order
                 return typePriority[a.type] - typePriority[b.type];
             });
 
@@ -89,9 +109,9 @@ export async function exportToExcel(result, params, clientName) {
 
             const rowNode = findRow(doc, currentRowIdx);
             if (rowNode) {
-                // Determine Generic Name based on type
+                // Named pipeline fund, or a generic name based on type
                 // e.g. "Dummy PE", "Dummy VC", "Dummy Secondaries"
-                const fundName = `Dummy ${comm.type}`;
+                const fundName = comm.fundName || `Dummy ${comm.type}`;
 
                 // Col B: Fund Name
                 updateCellInRow(doc, rowNode, "B", currentRowIdx, fundName, "inlineStr");
@@ -99,6 +119,11 @@ export async function exportToExcel(result, params, clientName) {
                 // Col C: Commitment Amount
                 updateCellInRow(doc, rowNode, "C", currentRowIdx, comm.amount, "number");
 
+                // Col D: Currency (pipeline funds only; the template defaults to EUR)
+                if (comm.currency) {
+                    updateCellInRow(doc, rowNode, "D", currentRowIdx, comm.currency, "inlineStr");
+                }
+
                 // Col E: Vintage / Start Year
                 updateCellInRow(doc, rowNode, "E", currentRowIdx, comm.year, "number");
             }
@@ -124,6 +149,12 @@ export async function exportToExcel(result, params, clientName) {
         const newSheetXml = serializer.serializeToString(doc);
         zip.file(sheetPath, newSheetXml);
 
+        // 9b. Pipeline funds must exist in the Fondsen sheet for the matrix lookups
+        let unregisteredFunds = [];
+        if (pipelineFunds.size > 0) {
+            unregisteredFunds = await registerPipelineFunds(zip, parser, serializer, [...pipelineFunds.values()], typeLabels, categories, result.categoryProfiles);
+        }
+
         // 10. Generate Blob
         const blob = await zip.generateAsync({
             type: "blob",
@@ -135,7 +166,7 @@ export async function exportToExcel(result, params, clientName) {
         const filename = `CPT_${clientName.replace(/\s+/g, '_')}_${dateStr}.xlsx`;
 
         console.log('✅ Export successful');
-        return { blob, filename };
+        return { blob, filename, unregisteredFunds };
 
     } catch (error) {
         console.error('❌ Export failed:', error);
@@ -143,6 +174,74 @@ export async function exportToExcel(result, params, clientName) {
     }
 }
 
+// Fondsen sheet: fund names in A5:A30, type in B, status in C, net profile (year 1-12) in F:Q
+const FUNDS_SHEET_PATH = "xl/worksheets/sheet3.xml";
+const FUNDS_FIRST_ROW = 5;
+const FUNDS_LAST_ROW = 30;
+const PROFILE_COLUMNS = ["F", "G", "H", "I", "J", "K", "L", "M", "N", "O", "P", "Q"];
+
+/**
+ * Adds pipeline funds that the template does not list yet to the Fondsen sheet,
+ * using the fund's own profile or the category curves the plan was made with (before fees, like a fund's own
+ * profile; registry curves when the result has none).
+ * @returns {Array<string>} Names of the funds that did not fit in the sheet.
+ */
+async function registerPipelineFunds(zip, parser, serializer, funds, typeLabels, categories, categoryProfiles) {
+    const sheetFile = zip.file(FUNDS_SHEET_PATH);
+    if (!sheetFile) return [];
+    const doc = parser.parseFromString(await sheetFile.async("string"), "text/xml");
+
+    const sharedStringsFile = zip.file("xl/sharedStrings.xml");
+    const sharedStrings = [];
+    if (sharedStringsFile) {
+        const sst = parser.parseFromString(await sharedStringsFile.async("string"), "text/xml");
+        const items = sst.getElementsByTagName("si");
+        for (let i = 0; i < items.length; i++) sharedStrings.push(items[i].textContent);
+    }
+
+    const existing = new Set();
+    const freeRows = [];
+    for (let r = FUNDS_FIRST_ROW; r <= FUNDS_LAST_ROW; r++) {
+        const rowNode = findRow(doc, r);
+        const name = rowNode ? readCellText(rowNode, "A" + r, sharedStrings) : "";
+        if (name) existing.add(name);
+        else if (rowNode) freeRows.push({ rowNode, r });
+    }
+
+    const unregistered = [];
+    funds.filter(fund => !existing.has(fund.name)).forEach(fund => {
+        const slot = freeRows.shift();
+        if (!slot) {
+            unregistered.push(fund.name);
+            return;
+        }
+        const planned = categoryProfiles?.[fund.category];
+        const curves = planned ? (planned.gross || planned) : categories.find(c => c.id === fund.category)?.profiles;
+        const own = fundOwnCurves(fund) || curves;
+        const profile = own ? deriveNetProfile(own.calls, own.distributions) : [];
+        updateCellInRow(doc, slot.rowNode, "A", slot.r, fund.name, "inlineStr");
+        updateCellInRow(doc, slot.rowNode, "B", slot.r, typeLabels[fund.category], "inlineStr");
+        updateCellInRow(doc, slot.rowNode, "C", slot.r, "Pipeline", "inlineStr");
+        PROFILE_COLUMNS.forEach((col, i) => {
+            updateCellInRow(doc, slot.rowNode, col, slot.r, profile[i] || 0, "number");
+        });
+    });
+
+    zip.file(FUNDS_SHEET_PATH, serializer.serializeToString(doc));
+    return unregistered;
+}
+
+function readCellText(rowNode, cellRef, sharedStrings) {
+    const cells = rowNode.getElementsByTagName("c");
+    for (let i = 0; i < cells.length; i++) {
+        if (cells[i].getAttribute("r") !== cellRef) continue;
+        const type = cells[i].getAttribute("t");
+        if (type === "s") return sharedStrings[Number(cells[i].textContent)] || "";
+        return cells[i].textContent || "";
+    }
+    return "";
+}
+
 // XML Helper Functions
 
 function findRow(doc, rowNum) {
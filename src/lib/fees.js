@@ -0,0 +1,154 @@
+// Fee layer (gross-to-net): converts gross curves per unit of commitment into the net curves an LP sees.
+//
+// Management fees are drawn from the commitment: the investment curves (calls, distributions, NAV) are scaled
+// down so that investments plus fees are paid in with the total of the gross calls. Carried interest follows a
+// whole-fund waterfall: paid-in capital (fees included) back first, then the hurdle, then the GP catch-up, then
+// the carry split. NAV is net of the carry that a sale at that NAV would pay.
+
+import { DEFAULT_FEE_SETTINGS } from '../config/dummyData.js';
+
+const FEE_TERM_KEYS = ['managementFee', 'investmentPeriod', 'postInvestmentFee', 'hurdle', 'carry', 'catchUp'];
+
+/**
+ * Merges fee settings over the defaults.
+ * @param {object} [feeSettings] - Partial settings (see DEFAULT_FEE_SETTINGS).
+ * @returns {object} { enabled, categories: { [category]: { fund, fundOfFunds } } }
+ */
+export function resolveFeeSettings(feeSettings) {
+    return {
+        ...DEFAULT_FEE_SETTINGS,
+        ...feeSettings,
+        categories: { ...DEFAULT_FEE_SETTINGS.categories, ...feeSettings?.categories }
+    };
+}
+
+// Splits a distribution over the waterfall tiers; updates the state and returns the GP's carry
+const distributeWaterfall = (state, amount, terms) => {
+    let rest = amount;
+    const capital = Math.min(rest, state.capital);
+    state.capital -= capital;
+    rest -= capital;
+    const pref = Math.min(rest, state.pref);
+    state.pref -= pref;
+    state.lpProfit += pref;
+    rest -= pref;
+
+    let carried = 0;
+    if (terms.catchUp > terms.carry && rest > 0) {
+        // Catch-up until the GP holds carry of all profit distributed so far
+        const needed = (terms.carry * (state.lpProfit + state.gpCarry) - state.gpCarry) / (terms.catchUp - terms.carry);
+        const catchUp = Math.min(rest, Math.max(0, needed));
+        carried += terms.catchUp * catchUp;
+        state.lpProfit += (1 - terms.catchUp) * catchUp;
+        rest -= catchUp;
+    }
+    carried += terms.carry * rest;
+    state.lpProfit += (1 - terms.carry) * rest;
+    state.gpCarry += carried;
+    return carried;
+};
+
+/**
+ * Applies one layer of fees (a fund, or a fund-of-funds on top of it) to curves per unit of commitment.
+ * @param {object} profile - { calls, distributions, nav } gross of this layer's fees; managementFees and
+ *   carriedInterest of a layer below are carried along.
+ * @param {object} terms - { managementFee, investmentPeriod, postInvestmentFee, hurdle, carry, catchUp } - rates per year.
+ * @param {number} [periodsPerYear] - Curve entries per year (1 for annual curves, 4 for quarterly ones).
+ * @returns {object} { calls, distributions, nav, managementFees, carriedInterest } - calls include the management fees,
+ *   distributions are after carry.
+ */
+export function applyFeeLayer(profile, terms, periodsPerYear = 1) {
+    const t = {};
+    FEE_TERM_KEYS.forEach(key => { t[key] = Math.max(0, Number(terms?.[key]) || 0); });
+    const calls = profile.calls || [];
+    const distributions = profile.distributions || [];
+    const nav = profile.nav || [];
+    const length = Math.max(calls.length, distributions.length);
+    const investmentPeriods = Math.round(t.investmentPeriod * periodsPerYear);
+
+    // Fees before scaling: on commitment in the investment period, on the NAV at the previous period end afterwards
+    const commitmentFees = Array.from({ length }, (_, i) => (i < investmentPeriods ? t.managementFee / periodsPerYear : 0));
+    const navFees = Array.from({ length }, (_, i) => (i >= investmentPeriods && i > 0 ? t.postInvestmentFee / periodsPerYear * (nav[i - 1] || 0) : 0));
+    const sum = (values) => values.reduce((acc, v) => acc + (v || 0), 0);
+    const totalCalls = sum(calls);
+    // Investments + fees = total gross calls (NAV fees shrink with the scaled NAV)
+    const scale = totalCalls > 0 ? Math.max(0, (totalCalls - sum(commitmentFees)) / (totalCalls + sum(navFees))) : 1;
+
+    const hurdle = Math.pow(1 + t.hurdle, 1 / periodsPerYear) - 1;
+    const state = { capital: 0, pref: 0, lpProfit: 0, gpCarry: 0 };
+    const net = { calls: [], distributions: [], nav: [], managementFees: [], carriedInterest: [] };
+    for (let i = 0; i < Math.max(length, nav.length); i++) {
+        if (i < length) {
+            const fee = commitmentFees[i] + scale * navFees[i];
+            const paidIn = scale * (calls[i] || 0) + fee;
+            state.pref += hurdle * (state.capital + state.pref);
+            state.capital += paidIn;
+            const gross = scale * (distributions[i] || 0);
+            const carried = distributeWaterfall(state, gross, t);
+            net.calls[i] = paidIn;
+            net.distributions[i] = gross - carried;
+            net.managementFees[i] = scale * (profile.managementFees?.[i] || 0) + fee;
+            net.carriedInterest[i] = scale * (profile.carriedInterest?.[i] || 0) + carried;
+        }
+        if (i < nav.length) {
+            const value = scale * (nav[i] || 0);
+            net.nav[i] = value - distributeWaterfall({ ...state }, value, t);
+        }
+    }
+    return net;
+}
+
+/**
+ * Net curves of a category: the fund's fees on the gross curves, then the fund-of-funds fees on top.
+ * @param {object} profile - Gross { calls, distributions, nav } per unit of commitment.
+ * @param {object} structure - { fund, fundOfFunds } fee terms (see applyFeeLayer); either may be null.
+ * @param {number} [periodsPerYear] - Curve entries per year.
+ * @returns {object} Net { calls, distributions, nav, managementFees, carriedInterest, gross }, or the profile itself
+ *   when there are no fees.
+ */
+export function applyFeeStructure(profile, structure, periodsPerYear = 1) {
+    if (!structure?.fund && !structure?.fundOfFunds) return profile;
+    let net = structure.fund ? applyFeeLayer(profile, structure.fund, periodsPerYear) : profile;
+    if (structure.fundOfFunds) net = applyFeeLayer(net, structure.fundOfFunds, periodsPerYear);
+    return { ...net, gross: profile };
+}
+
+/**
+ * Net curves of a category under the configured fee settings.
+ * @param {object} profile - Gross { calls, distributions, nav }.
+ * @param {object} config - Configuration (config.feeSettings, see DEFAULT_FEE_SETTINGS).
+ * @param {string} category - Category id.
+ * @param {number} [periodsPerYear] - Curve entries per year.
+ * @returns {object} Net curves (see applyFeeStructure); the profile itself when fees are disabled.
+ */
+export function applyCategoryFees(profile, config, category, periodsPerYear = 1) {
+    const settings = resolveFeeSettings(config?.feeSettings);
+    if (!settings.enabled) return profile;
+    return applyFeeStructure(profile, settings.categories[category], periodsPerYear);
+}
+
+/**
+ * Validates the fee settings.
+ * @param {object} feeSettings - Fee settings (see DEFAULT_FEE_SETTINGS).
+ * @returns {Array<string>} Validation errors (empty when valid).
+ */
+export function validateFeeSettings(feeSettings) {
+    const errors = [];
+    const settings = resolveFeeSettings(feeSettings);
+    Object.keys(settings.categories).forEach(cat => {
+        ['fund', 'fundOfFunds'].forEach(layer => {
+            const terms = settings.categories[cat]?.[layer];
+            if (!terms) return;
+            FEE_TERM_KEYS.forEach(key => {
+                const value = terms[key];
+                if (value !== undefined && value !== null && !(Number(value) >= 0)) {
+                    errors.push(`Fees ${cat} (${layer}): ${key} must be a non-negative number.`);
+                }
+            });
+            if (Number(terms.carry) > 1 || Number(terms.catchUp) > 1) {
+                errors.push(`Fees ${cat} (${layer}): carry and catch-up cannot exceed 100%.`);
+            }
+        });
+    });
+    return errors;
+}
@@ -0,0 +1,137 @@
+// Fund pipeline: fills category budgets with named funds.
+//
+// Fund format (see DEFAULT_FUND_PIPELINE):
+// { id, name, category, firstCloseYear, finalCloseYear, minTicket, maxTicket, currency,
+//   calls: Array<number>|null, distributions: Array<number>|null, profile: Array<number>|null (net, approximate) }
+
+import { splitNetProfile } from '../config/dummyData.js';
+import { applyCategoryFees } from './fees.js';
+import { resolveNavProfile } from './nav.js';
+
+/**
+ * Whether a fund accepts commitments in a calendar year.
+ * @param {object} fund - Pipeline fund.
+ * @param {number} year - Calendar year.
+ * @returns {boolean}
+ */
+export function isFundOpen(fund, year) {
+    return year >= fund.firstCloseYear && year <= (fund.finalCloseYear ?? fund.firstCloseYear);
+}
+
+/**
+ * A fund's own gross curves: its calls and distributions, or - approximate - its net profile split into calls and
+ * distributions (a year with both nets out, which understates calls and unfunded commitments).
+ * @param {object} fund - Pipeline fund (or a fund allocation).
+ * @returns {object|null} { calls, distributions, approximate }, null when the fund follows the category curves.
+ */
+export function fundOwnCurves(fund) {
+    if (Array.isArray(fund.calls) && Array.isArray(fund.distributions) && (fund.calls.length > 0 || fund.distributions.length > 0)) {
+        return { calls: fund.calls, distributions: fund.distributions, approximate: false };
+    }
+    if (Array.isArray(fund.profile) && fund.profile.length > 0) return { ...splitNetProfile(fund.profile), approximate: true };
+    return null;
+}
+
+/**
+ * Curves to project a commitment to a fund: its own gross curves (see fundOwnCurves), or the category curves
+ * when it has none. NAV is derived from the fund's own curves with the category's
+ * growth setting (see resolveNavGrowth), unless the category has a static NAV override. The category's fees and recall terms apply to the fund's
+ * own curves as well.
+ * @param {object} fund - Pipeline fund.
+ * @param {object} categoryProfiles - { [category]: { calls, distributions, nav } } (see resolveCategoryProfiles).
+ * @param {object} [config] - Configuration with the fee settings.
+ * @returns {object} { calls, distributions, nav }, net of fees when they are enabled.
+ */
+export function resolveFundProfile(fund, categoryProfiles, config) {
+    const categoryProfile = categoryProfiles[fund.category];
+    const own = fundOwnCurves(fund);
+    if (!own) return categoryProfile;
+    const curves = { calls: own.calls, distributions: own.distributions };
+    const profile = applyCategoryFees({ ...curves, nav: resolveNavProfile(config, fund.category, curves) }, config, fund.category);
+    return { ...profile, recall: categoryProfile.recall };
+}
+
+/**
+ * Splits category budgets over the funds that are open in a year.
+ * Per category, funds are filled in order of final close (soonest first), each up to its max ticket.
+ * A fund is skipped when the remaining budget is below its min ticket; whatever cannot be placed stays
+ * unallocated (and is planned against the category curves).
+ * @param {object} breakdown - { [category]: amount } budget for the year.
+ * @param {number} year - Calendar year of the commitments.
+ * @param {Array<object>} pipeline - Pipeline funds.
+ * @param {Set<string>} [excludedIds] - Funds that already received a commitment.
+ * @returns {object} { allocations: [{ fundId, name, category, currency, amount, calls, distributions, profile }], unallocated: { [category]: amount } }
+ *   - calls/distributions/profile are the fund's own curves (null when it follows the category curves).
+ */
+export function allocateToFunds(breakdown, year, pipeline, excludedIds = new Set()) {
+    const allocations = [];
+    const unallocated = {};
+
+    const open = (pipeline || [])
+        .filter(fund => isFundOpen(fund, year) && !excludedIds.has(fund.id))
+        .sort((a, b) => (a.finalCloseYear ?? a.firstCloseYear) - (b.finalCloseYear ?? b.firstCloseYear));
+
+    Object.keys(breakdown).forEach(cat => {
+        let remaining = breakdown[cat];
+        open.filter(fund => fund.category === cat).forEach(fund => {
+            if (remaining <= 0 || remaining < (fund.minTicket || 0)) return;
+            const amount = Math.min(remaining, fund.maxTicket || Infinity);
+            allocations.push({ fundId: fund.id, name: fund.name, category: cat, currency: fund.currency || 'EUR', amount, calls: fund.calls || null, distributions: fund.distributions || null, profile: fund.profile || null });
+            remaining -= amount;
+        });
+        unallocated[cat] = Math.max(0, remaining);
+    });
+
+    return { allocations, unallocated };
+}
+
+/**
+ * Validates the pipeline. With ticket constraints, a fund whose ticket range does not overlap its category's
+ * (minTicket - maxTicket) can never be filled and is reported as well.
+ * @param {Array<object>} pipeline - Pipeline funds.
+ * @param {Array<string>} categories - Known category ids.
+ * @param {object} [tickets] - Ticket constraints per category (see DEFAULT_TICKET_CONSTRAINTS).
+ * @returns {Array<string>} Validation errors (empty when valid).
+ */
+export function validateFundPipeline(pipeline, categories, tickets = null) {
+    const errors = [];
+    (pipeline || []).forEach((fund, idx) => {
+        const name = fund.name || `#${idx + 1}`;
+        if (!fund.name) errors.push(`Pipeline fund #${idx + 1}: name is required.`);
+        if (!categories.includes(fund.category)) {
+            errors.push(`Pipeline fund ${name}: unknown category "${fund.category}".`);
+        }
+        if (!Number.isInteger(fund.firstCloseYear)) {
+            errors.push(`Pipeline fund ${name}: first close must be a year.`);
+        } else if (fund.finalCloseYear !== null && fund.finalCloseYear !== undefined && fund.finalCloseYear < fund.firstCloseYear) {
+            errors.push(`Pipeline fund ${name}: final close cannot be before first close.`);
+        }
+        if (fund.maxTicket && fund.minTicket > fund.maxTicket) {
+            errors.push(`Pipeline fund ${name}: min ticket is above max ticket.`);
+        }
+        const ticket = tickets?.[fund.category];
+        if (ticket?.minTicket && fund.maxTicket && fund.maxTicket < ticket.minTicket) {
+            errors.push(`Pipeline fund ${name}: max ticket is below the minimum ticket of ${fund.category} (${ticket.minTicket}).`);
+        }
+        if (ticket?.maxTicket && fund.minTicket > ticket.maxTicket) {
+            errors.push(`Pipeline fund ${name}: min ticket is above the maximum ticket of ${fund.category} (${ticket.maxTicket}).`);
+        }
+        if ([fund.calls, fund.distributions].some(curve => curve && (!Array.isArray(curve) || curve.some(v => !(v >= 0))))) {
+            errors.push(`Pipeline fund ${name}: calls and distributions must be non-negative fractions of commitment.`);
+        }
+    });
+    const ids = (pipeline || []).map(f => f.id);
+    if (new Set(ids).size !== ids.length) errors.push('Pipeline fund ids must be unique.');
+    return errors;
+}
+
+/**
+ * Pipeline funds that only have a net profile: they are projected, but calls and unfunded are understated.
+ * @param {Array<object>} pipeline - Pipeline funds.
+ * @returns {Array<string>} Warnings (empty when every fund has gross curves or follows its category).
+ */
+export function fundPipelineWarnings(pipeline) {
+    return (pipeline || [])
+        .filter(fund => fundOwnCurves(fund)?.approximate)
+        .map(fund => `Pipeline fund ${fund.name}: only a net profile is set, so calls and distributions in the same year net out and unfunded commitments are understated. Enter separate calls and distributions.`);
+}
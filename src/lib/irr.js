@@ -0,0 +1,89 @@
+// IRR / XIRR engine.
+// Cashflow sign convention as elsewhere in the tool: negative = call (money out), positive = distribution.
+
+const MAX_ITERATIONS = 100;
+const TOLERANCE = 1e-7;
+
+/**
+ * Solves NPV(rate) = 0 with Newton-Raphson, falling back to bisection when Newton does not converge.
+ * @param {function(number): number} npv - NPV as function of the rate.
+ * @param {function(number): number} dNpv - Derivative of the NPV.
+ * @returns {number|null} The rate, or null when there is no root in (-99%, 1000%).
+ */
+function solveRate(npv, dNpv) {
+    // Newton from a 10% guess
+    let rate = 0.1;
+    for (let i = 0; i < MAX_ITERATIONS; i++) {
+        const value = npv(rate);
+        const slope = dNpv(rate);
+        if (!isFinite(value) || !isFinite(slope) || slope === 0) break;
+        const next = rate - value / slope;
+        if (next <= -0.99 || next >= 10 || !isFinite(next)) break;
+        if (Math.abs(next - rate) < TOLERANCE) return next;
+        rate = next;
+    }
+
+    // Bisection on a bracketing interval
+    let low = -0.99;
+    let high = 10;
+    let npvLow = npv(low);
+    const npvHigh = npv(high);
+    if (!isFinite(npvLow) || !isFinite(npvHigh) || npvLow * npvHigh > 0) return null;
+    for (let i = 0; i < 200; i++) {
+        const mid = (low + high) / 2;
+        const npvMid = npv(mid);
+        if (Math.abs(npvMid) < TOLERANCE || (high - low) / 2 < TOLERANCE) return mid;
+        if (npvMid * npvLow < 0) {
+            high = mid;
+        } else {
+            low = mid;
+            npvLow = npvMid;
+        }
+    }
+    return (low + high) / 2;
+}
+
+// An IRR only exists when the flows contain both calls and distributions
+const hasSignChange = (amounts) => amounts.some(v => v < 0) && amounts.some(v => v > 0);
+
+/**
+ * Periodic IRR of equally spaced cashflows (index 0 = first period).
+ * @param {Array<number>} cashflows - Net cashflow per period.
+ * @returns {number|null} IRR per period (e.g. 0.132 = 13.2%), or null if undefined.
+ */
+export function calculateIRR(cashflows) {
+    if (!Array.isArray(cashflows) || !hasSignChange(cashflows)) return null;
+    const npv = (r) => cashflows.reduce((acc, cf, t) => acc + cf / Math.pow(1 + r, t), 0);
+    const dNpv = (r) => cashflows.reduce((acc, cf, t) => acc - (t * cf) / Math.pow(1 + r, t + 1), 0);
+    return solveRate(npv, dNpv);
+}
+
+/**
+ * XIRR of dated cashflows (Actual/365, like Excel's XIRR).
+ * @param {Array<{date: Date, amount: number}>} flows - Dated cashflows.
+ * @returns {number|null} Annualised IRR, or null if undefined.
+ */
+export function calculateXIRR(flows) {
+    if (!Array.isArray(flows) || flows.length === 0) return null;
+    const amounts = flows.map(f => f.amount);
+    if (!hasSignChange(amounts)) return null;
+    const t0 = Math.min(...flows.map(f => f.date.getTime()));
+    const years = flows.map(f => (f.date.getTime() - t0) / (365 * 24 * 3600 * 1000));
+    const npv = (r) => amounts.reduce((acc, cf, i) => acc + cf / Math.pow(1 + r, years[i]), 0);
+    const dNpv = (r) => amounts.reduce((acc, cf, i) => acc - (years[i] * cf) / Math.pow(1 + r, years[i] + 1), 0);
+    return solveRate(npv, dNpv);
+}
+
+/**
+ * Implied IRR of a commitment following category curves, including residual NAV.
+ * Flows are cut off after `years` years; the NAV at that point is treated as a final distribution.
+ * @param {object} profile - { calls, distributions, nav } as fractions of commitment.
+ * @param {number} [years] - Years to include (default: full profile length).
+ * @returns {number|null} Annual IRR.
+ */
+export function calculateProfileIRR(profile, years) {
+    const length = years ?? Math.max(profile.calls.length, profile.distributions.length);
+    const flows = Array.from({ length }, (_, t) => (profile.distributions[t] || 0) - (profile.calls[t] || 0));
+    if (length > 0) flows[length - 1] += profile.nav?.[length - 1] || 0;
+    return calculateIRR(flows);
+}
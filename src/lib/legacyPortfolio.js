@@ -0,0 +1,161 @@
+// Existing (legacy) fund commitments that are already in the portfolio when the plan starts.
+//
+// Fund format:
+// { id, name, vintage: 2021, category: 'pe', commitment, paidIn, nav, distributed? }
+// paidIn, nav and distributed are the figures to date (just before startYear).
+
+/**
+ * Projects the remaining cashflows of an existing commitment along its category curves.
+ * - Calls: the outstanding commitment (commitment - paid-in) is called along the rest of the call curve.
+ *   When the curve has no calls left, the outstanding amount is assumed to be called in the first plan year.
+ * - Distributions and NAV: the rest of the curves, scaled by actual NAV / expected NAV at the current age.
+ *   A fund beyond the end of its curves distributes its NAV in the first plan year.
+ * - Fees (net curves): the management fee and carry shares of the curve entries, applied to the projected calls and
+ *   distributions.
+ * - Recallable distributions (profile.recall): while the recall period runs, that share of the distributions to date
+ *   and of the projected ones adds to unfunded.
+ * @param {object} fund - Legacy fund (see format above).
+ * @param {object} profile - Category curves { calls, distributions, nav } as fractions of commitment.
+ * @param {number} startYear - First plan year.
+ * @param {number} horizon - Number of projection periods (years, or quarters with quarterly curves).
+ * @param {number} [periodsPerYear] - Curve entries per year (1 for annual curves, 4 for quarterly ones).
+ * @returns {object} { cashflows, calls, distributions, unfunded, nav, realisedResult, managementFees, carriedInterest, recallable } -
+ *   Array<number> of length horizon, same shape as calculateCommitmentProjection.
+ */
+export function projectLegacyCommitment(fund, profile, startYear, horizon, periodsPerYear = 1) {
+    const cashflows = new Array(horizon).fill(0);
+    const calls = new Array(horizon).fill(0);
+    const distributions = new Array(horizon).fill(0);
+    const unfunded = new Array(horizon).fill(0);
+    const nav = new Array(horizon).fill(0);
+    const realisedResult = new Array(horizon).fill(0);
+    const managementFees = new Array(horizon).fill(0);
+    const carriedInterest = new Array(horizon).fill(0);
+    const recallable = new Array(horizon).fill(0);
+
+    const commitment = Number(fund.commitment) || 0;
+    const paidIn = Math.min(commitment, Number(fund.paidIn) || 0);
+    const currentNav = Number(fund.nav) || 0;
+    const outstanding = commitment - paidIn;
+    if (horizon <= 0 || commitment <= 0) return { cashflows, calls, distributions, unfunded, nav, realisedResult, managementFees, carriedInterest, recallable };
+
+    const callProfile = profile.calls || [];
+    const distProfile = profile.distributions || [];
+    const navProfile = profile.nav || [];
+    const profileLength = Math.max(callProfile.length, distProfile.length);
+
+    // Profile index of the first plan period (first period of the vintage year = index 0)
+    const age = (startYear - Number(fund.vintage)) * periodsPerYear;
+
+    const remainingCallShare = callProfile.slice(Math.max(0, age)).reduce((acc, v) => acc + (v || 0), 0);
+    const expectedNav = age >= 1 ? commitment * (navProfile[age - 1] || 0) : 0;
+    const navFactor = expectedNav > 0 ? currentNav / expectedNav : 1;
+    const pastCurves = age >= profileLength;
+    const recallShare = profile.recall?.share || 0;
+    const recallEnd = Math.min(profileLength, profile.recall?.periods ?? profileLength);
+    let recallableDistributed = age < recallEnd ? recallShare * (Number(fund.distributed) || 0) : 0;
+
+    // Cost recovery for the taxable result starts from the position to date
+    let cumulativeNet = (Number(fund.distributed) || 0) - paidIn;
+    let recognisedGain = Math.max(0, cumulativeNet);
+    let cumulativeCalled = 0;
+
+    for (let t = 0; t < horizon; t++) {
+        const i = age + t;
+        let call = 0;
+        let distribution = 0;
+
+        if (remainingCallShare > 0) {
+            if (i >= 0 && i < callProfile.length) call = outstanding * (callProfile[i] || 0) / remainingCallShare;
+        } else if (t === 0) {
+            call = outstanding;
+        }
+        if (pastCurves) {
+            if (t === 0) distribution = currentNav;
+        } else if (i >= 0 && i < profileLength) {
+            distribution = commitment * (distProfile[i] || 0) * navFactor;
+        }
+        if (!pastCurves && i >= 0 && i < navProfile.length) {
+            nav[t] = commitment * navProfile[i] * navFactor;
+        }
+
+        calls[t] = call;
+        distributions[t] = distribution;
+        if (i >= 0 && callProfile[i] > 0) managementFees[t] = call * (profile.managementFees?.[i] || 0) / callProfile[i];
+        if (i >= 0 && distProfile[i] > 0) carriedInterest[t] = distribution * (profile.carriedInterest?.[i] || 0) / distProfile[i];
+        cashflows[t] = distribution - call;
+        cumulativeCalled += call;
+        if (i >= 0 && i < recallEnd) recallableDistributed += recallShare * distribution;
+        const openRecall = i < recallEnd - 1 ? recallableDistributed : 0;
+        unfunded[t] = Math.max(0, outstanding + openRecall - cumulativeCalled);
+        recallable[t] = Math.min(unfunded[t], openRecall);
+
+        cumulativeNet += distribution - call;
+        if (cumulativeNet > recognisedGain) {
+            realisedResult[t] = cumulativeNet - recognisedGain;
+            recognisedGain = cumulativeNet;
+        }
+        if (i === Math.max(profileLength - 1, age)) {
+            realisedResult[t] += Math.min(0, cumulativeNet + nav[t] - recognisedGain);
+        }
+    }
+
+    return { cashflows, calls, distributions, unfunded, nav, realisedResult, managementFees, carriedInterest, recallable };
+}
+
+/**
+ * Validates the legacy fund list.
+ * @param {Array<object>} funds - Legacy funds.
+ * @param {Array<string>} categories - Known category ids.
+ * @returns {Array<string>} Validation errors (empty when valid).
+ */
+export function validateLegacyFunds(funds, categories) {
+    const errors = [];
+    (funds || []).forEach((fund, idx) => {
+        const name = fund.name || `#${idx + 1}`;
+        if (!categories.includes(fund.category)) {
+            errors.push(`Legacy fund ${name}: unknown category "${fund.category}".`);
+        }
+        if (!Number.isInteger(Number(fund.vintage))) {
+            errors.push(`Legacy fund ${name}: vintage must be a year.`);
+        }
+        if (!(Number(fund.commitment) > 0)) {
+            errors.push(`Legacy fund ${name}: commitment must be positive.`);
+        }
+        if (Number(fund.paidIn) < 0 || Number(fund.paidIn) > Number(fund.commitment)) {
+            errors.push(`Legacy fund ${name}: paid-in must be between 0 and the commitment.`);
+        }
+        if (Number(fund.nav) < 0) {
+            errors.push(`Legacy fund ${name}: NAV cannot be negative.`);
+        }
+    });
+    return errors;
+}
+
+/**
+ * Projects all legacy funds and sums them.
+ * @param {Array<object>} funds - Legacy funds.
+ * @param {object} categoryProfiles - { [category]: { calls, distributions, nav } }.
+ * @param {number} startYear - First plan year.
+ * @param {number} horizon - Number of projection periods.
+ * @param {number} [periodsPerYear] - Curve entries per year (see projectLegacyCommitment).
+ * @returns {object} { funds: [{ ...fund, projection }], totals: { cashflows, calls, distributions, unfunded, nav, managementFees,
+ *   carriedInterest, recallable }, outstanding } - outstanding is the unfunded amount at the start of the plan.
+ */
+export function projectLegacyPortfolio(funds, categoryProfiles, startYear, horizon, periodsPerYear = 1) {
+    const keys = ['cashflows', 'calls', 'distributions', 'unfunded', 'nav', 'managementFees', 'carriedInterest', 'recallable'];
+    const totals = {};
+    keys.forEach(key => { totals[key] = new Array(horizon).fill(0); });
+
+    let outstanding = 0;
+    const projected = (funds || []).map(fund => {
+        const projection = projectLegacyCommitment(fund, categoryProfiles[fund.category], startYear, horizon, periodsPerYear);
+        keys.forEach(key => {
+            for (let t = 0; t < horizon; t++) totals[key][t] += projection[key][t];
+        });
+        outstanding += Math.max(0, (Number(fund.commitment) || 0) - (Number(fund.paidIn) || 0));
+        return { ...fund, projection };
+    });
+
+    return { funds: projected, totals, outstanding };
+}
@@ -0,0 +1,251 @@
+// Whole-horizon commitment optimiser.
+//
+// Solves all yearly category commitments at once as a linear programme instead of year by year.
+// Every projected quantity is linear in the commitments (flows scale with the commitment size and
+// interest compounds on a balance that the constraints keep non-negative), so:
+//   balance[t] = A[t] + sum over (year, category) of x[year][category] * B[t][year][category]
+// Interest only accrues after a year whose cash constraint holds; after a year the existing position already
+// breaches (the balance may then be negative) no interest is counted, as the solver pays none on a negative balance.
+// The smoothing cap max(growth cap, restart floor) takes one binary per plan year (a small mixed-integer programme).
+// Amounts in the LP are in EUR millions for numerical stability.
+
+import solver from 'javascript-lp-solver';
+
+const SCALE = 1e6;
+const varName = (y, cat) => `x_${y}_${cat}`;
+
+/**
+ * Builds the linear coefficients of balance, unfunded and NAV per projection year.
+ * @param {object} problem - See optimizeCommitmentPlan.
+ * @returns {object} { base: { balance, unfunded, nav }, coef: (t, y, cat) => { balance, unfunded, nav } }
+ */
+function buildCoefficients(problem) {
+    const { horizon, years, categories, unitProjections, availableCapital, cashYieldRates, baseFlows, baseUnfunded, baseNav, buffer } = problem;
+
+    // Interest rate per year: only on an opening balance the constraints keep non-negative (the starting capital,
+    // or the end of a year whose cash constraint the existing position meets)
+    const baseBalance = new Array(horizon).fill(0);
+    const rates = new Array(horizon).fill(0);
+    let running = availableCapital;
+    let opensPositive = availableCapital >= 0;
+    for (let t = 0; t < horizon; t++) {
+        rates[t] = opensPositive ? cashYieldRates[t] : 0;
+        running = running * (1 + rates[t]) + baseFlows[t];
+        baseBalance[t] = running;
+        const { fixed, navShare } = buffer ? buffer(t) : { fixed: 0, navShare: 0 };
+        opensPositive = running - fixed - navShare * baseNav[t] >= 0;
+    }
+
+    // balanceCoef[y][cat][t]: effect of 1 euro committed in year y on the balance at t
+    const balanceCoef = [];
+    for (let y = 0; y < years; y++) {
+        balanceCoef[y] = {};
+        categories.forEach(cat => {
+            const unit = unitProjections[y][cat];
+            const series = new Array(horizon).fill(0);
+            let acc = 0;
+            for (let t = 0; t < horizon; t++) {
+                acc = acc * (1 + rates[t]) + unit.cashflows[t];
+                series[t] = acc;
+            }
+            balanceCoef[y][cat] = series;
+        });
+    }
+
+    return {
+        base: { balance: baseBalance, unfunded: baseUnfunded, nav: baseNav },
+        coef: (t, y, cat) => ({
+            balance: balanceCoef[y][cat][t],
+            unfunded: unitProjections[y][cat].unfunded[t],
+            nav: unitProjections[y][cat].nav[t]
+        })
+    };
+}
+
+/**
+ * Value of the objective for a given plan (used for both the LP and the greedy result).
+ * @param {object} problem - See optimizeCommitmentPlan.
+ * @param {Array<object>} breakdowns - Per plan year { [category]: amount }.
+ * @returns {number} maxCommitment: total committed; minCashDrag: average cash over the planning years;
+ *   trackNav: mean absolute NAV deviation from the target over the planning years (all in euros).
+ */
+export function evaluateObjective(problem, breakdowns) {
+    const { objective, years, categories, targetNav } = problem;
+    const { base, coef } = buildCoefficients(problem);
+    const valueAt = (t, key) => breakdowns.reduce((acc, b, y) => acc + categories.reduce((sum, cat) => sum + (b?.[cat] || 0) * coef(t, y, cat)[key], 0), base[key][t]);
+
+    if (objective === 'minCashDrag') {
+        let total = 0;
+        for (let t = 0; t < years; t++) total += valueAt(t, 'balance');
+        return total / years;
+    }
+    if (objective === 'trackNav') {
+        let total = 0;
+        for (let t = 0; t < years; t++) total += Math.abs(valueAt(t, 'nav') - targetNav[t]);
+        return total / years;
+    }
+    return breakdowns.reduce((acc, b) => acc + categories.reduce((sum, cat) => sum + (b?.[cat] || 0), 0), 0);
+}
+
+/**
+ * Solves the commitment plan over the whole planning horizon.
+ *
+ * Constraints per projection year t: balance - buffer - unfunded / unfundedRatio >= 0 and balance - buffer >= 0
+ * (cash may not go negative in over-commitment mode either; for a year where the existing position alone already
+ * fails, new commitments may not make it worse).
+ * Per plan year: category shares inside the bands (or fixed ratios), manual amounts fixed, and the smoothing
+ * rule of the greedy solver total[y] <= max((1 + maxYearlyChange) x total[y-1], restartFloor) (first year:
+ * firstYearCap), with a binary per year choosing the growth cap or the restart floor.
+ * Not modelled: corporate tax, ticket sizes and pipeline funds (non-linear); the plan is re-simulated afterwards.
+ *
+ * @param {object} problem
+ * @param {string} problem.objective - 'maxCommitment' | 'minCashDrag' | 'trackNav'.
+ * @param {number} problem.years - Number of plan years.
+ * @param {number} problem.horizon - Projection years.
+ * @param {Array<string>} problem.categories - Categories that may receive commitments.
+ * @param {Array<object>} problem.unitProjections - Per plan year { [category]: projection of 1 euro }.
+ * @param {number} problem.availableCapital - Starting capital.
+ * @param {Array<number>} problem.cashYieldRates - Interest rate on cash per projection year.
+ * @param {Array<number>} problem.baseFlows - Flows not decided by the LP (legacy funds, deposits, withdrawals).
+ * @param {Array<number>} problem.baseUnfunded - Unfunded of the legacy portfolio.
+ * @param {Array<number>} problem.baseNav - NAV of the legacy portfolio.
+ * @param {function(number): {fixed: number, navShare: number}} problem.buffer - Buffer requirement per year:
+ *   fixed euros plus a share of NAV.
+ * @param {number} problem.unfundedRatio - Allowed unfunded / resources.
+ * @param {Array<object>} problem.mix - Per plan year { bands: { [category]: [lo, hi] }, fixed: { [category]: amount } }.
+ * @param {object|null} problem.smoothing - { firstYearCap, maxYearlyChange, restartFloor, hardCap } in euros/fractions.
+ * @param {Array<number>} [problem.targetNav] - Target NAV per plan year (trackNav objective).
+ * @returns {object} { feasible, objectiveValue, breakdowns: Array<{ [category]: amount }> }
+ */
+export function optimizeCommitmentPlan(problem) {
+    const { objective, years, horizon, categories, buffer, unfundedRatio, mix, smoothing, targetNav } = problem;
+    const { base, coef } = buildCoefficients(problem);
+
+    const model = { optimize: 'objective', opType: objective === 'maxCommitment' ? 'max' : 'min', constraints: {}, variables: {} };
+    const addTerm = (variable, constraint, value) => {
+        if (!model.variables[variable]) model.variables[variable] = {};
+        if (value) model.variables[variable][constraint] = (model.variables[variable][constraint] || 0) + value;
+    };
+
+    // Decision variables with their objective weight
+    for (let y = 0; y < years; y++) {
+        categories.forEach(cat => {
+            const name = varName(y, cat);
+            model.variables[name] = {};
+            if (objective === 'maxCommitment') addTerm(name, 'objective', 1);
+            if (objective === 'minCashDrag') {
+                let weight = 0;
+                for (let t = 0; t < years; t++) weight += coef(t, y, cat).balance;
+                addTerm(name, 'objective', weight);
+            }
+        });
+    }
+
+    // Solvency and non-negative cash (above the buffer) per projection year
+    for (let t = 0; t < horizon; t++) {
+        const { fixed, navShare } = buffer(t);
+        const row = `solvency_${t}`;
+        const cashRow = `cash_${t}`;
+        // A year the existing position already breaches may not get worse
+        const required = -base.balance[t] + fixed + navShare * base.nav[t] + base.unfunded[t] / unfundedRatio;
+        const requiredCash = -base.balance[t] + fixed + navShare * base.nav[t];
+        model.constraints[row] = { min: Math.min(0, required) / SCALE };
+        model.constraints[cashRow] = { min: Math.min(0, requiredCash) / SCALE };
+        for (let y = 0; y <= Math.min(t, years - 1); y++) {
+            categories.forEach(cat => {
+                const c = coef(t, y, cat);
+                addTerm(varName(y, cat), row, c.balance - navShare * c.nav - c.unfunded / unfundedRatio);
+                addTerm(varName(y, cat), cashRow, c.balance - navShare * c.nav);
+            });
+        }
+    }
+
+    // Mix, manual amounts and smoothing per plan year
+    for (let y = 0; y < years; y++) {
+        const { bands, fixed } = mix[y];
+        const free = categories.filter(cat => fixed[cat] === undefined);
+        categories.forEach(cat => {
+            if (fixed[cat] !== undefined) {
+                model.constraints[`fixed_${y}_${cat}`] = { equal: fixed[cat] / SCALE };
+                addTerm(varName(y, cat), `fixed_${y}_${cat}`, 1);
+            } else if (!bands[cat]) {
+                model.constraints[`off_${y}_${cat}`] = { max: 0 };
+                addTerm(varName(y, cat), `off_${y}_${cat}`, 1);
+            }
+        });
+        // lo x freeTotal <= x[cat] <= hi x freeTotal
+        free.filter(cat => bands[cat]).forEach(cat => {
+            const [lo, hi] = bands[cat];
+            model.constraints[`bandLo_${y}_${cat}`] = { min: 0 };
+            model.constraints[`bandHi_${y}_${cat}`] = { max: 0 };
+            free.forEach(other => {
+                addTerm(varName(y, other), `bandLo_${y}_${cat}`, (other === cat ? 1 : 0) - lo);
+                addTerm(varName(y, other), `bandHi_${y}_${cat}`, (other === cat ? 1 : 0) - hi);
+            });
+        });
+
+        if (smoothing && y === 0) {
+            model.constraints.smooth_0 = { max: smoothing.firstYearCap / SCALE };
+            categories.forEach(cat => addTerm(varName(0, cat), 'smooth_0', 1));
+        } else if (smoothing) {
+            // total[y] <= max(growth, floor): with floor_y = 0 the growth cap applies, with floor_y = 1 the floor.
+            // The hard cap bounds every total, so it serves as the big M that switches the other row off.
+            const bigM = smoothing.hardCap / SCALE;
+            const growthRow = `smoothGrowth_${y}`;
+            const floorRow = `smoothFloor_${y}`;
+            const pick = `floor_${y}`;
+            model.constraints[growthRow] = { max: 0 };
+            model.constraints[floorRow] = { max: (smoothing.restartFloor + smoothing.hardCap) / SCALE };
+            categories.forEach(cat => {
+                addTerm(varName(y, cat), growthRow, 1);
+                addTerm(varName(y - 1, cat), growthRow, -(1 + smoothing.maxYearlyChange));
+                addTerm(varName(y, cat), floorRow, 1);
+            });
+            model.variables[pick] = { [growthRow]: -bigM, [floorRow]: bigM };
+            model.binaries = { ...model.binaries, [pick]: 1 };
+        }
+        model.constraints[`cap_${y}`] = { max: (smoothing?.hardCap ?? Infinity) / SCALE };
+        categories.forEach(cat => addTerm(varName(y, cat), `cap_${y}`, 1));
+    }
+
+    // NAV tracking: nav[t] - target[t] = over[t] - under[t], minimise the deviations
+    if (objective === 'trackNav') {
+        for (let t = 0; t < years; t++) {
+            const row = `track_${t}`;
+            model.constraints[row] = { equal: (targetNav[t] - base.nav[t]) / SCALE };
+            for (let y = 0; y <= t; y++) {
+                categories.forEach(cat => addTerm(varName(y, cat), row, coef(t, y, cat).nav));
+            }
+            model.variables[`over_${t}`] = { [row]: -1, objective: 1 };
+            model.variables[`under_${t}`] = { [row]: 1, objective: 1 };
+        }
+    }
+
+    const solution = solver.Solve(model);
+    if (!solution.feasible) {
+        return { feasible: false, objectiveValue: null, breakdowns: [] };
+    }
+
+    // Round down to whole 10k amounts, as the greedy solver does
+    const breakdowns = [];
+    for (let y = 0; y < years; y++) {
+        const breakdown = {};
+        categories.forEach(cat => {
+            breakdown[cat] = Math.floor(((solution[varName(y, cat)] || 0) * SCALE) / 10000) * 10000;
+        });
+        // Rounding the previous year down can leave this year above its growth cap: scale it back
+        const total = categories.reduce((acc, cat) => acc + breakdown[cat], 0);
+        if (smoothing && y > 0 && total > 0) {
+            const previous = categories.reduce((acc, cat) => acc + breakdowns[y - 1][cat], 0);
+            const cap = Math.max((1 + smoothing.maxYearlyChange) * previous, smoothing.restartFloor);
+            if (total > cap) {
+                categories.forEach(cat => {
+                    if (mix[y].fixed[cat] === undefined) breakdown[cat] = Math.floor((breakdown[cat] * cap / total) / 10000) * 10000;
+                });
+            }
+        }
+        breakdowns.push(breakdown);
+    }
+
+    return { feasible: true, objectiveValue: evaluateObjective(problem, breakdowns), breakdowns };
+}
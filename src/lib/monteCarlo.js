@@ -0,0 +1,201 @@
+import { DEFAULT_MONTE_CARLO_SETTINGS } from '../config/dummyData.js';
+import { calculateCommitmentProjection, resolveCategoryProfiles } from './solver.js';
+import { resolveFundProfile } from './fundPipeline.js';
+import { projectLegacyCommitment } from './legacyPortfolio.js';
+
+/**
+ * Seeded pseudo-random generator (mulberry32). Same seed -> same sequence.
+ * @param {number} seed - Integer seed.
+ * @returns {function(): number} Uniform random number in [0, 1).
+ */
+export function createRng(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Standard normal draw (Box-Muller)
+function normal(rng) {
+    let u = 0;
+    while (u === 0) u = rng();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rng());
+}
+
+/**
+ * Shifts a curve in time by a (fractional) number of years while preserving its total.
+ * The value at index i moves to i + shift and is split linearly over the two neighbouring years;
+ * anything shifted before year 1 lands in year 1.
+ * @param {Array<number>} curve - Values per year.
+ * @param {number} shift - Years (positive = later).
+ * @returns {Array<number>} Shifted curve (may be longer than the input).
+ */
+export function shiftCurve(curve, shift) {
+    if (!shift) return [...curve];
+    const out = new Array(curve.length + Math.max(0, Math.ceil(shift)) + 1).fill(0);
+    curve.forEach((value, i) => {
+        if (!value) return;
+        const pos = Math.max(0, i + shift);
+        const lower = Math.floor(pos);
+        const weight = pos - lower;
+        out[lower] += value * (1 - weight);
+        if (weight > 0) out[lower + 1] += value * weight;
+    });
+    return out;
+}
+
+function percentile(sorted, p) {
+    if (sorted.length === 0) return 0;
+    const idx = (sorted.length - 1) * p;
+    const lower = Math.floor(idx);
+    const upper = Math.ceil(idx);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (idx - lower);
+}
+
+/**
+ * The commitments of a solveCPT result as the solver projected them: one piece per pipeline fund (with its own
+ * curves) and per category amount.
+ * @param {object} result - solveCPT result ({ commitments }).
+ * @param {object} categoryProfiles - Annual category curves (see resolveCategoryProfiles).
+ * @param {object} config - Configuration (fee settings for fund-specific curves).
+ * @returns {Array<object>} [{ startIdx, vintage, category, amount, profile }]
+ */
+export function resolvePlanPieces(result, categoryProfiles, config) {
+    const pieces = [];
+    result.commitments.forEach((c, idx) => {
+        const add = (category, amount, profile) => pieces.push({ startIdx: idx, vintage: c.year, category, amount, profile });
+        if (c.funds?.length) {
+            c.funds.forEach(fund => add(fund.category, fund.amount, resolveFundProfile(fund, categoryProfiles, config)));
+            Object.keys(c.unallocated || {}).forEach(cat => {
+                if (c.unallocated[cat] > 0 && categoryProfiles[cat]) add(cat, c.unallocated[cat], categoryProfiles[cat]);
+            });
+            return;
+        }
+        Object.keys(c.breakdown).forEach(cat => {
+            if (c.breakdown[cat] > 0 && categoryProfiles[cat]) add(cat, c.breakdown[cat], categoryProfiles[cat]);
+        });
+    });
+    return pieces;
+}
+
+/**
+ * Monte Carlo simulation of a fixed commitment plan.
+ * Per path, every commitment (pipeline funds and legacy funds included) gets a call timing shift, a distribution
+ * timing shift and a distribution multiple shock. Each shock mixes a vintage-wide draw with a commitment-specific draw
+ * (vintageCorrelation = share of the common component). The plan itself is not re-optimised. Cash follows the
+ * annual report of the result: interest on the opening balance and the external flows, before corporate tax; with
+ * all volatilities at 0 every path reproduces its endBalance (annual curves).
+ *
+ * @param {object} params
+ * @param {object} params.result - solveCPT result ({ commitments, annualReport, legacyFunds }).
+ * @param {number} params.availableCapital - Starting capital.
+ * @param {number} params.startYear - First projection year.
+ * @param {object} params.config - Configuration (profiles, navGrowth, navProfiles, monteCarlo settings).
+ * @param {object} [params.settings] - Overrides for config.monteCarlo ({ paths, seed, vintageCorrelation, volatilities }).
+ * @param {object} [params.categoryProfiles] - Annual category curves the plan was made with (default
+ *   result.categoryProfiles, which in quarterly mode are the annualised quarterly curves).
+ * @returns {object} { paths, seed, years: [{ year, cash: {p5,p50,p95}, nav: {p5,p50,p95}, shortfallProbability }], anyShortfallProbability }
+ */
+export function runMonteCarlo({ result, availableCapital, startYear, config, settings, categoryProfiles = result.categoryProfiles ?? resolveCategoryProfiles(config) }) {
+    const mc = { ...DEFAULT_MONTE_CARLO_SETTINGS, ...config?.monteCarlo, ...settings };
+    const volatilities = { ...DEFAULT_MONTE_CARLO_SETTINGS.volatilities, ...mc.volatilities };
+    const paths = Math.max(1, Math.round(mc.paths));
+    const rho = Math.min(1, Math.max(0, mc.vintageCorrelation ?? 0));
+    const common = Math.sqrt(rho);
+    const specific = Math.sqrt(1 - rho);
+    const rng = createRng(mc.seed ?? 42);
+    const horizon = result.annualReport.length;
+
+    // One row per projected piece of the plan, plus the legacy funds
+    const rows = resolvePlanPieces(result, categoryProfiles, config);
+    (result.legacyFunds || []).forEach(fund => {
+        if (categoryProfiles[fund.category]) rows.push({ vintage: Number(fund.vintage), category: fund.category, legacy: fund, profile: categoryProfiles[fund.category] });
+    });
+
+    const cashByYear = Array.from({ length: horizon }, () => []);
+    const navByYear = Array.from({ length: horizon }, () => []);
+    const shortfallCount = new Array(horizon).fill(0);
+    let anyShortfall = 0;
+
+    for (let p = 0; p < paths; p++) {
+        const flows = new Array(horizon).fill(0);
+        const nav = new Array(horizon).fill(0);
+
+        // Vintage-wide shocks for this path
+        const vintageShocks = {};
+        const shocksFor = (vintage) => {
+            if (!vintageShocks[vintage]) {
+                vintageShocks[vintage] = { call: normal(rng), dist: normal(rng), multiple: normal(rng) };
+            }
+            return vintageShocks[vintage];
+        };
+
+        rows.forEach(row => {
+            const vol = volatilities[row.category] || {};
+            const v = shocksFor(row.vintage);
+            const zCall = common * v.call + specific * normal(rng);
+            const zDist = common * v.dist + specific * normal(rng);
+            const zMultiple = common * v.multiple + specific * normal(rng);
+
+            const base = row.profile;
+            const multipleSigma = vol.multiple || 0;
+            // Lognormal multiple factor with mean 1
+            const multipleFactor = Math.exp(multipleSigma * zMultiple - (multipleSigma * multipleSigma) / 2);
+            const distShift = (vol.distributionTiming || 0) * zDist;
+
+            const perturbed = {
+                calls: shiftCurve(base.calls, (vol.callTiming || 0) * zCall),
+                distributions: shiftCurve(base.distributions, distShift).map(d => d * multipleFactor),
+                nav: shiftCurve(base.nav, distShift).map(n => n * multipleFactor)
+            };
+
+            let proj;
+            if (row.legacy) {
+                proj = projectLegacyCommitment(row.legacy, perturbed, startYear, horizon);
+            } else {
+                if (row.startIdx >= horizon) return;
+                proj = calculateCommitmentProjection(row.amount, perturbed, row.startIdx, horizon);
+            }
+            for (let t = 0; t < horizon; t++) {
+                flows[t] += proj.cashflows[t];
+                nav[t] += proj.nav[t];
+            }
+        });
+
+        // Same cash recursion as the solver report: interest on the opening balance plus external flows
+        let balance = availableCapital;
+        let pathShortfall = false;
+        for (let t = 0; t < horizon; t++) {
+            const report = result.annualReport[t];
+            balance += Math.max(0, balance) * (report.cashYield || 0) + (report.externalFlow || 0) + flows[t];
+            cashByYear[t].push(balance);
+            navByYear[t].push(nav[t]);
+            if (balance < 0) {
+                shortfallCount[t]++;
+                pathShortfall = true;
+            }
+        }
+        if (pathShortfall) anyShortfall++;
+    }
+
+    const bands = (values) => {
+        const sorted = [...values].sort((a, b) => a - b);
+        return { p5: percentile(sorted, 0.05), p50: percentile(sorted, 0.5), p95: percentile(sorted, 0.95) };
+    };
+
+    return {
+        paths,
+        seed: mc.seed ?? 42,
+        years: cashByYear.map((values, t) => ({
+            year: startYear + t,
+            cash: bands(values),
+            nav: bands(navByYear[t]),
+            shortfallProbability: shortfallCount[t] / paths
+        })),
+        anyShortfallProbability: anyShortfall / paths
+    };
+}
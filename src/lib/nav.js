@@ -0,0 +1,76 @@
+// NAV curves derived from the cashflow curves: each period the NAV grows at the category's value growth, calls are
+// added and distributions taken out. A static curve in config.navProfiles overrides the derived one.
+
+import { DEFAULT_NAV_GROWTH } from '../config/dummyData.js';
+import { calculateIRR } from './irr.js';
+
+/**
+ * NAV per unit of commitment at the end of each curve entry: NAV[i] = NAV[i-1] * (1 + growth) + calls[i] - distributions[i],
+ * never below 0. The NAV is only 0 at the last entry when the flows bring it there (as at the implied return); value
+ * left at the end of the curves stays in the curve and is written off by the projection after it.
+ * @param {Array<number>} calls - Calls per entry as fractions of commitment.
+ * @param {Array<number>} distributions - Distributions per entry as fractions of commitment.
+ * @param {number} growth - Annual value growth (0.12 = 12%).
+ * @param {number} [periodsPerYear] - Curve entries per year (1 for annual curves, 4 for quarterly ones).
+ * @returns {Array<number>} NAV per entry, as long as the curves.
+ */
+export function deriveNavProfile(calls = [], distributions = [], growth = 0, periodsPerYear = 1) {
+    const rate = Math.pow(1 + growth, 1 / periodsPerYear) - 1;
+    const length = Math.max(calls.length, distributions.length);
+    const nav = [];
+    let value = 0;
+    for (let i = 0; i < length; i++) {
+        value = Math.max(0, value * (1 + rate) + (calls[i] || 0) - (distributions[i] || 0));
+        nav.push(value);
+    }
+    return nav;
+}
+
+/**
+ * Annual value growth of a category: config.navGrowth, or the return implied by its curves when not set. At the
+ * implied return the derived NAV runs off to 0 with the last distribution.
+ * @param {object} config - Configuration (config.navGrowth, see DEFAULT_NAV_GROWTH).
+ * @param {string} category - Category id.
+ * @param {object} profile - { calls, distributions } per unit of commitment.
+ * @param {number} [periodsPerYear] - Curve entries per year.
+ * @returns {number} Annual growth; 0 when the curves imply none.
+ */
+export function resolveNavGrowth(config, category, profile, periodsPerYear = 1) {
+    const configured = { ...DEFAULT_NAV_GROWTH, ...config?.navGrowth }[category];
+    if (configured !== null && configured !== undefined && configured !== '') return Number(configured) || 0;
+    const length = Math.max(profile.calls?.length || 0, profile.distributions?.length || 0);
+    const flows = Array.from({ length }, (_, i) => (profile.distributions?.[i] || 0) - (profile.calls?.[i] || 0));
+    const implied = calculateIRR(flows);
+    return implied === null ? 0 : Math.pow(1 + implied, periodsPerYear) - 1;
+}
+
+/**
+ * NAV curve of a category: the static override in config.navProfiles, otherwise derived from the curves.
+ * @param {object} config - Configuration.
+ * @param {string} category - Category id.
+ * @param {object} profile - Gross { calls, distributions } per unit of commitment.
+ * @param {number} [periodsPerYear] - Curve entries per year. Static overrides are annual and only apply to annual curves.
+ * @returns {Array<number>} NAV per entry.
+ */
+export function resolveNavProfile(config, category, profile, periodsPerYear = 1) {
+    const override = config?.navProfiles?.[category];
+    if (periodsPerYear === 1 && Array.isArray(override) && override.length > 0) return override;
+    const growth = resolveNavGrowth(config, category, profile, periodsPerYear);
+    return deriveNavProfile(profile.calls, profile.distributions, growth, periodsPerYear);
+}
+
+/**
+ * Validates the NAV growth settings.
+ * @param {object} navGrowth - { [category]: annual growth, or null for the implied return }.
+ * @returns {Array<string>} Validation errors (empty when valid).
+ */
+export function validateNavGrowth(navGrowth) {
+    const errors = [];
+    Object.keys(navGrowth || {}).forEach(cat => {
+        const value = navGrowth[cat];
+        if (value !== null && value !== undefined && value !== '' && !(Number(value) > -1 && Number(value) <= 1)) {
+            errors.push(`NAV growth ${cat}: must be between -100% and 100% or empty.`);
+        }
+    });
+    return errors;
+}
@@ -0,0 +1,99 @@
+// Allocation phases: an ordered list of year ranges, each with its own ratios and ranges.
+//
+// Phase format:
+// { id: 'phase1', label: 'Opbouw', fromYear: 1, toYear: 5, ratios: {...}, ranges: {...} }
+// Years are 1-based plan years (1 = startYear). toYear: null means open-ended.
+
+/**
+ * Converts allocation rules to a sorted phase list.
+ * Accepts the phase list itself or the legacy object form ({ phase1: { years: [...] }, ... })
+ * where each phase spans min(years)..max(years) and the last phase is open-ended.
+ * @param {Array<object>|object} rules - Allocation rules from the configuration.
+ * @returns {Array<object>} Phases sorted by fromYear.
+ */
+export function normalizeAllocationRules(rules) {
+    if (Array.isArray(rules)) {
+        return [...rules].sort((a, b) => a.fromYear - b.fromYear);
+    }
+    if (!rules || typeof rules !== 'object') return [];
+
+    const phases = Object.entries(rules).map(([id, phase]) => {
+        const years = phase.years || [];
+        return {
+            id,
+            label: phase.label || id,
+            fromYear: years.length ? Math.min(...years) : 1,
+            toYear: years.length ? Math.max(...years) : null,
+            ratios: { ...phase.ratios },
+            ranges: phase.ranges ? { ...phase.ranges } : undefined
+        };
+    }).sort((a, b) => a.fromYear - b.fromYear);
+
+    // Legacy behaviour: the last phase applied to all remaining years
+    if (phases.length) phases[phases.length - 1].toYear = null;
+    return phases;
+}
+
+/**
+ * Validates a phase list: consecutive year ranges starting at year 1, without gaps or overlaps.
+ * @param {Array<object>} phases - Phase list (see normalizeAllocationRules).
+ * @param {number} [horizon] - If given, the phases must cover plan years 1..horizon.
+ * @returns {Array<string>} Validation errors (empty when valid).
+ */
+export function validatePhases(phases, horizon) {
+    const errors = [];
+    if (!Array.isArray(phases) || phases.length === 0) {
+        return ['At least one allocation phase is required.'];
+    }
+
+    const sorted = [...phases].sort((a, b) => a.fromYear - b.fromYear);
+    sorted.forEach((phase, idx) => {
+        const name = phase.label || phase.id || `#${idx + 1}`;
+        const isOpen = phase.toYear === null || phase.toYear === undefined;
+
+        if (!Number.isInteger(phase.fromYear) || phase.fromYear < 1) {
+            errors.push(`Phase ${name}: start year must be a whole number of at least 1.`);
+            return;
+        }
+        if (!isOpen && (!Number.isInteger(phase.toYear) || phase.toYear < phase.fromYear)) {
+            errors.push(`Phase ${name}: end year must be empty (open) or at least the start year.`);
+            return;
+        }
+        if (!phase.ratios) {
+            errors.push(`Phase ${name}: ratios are missing.`);
+        }
+
+        if (idx === 0 && phase.fromYear !== 1) {
+            errors.push(`Phase ${name}: the first phase must start in year 1 (starts in year ${phase.fromYear}).`);
+        }
+        if (idx < sorted.length - 1) {
+            const next = sorted[idx + 1];
+            if (isOpen) {
+                errors.push(`Phase ${name}: only the last phase can be open-ended.`);
+            } else if (next.fromYear <= phase.toYear) {
+                errors.push(`Phases ${name} and ${next.label || next.id}: overlap in year ${next.fromYear}.`);
+            } else if (next.fromYear > phase.toYear + 1) {
+                errors.push(`Phases ${name} and ${next.label || next.id}: gap between year ${phase.toYear} and ${next.fromYear}.`);
+            }
+        } else if (!isOpen && horizon && phase.toYear < horizon) {
+            errors.push(`Phase ${name}: ends in year ${phase.toYear}, but the plan runs ${horizon} years.`);
+        }
+    });
+
+    const ids = sorted.map(p => p.id);
+    if (new Set(ids).size !== ids.length) {
+        errors.push('Phase ids must be unique.');
+    }
+
+    return errors;
+}
+
+/**
+ * Finds the phase that applies to a plan year.
+ * @param {Array<object>} phases - Validated, sorted phase list.
+ * @param {number} yearNum - 1-based plan year.
+ * @returns {object|null} The matching phase.
+ */
+export function resolvePhase(phases, yearNum) {
+    return phases.find(p => yearNum >= p.fromYear && (p.toYear === null || p.toYear === undefined || yearNum <= p.toYear)) || null;
+}
@@ -0,0 +1,138 @@
+import { DEFAULT_QUARTERLY_SPLIT } from '../config/dummyData.js';
+import { applyCategoryFees } from './fees.js';
+import { resolveNavProfile } from './nav.js';
+
+// Quarterly projection granularity. Annual curves are split over the quarters of each year with
+// DEFAULT_QUARTERLY_SPLIT (config.quarterlySplit); config.quarterlyProfiles holds curves that are quarterly already.
+
+export const QUARTERS_PER_YEAR = 4;
+
+/**
+ * Resolves the share of a year's calls and distributions that falls in each quarter.
+ * @param {object} split - { calls: [q1, q2, q3, q4], distributions: [q1, q2, q3, q4] }; weights are normalised to sum to 1.
+ * @returns {object} { calls, distributions } - four weights each.
+ */
+export function normalizeQuarterlySplit(split) {
+    const normalize = (weights, fallback) => {
+        const values = Array.from({ length: QUARTERS_PER_YEAR }, (_, q) => Math.max(0, Number(weights?.[q]) || 0));
+        const sum = values.reduce((acc, w) => acc + w, 0);
+        return sum > 0 ? values.map(w => w / sum) : fallback;
+    };
+    return {
+        calls: normalize(split?.calls, DEFAULT_QUARTERLY_SPLIT.calls),
+        distributions: normalize(split?.distributions, DEFAULT_QUARTERLY_SPLIT.distributions)
+    };
+}
+
+/**
+ * Validates the quarterly split.
+ * @param {object} split - { calls, distributions } weights per quarter.
+ * @returns {Array<string>} Validation errors (empty when valid).
+ */
+export function validateQuarterlySplit(split) {
+    const errors = [];
+    ['calls', 'distributions'].forEach(key => {
+        const weights = split?.[key];
+        if (!Array.isArray(weights) || weights.length !== QUARTERS_PER_YEAR) {
+            errors.push(`Quarterly split for ${key} needs ${QUARTERS_PER_YEAR} weights.`);
+        } else if (weights.some(w => !(Number(w) >= 0)) || weights.reduce((acc, w) => acc + Number(w), 0) <= 0) {
+            errors.push(`Quarterly split for ${key}: weights must be non-negative and not all zero.`);
+        }
+    });
+    return errors;
+}
+
+/**
+ * Interpolates annual curves to quarterly ones. Calls and distributions of a year are split with the
+ * quarterly weights; NAV moves linearly from the previous year end to this year end. Management fees
+ * follow the calls and carried interest the distributions they are part of; a recall period counts in quarters.
+ * @param {object} profile - Annual { calls, distributions, nav } as fractions of commitment (net curves also
+ *   managementFees and carriedInterest).
+ * @param {object} [split] - Quarterly weights (see normalizeQuarterlySplit).
+ * @returns {object} Quarterly { calls, distributions, nav } (four entries per year), plus the fee curves when present.
+ */
+export function interpolateQuarterlyProfile(profile, split) {
+    const weights = normalizeQuarterlySplit(split);
+    const spread = (curve, quarterWeights) => (curve || []).flatMap(value => quarterWeights.map(w => (value || 0) * w));
+    const nav = (profile.nav || []).flatMap((value, i) => {
+        const previous = i > 0 ? profile.nav[i - 1] || 0 : 0;
+        return Array.from({ length: QUARTERS_PER_YEAR }, (_, q) => previous + ((value || 0) - previous) * (q + 1) / QUARTERS_PER_YEAR);
+    });
+    const quarterly = {
+        calls: spread(profile.calls, weights.calls),
+        distributions: spread(profile.distributions, weights.distributions),
+        nav
+    };
+    if (profile.managementFees) quarterly.managementFees = spread(profile.managementFees, weights.calls);
+    if (profile.carriedInterest) quarterly.carriedInterest = spread(profile.carriedInterest, weights.distributions);
+    if (profile.recall) quarterly.recall = scaleRecall(profile.recall, QUARTERS_PER_YEAR);
+    return quarterly;
+}
+
+// Recall terms with the period converted to another curve step (a partial year counts as a year)
+const scaleRecall = (recall, factor) => ({
+    ...recall,
+    periods: recall.periods === null ? null : Math.ceil(recall.periods * factor)
+});
+
+/**
+ * Annual curves of a quarterly profile: flows (calls, distributions, fees) summed per year, NAV at the year end.
+ * @param {object} profile - Quarterly { calls, distributions, nav }, optionally managementFees and carriedInterest.
+ * @returns {object} Annual curves with the same keys.
+ */
+export function annualiseProfile(profile) {
+    const annual = {
+        calls: aggregateToYears(profile.calls || [], 'sum'),
+        distributions: aggregateToYears(profile.distributions || [], 'sum'),
+        nav: aggregateToYears(profile.nav || [], 'last')
+    };
+    ['managementFees', 'carriedInterest'].forEach(key => {
+        if (profile[key]) annual[key] = aggregateToYears(profile[key], 'sum');
+    });
+    if (profile.recall) annual.recall = scaleRecall(profile.recall, 1 / QUARTERS_PER_YEAR);
+    return annual;
+}
+
+/**
+ * Quarterly curves per category: config.quarterlyProfiles where present, otherwise the annual curves interpolated
+ * with config.quarterlySplit. Quarterly profiles without NAV get the NAV derived from their own curves (a static
+ * config.navProfiles override is interpolated instead). Quarterly profiles are gross like the annual curves, so the
+ * fee settings are applied to them per quarter.
+ * @param {object} config - Configuration.
+ * @param {object} annualProfiles - { [category]: { calls, distributions, nav } } annual curves (see resolveCategoryProfiles).
+ * @returns {object} { [category]: { calls, distributions, nav } } per quarter.
+ */
+export function resolveQuarterlyProfiles(config, annualProfiles) {
+    const quarterly = {};
+    Object.keys(annualProfiles).forEach(cat => {
+        const own = config?.quarterlyProfiles?.[cat];
+        if (!own?.calls || !own?.distributions) {
+            quarterly[cat] = interpolateQuarterlyProfile(annualProfiles[cat], config?.quarterlySplit);
+            return;
+        }
+        const hasOverride = config?.navProfiles?.[cat]?.length > 0;
+        const nav = own.nav || (hasOverride
+            ? interpolateQuarterlyProfile(annualProfiles[cat].gross || annualProfiles[cat], config?.quarterlySplit).nav
+            : resolveNavProfile(config, cat, own, QUARTERS_PER_YEAR));
+        quarterly[cat] = applyCategoryFees({ calls: own.calls, distributions: own.distributions, nav }, config, cat, QUARTERS_PER_YEAR);
+        if (annualProfiles[cat].recall) quarterly[cat] = { ...quarterly[cat], recall: scaleRecall(annualProfiles[cat].recall, QUARTERS_PER_YEAR) };
+    });
+    return quarterly;
+}
+
+/**
+ * Aggregates a quarterly series to years.
+ * @param {Array<number>} series - Value per quarter.
+ * @param {string} mode - 'sum' for flows, 'last' for positions (value at the year end), 'min' for the lowest quarter.
+ * @returns {Array<number>} Value per year (a trailing partial year counts as a year).
+ */
+export function aggregateToYears(series, mode) {
+    const years = [];
+    for (let start = 0; start < series.length; start += QUARTERS_PER_YEAR) {
+        const quarters = series.slice(start, start + QUARTERS_PER_YEAR);
+        if (mode === 'sum') years.push(quarters.reduce((acc, v) => acc + v, 0));
+        else if (mode === 'min') years.push(Math.min(...quarters));
+        else years.push(quarters[quarters.length - 1]);
+    }
+    return years;
+}
@@ -0,0 +1,39 @@
+// Recallable distributions (recycling): part of a fund's distributions it may call again, so the LP's
+// exposure can exceed the commitment. Curves carry the terms as profile.recall = { share, periods }.
+
+import { DEFAULT_RECALL_SETTINGS } from '../config/dummyData.js';
+
+/**
+ * Recall terms of a category in curve entries.
+ * @param {object} config - Configuration (config.recallSettings, see DEFAULT_RECALL_SETTINGS).
+ * @param {string} category - Category id.
+ * @returns {object|null} { share, periods } - periods: curve entries (years) in which distributions are recallable,
+ *   null until the curves end; null when nothing is recallable.
+ */
+export function resolveRecallTerms(config, category) {
+    const settings = { ...DEFAULT_RECALL_SETTINGS, ...config?.recallSettings }[category];
+    const share = Math.min(1, Math.max(0, Number(settings?.recallableShare) || 0));
+    if (share === 0) return null;
+    const period = settings.recallPeriod;
+    return { share, periods: period === null || period === undefined || period === '' ? null : Math.max(0, Math.round(Number(period))) };
+}
+
+/**
+ * Validates the recall settings.
+ * @param {object} recallSettings - { [category]: { recallableShare, recallPeriod } }.
+ * @returns {Array<string>} Validation errors (empty when valid).
+ */
+export function validateRecallSettings(recallSettings) {
+    const errors = [];
+    Object.keys(recallSettings || {}).forEach(cat => {
+        const { recallableShare, recallPeriod } = recallSettings[cat] || {};
+        const share = Number(recallableShare ?? 0);
+        if (!(share >= 0 && share <= 1)) {
+            errors.push(`Recallable share ${cat}: must be between 0% and 100%.`);
+        }
+        if (recallPeriod !== null && recallPeriod !== undefined && recallPeriod !== '' && !(Number.isInteger(Number(recallPeriod)) && Number(recallPeriod) >= 1)) {
+            errors.push(`Recall period ${cat}: must be a whole number of years (at least 1) or empty.`);
+        }
+    });
+    return errors;
+}
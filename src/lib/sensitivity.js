@@ -0,0 +1,177 @@
+import { DEFAULT_ALLOCATION_RULES, DEFAULT_SENSITIVITY_RANGES } from '../config/dummyData.js';
+import { solveCPT, resolveCategoryProfiles } from './solver.js';
+import { normalizeAllocationRules } from './phases.js';
+import { resolveNavProfile } from './nav.js';
+import { QUARTERS_PER_YEAR } from './quarterly.js';
+
+// Results recorded for every run (all taken from result.metrics)
+export const SENSITIVITY_OUTPUTS = ['totalCommitted', 'minCash', 'finalTotalValue', 'portfolioMOIC', 'fullyCommittedYear'];
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+// Percentage inputs are shifted additively; round off the floating point noise
+const round4 = (value) => Math.round(value * 1e4) / 1e4;
+
+const summarize = (result) => {
+    const summary = {};
+    SENSITIVITY_OUTPUTS.forEach(key => { summary[key] = result.metrics[key] ?? null; });
+    return summary;
+};
+
+// Distributions and NAV of one category scaled by factor; the other categories keep their curves. The shock is
+// applied to every curve the solver may read: the annual curves (also the source of interpolated quarterly curves)
+// and the category's config.quarterlyProfiles when set.
+const scaleCategoryProfile = (config, category, factor) => {
+    // Curves before fees: the solver applies the fee settings to the scaled curves again
+    const resolved = resolveCategoryProfiles(config)[category];
+    const profile = resolved.gross || resolved;
+    const scaled = {
+        ...config,
+        callProfiles: { ...config?.callProfiles, [category]: profile.calls },
+        distributionProfiles: { ...config?.distributionProfiles, [category]: profile.distributions.map(d => d * factor) },
+        navProfiles: { ...config?.navProfiles, [category]: profile.nav.map(n => n * factor) }
+    };
+
+    const own = config?.quarterlyProfiles?.[category];
+    if (own?.calls && own?.distributions) {
+        // Without own NAV the quarterly NAV is derived from the unscaled quarterly curves, unless a static override
+        // exists (then the scaled annual override above is interpolated)
+        const nav = own.nav || (config?.navProfiles?.[category]?.length > 0 ? null : resolveNavProfile(config, category, own, QUARTERS_PER_YEAR));
+        scaled.quarterlyProfiles = {
+            ...config.quarterlyProfiles,
+            [category]: { ...own, distributions: own.distributions.map(d => d * factor), ...(nav ? { nav: nav.map(n => n * factor) } : {}) }
+        };
+    }
+    return scaled;
+};
+
+// Ratio (and range) of one category shifted in every phase; the other ratios are rescaled to keep the total
+const shiftCategoryRatio = (config, category, shift) => {
+    const phases = normalizeAllocationRules(config?.rules || DEFAULT_ALLOCATION_RULES).map(phase => {
+        const current = phase.ratios[category] || 0;
+        const shifted = clamp(current + shift, 0, 1);
+        const otherSum = Object.keys(phase.ratios).reduce((acc, cat) => acc + (cat === category ? 0 : phase.ratios[cat]), 0);
+        const ratios = {};
+        Object.keys(phase.ratios).forEach(cat => {
+            ratios[cat] = cat === category ? shifted : (otherSum > 0 ? phase.ratios[cat] * (1 - shifted) / otherSum : phase.ratios[cat]);
+        });
+        const ranges = phase.ranges?.[category]
+            ? { ...phase.ranges, [category]: phase.ranges[category].map(bound => clamp(bound + (shifted - current), 0, 1)) }
+            : phase.ranges;
+        return { ...phase, ratios, ranges };
+    });
+    return { ...config, rules: phases };
+};
+
+/**
+ * Lists the inputs to vary with their low and high value.
+ * Profile scaling and category ratios are varied per selected category.
+ * @param {object} input - solveCPT parameters of the base case.
+ * @param {object} ranges - Ranges per input (see DEFAULT_SENSITIVITY_RANGES).
+ * @returns {Array<object>} [{ id, input, category, low, high, apply(value) => solveCPT parameters }]
+ */
+function sensitivityInputs(input, ranges) {
+    const inputs = [];
+    const maxYearlyChange = input.maxYearlyChange ?? 0.2;
+    const firstYearCap = input.firstYearCap ?? 0.25;
+    const horizon = input.planningHorizon ?? input.horizon;
+
+    inputs.push({
+        id: 'availableCapital', input: 'availableCapital', category: null,
+        low: input.availableCapital * (1 + ranges.availableCapital.low),
+        high: input.availableCapital * (1 + ranges.availableCapital.high),
+        apply: value => ({ ...input, availableCapital: value })
+    });
+    inputs.push({
+        id: 'maxYearlyChange', input: 'maxYearlyChange', category: null,
+        low: round4(Math.max(0, maxYearlyChange + ranges.maxYearlyChange.low)),
+        high: round4(Math.max(0, maxYearlyChange + ranges.maxYearlyChange.high)),
+        apply: value => ({ ...input, maxYearlyChange: value })
+    });
+    inputs.push({
+        id: 'firstYearCap', input: 'firstYearCap', category: null,
+        low: round4(clamp(firstYearCap + ranges.firstYearCap.low, 0, 1)),
+        high: round4(clamp(firstYearCap + ranges.firstYearCap.high, 0, 1)),
+        apply: value => ({ ...input, firstYearCap: value })
+    });
+    inputs.push({
+        id: 'planningHorizon', input: 'planningHorizon', category: null,
+        low: Math.max(1, Math.round(horizon + ranges.planningHorizon.low)),
+        high: Math.max(1, Math.round(horizon + ranges.planningHorizon.high)),
+        apply: value => ({ ...input, horizon: value, planningHorizon: value })
+    });
+
+    const categories = Object.keys(input.selectedCategories || {}).filter(cat => input.selectedCategories[cat]);
+    categories.forEach(cat => {
+        inputs.push({
+            id: `profileScale:${cat}`, input: 'profileScale', category: cat,
+            low: 1 + ranges.profileScale.low,
+            high: 1 + ranges.profileScale.high,
+            apply: value => ({ ...input, config: scaleCategoryProfile(input.config, cat, value) })
+        });
+    });
+    categories.forEach(cat => {
+        inputs.push({
+            id: `categoryRatio:${cat}`, input: 'categoryRatio', category: cat,
+            low: ranges.categoryRatio.low,
+            high: ranges.categoryRatio.high,
+            apply: value => ({ ...input, config: shiftCategoryRatio(input.config, cat, value) })
+        });
+    });
+    return inputs;
+}
+
+/**
+ * One-at-a-time sensitivity analysis: reruns solveCPT with each input at its low and its high value
+ * while all other inputs stay at the base case.
+ * @param {object} params
+ * @param {object} params.input - solveCPT parameters of the base case.
+ * @param {object} [params.ranges] - Ranges per input (default config.sensitivityRanges or DEFAULT_SENSITIVITY_RANGES).
+ * @returns {object} { base: summary, inputs: [{ id, input, category, lowValue, highValue, low, high, error }] }
+ *   - summary holds the SENSITIVITY_OUTPUTS; low/high are null (with error set) when that run fails.
+ */
+export function runSensitivity({ input, ranges }) {
+    const resolvedRanges = { ...DEFAULT_SENSITIVITY_RANGES, ...(ranges || input.config?.sensitivityRanges) };
+    const base = summarize(solveCPT(input));
+
+    const inputs = sensitivityInputs(input, resolvedRanges).map(({ apply, low, high, ...item }) => {
+        const entry = { ...item, lowValue: low, highValue: high, low: null, high: null, error: null };
+        try {
+            entry.low = summarize(solveCPT(apply(low)));
+            entry.high = summarize(solveCPT(apply(high)));
+        } catch (err) {
+            entry.error = err.message;
+        }
+        return entry;
+    });
+
+    return { base, inputs };
+}
+
+/**
+ * Tornado rows for one output: change versus the base case at the low and the high input value,
+ * sorted by the largest swing first. Inputs that failed or have no value for the output are left out.
+ * @param {object} analysis - Result of runSensitivity.
+ * @param {string} output - One of SENSITIVITY_OUTPUTS.
+ * @returns {Array<object>} [{ id, input, category, lowValue, highValue, lowDelta, highDelta, swing }]
+ */
+export function rankSensitivity(analysis, output) {
+    const baseValue = analysis.base[output];
+    if (baseValue === null) return [];
+    return analysis.inputs
+        .filter(item => item.low?.[output] != null && item.high?.[output] != null)
+        .map(item => {
+            const lowDelta = item.low[output] - baseValue;
+            const highDelta = item.high[output] - baseValue;
+            return {
+                id: item.id,
+                input: item.input,
+                category: item.category,
+                lowValue: item.lowValue,
+                highValue: item.highValue,
+                lowDelta,
+                highDelta,
+                swing: Math.abs(highDelta - lowDelta)
+            };
+        })
+        .sort((a, b) => b.swing - a.swing);
+}
@@ -1,90 +1,509 @@
-import { DEFAULT_CASHFLOW_PROFILES, DEFAULT_ALLOCATION_RULES, NET_POSITION_PROFILES, NAV_PROFILES } from '../config/dummyData.js';
+import {
+    DEFAULT_ALLOCATION_RULES,
+    DEFAULT_FUND_PIPELINE,
+    DEFAULT_TICKET_CONSTRAINTS,
+    DEFAULT_OPTIMIZER_SETTINGS,
+    DEFAULT_RELAXATION_SETTINGS,
+    splitNetProfile
+} from '../config/dummyData.js';
+import { normalizeAllocationRules, validatePhases, resolvePhase } from './phases.js';
+import { calculateIRR, calculateXIRR, calculateProfileIRR } from './irr.js';
+import { resolveTaxSettings, projectTax } from './tax.js';
+import { projectLegacyPortfolio, validateLegacyFunds } from './legacyPortfolio.js';
+import { allocateToFunds, resolveFundProfile, validateFundPipeline } from './fundPipeline.js';
+import { applyTicketConstraints } from './tickets.js';
+import { optimizeCommitmentPlan, evaluateObjective } from './lpOptimizer.js';
+import { resolveCategories, emptyBreakdown } from './categories.js';
+import { applyCategoryFees, resolveFeeSettings } from './fees.js';
+import { resolveRecallTerms } from './recallable.js';
+import { resolveNavProfile } from './nav.js';
+import { QUARTERS_PER_YEAR, resolveQuarterlyProfiles, interpolateQuarterlyProfile, annualiseProfile, aggregateToYears } from './quarterly.js';
 
 /**
  * Calculates the cashflow effect of a commitment over time.
  * @param {number} commitmentAmount - The amount committed.
- * @param {Array<number>} profile - The cashflow profile (percentages).
+ * @param {object} profile - Gross curves { calls: Array<number>, distributions: Array<number> } (positive fractions of commitment),
+ *   optionally with nav: Array<number> (NAV as fraction of commitment) and, for net curves, the managementFees and
+ *   carriedInterest included in the calls and deducted from the distributions. recall: { share, periods } makes that share
+ *   of the distributions in the first `periods` entries (null: all) callable again until then or the end of the curves.
  * @param {number} startYearIndex - The year index (0-based) relative to the start of the simulation.
  * @param {number} horizon - Total duration of the simulation in years (projection horizon).
- * @returns {object} { cashflows: Array<number>, unfunded: Array<number> }
+ * @returns {object} { cashflows, calls, distributions, unfunded, nav, realisedResult, managementFees, carriedInterest, recallable } -
+ *   all Array<number> of length horizon. unfunded includes recallable, the distributions that can still be recalled.
+ *   realisedResult is the taxable result on a cost-recovery basis: distributions are a gain only once they exceed
+ *   everything paid in so far; a shortfall (including residual NAV) is written off in the last profile year.
  */
-function calculateCommitmentProjection(commitmentAmount, profile, startYearIndex, horizon) {
+export function calculateCommitmentProjection(commitmentAmount, profile, startYearIndex, horizon) {
     const cashflows = new Array(horizon).fill(0);
+    const calls = new Array(horizon).fill(0);
+    const distributions = new Array(horizon).fill(0);
     const unfunded = new Array(horizon).fill(0);
+    const nav = new Array(horizon).fill(0);
+    const realisedResult = new Array(horizon).fill(0);
+    const managementFees = new Array(horizon).fill(0);
+    const carriedInterest = new Array(horizon).fill(0);
+    const recallable = new Array(horizon).fill(0);
+
+    const callProfile = profile.calls || [];
+    const distProfile = profile.distributions || [];
+    const navProfile = profile.nav || [];
+    const profileLength = Math.max(callProfile.length, distProfile.length);
+    // Recallable distributions stay callable until the recall period or the fund ends
+    const recallShare = profile.recall?.share || 0;
+    const recallEnd = Math.min(profileLength, profile.recall?.periods ?? profileLength);
 
     let cumulativeCalled = 0;
+    let recallableDistributed = 0;
+    let cumulativeNet = 0;
+    let recognisedGain = 0;
 
-    for (let i = 0; i < horizon; i++) {
+    // Profile index i (0 = year 1 of commitment, 1 = year 2, etc.)
+    for (let i = 0; startYearIndex + i < horizon; i++) {
         const yearIndex = startYearIndex + i; // Global year index
-        // Profile index is i (0 = year 1 of commitment, 1 = year 2, etc.)
-
-        if (yearIndex < horizon) {
-            if (i < profile.length) {
-                // Cashflow (positive = distribution, negative = call)
-                // Profile values: negative means call, positive means distribution
-                const flow = commitmentAmount * profile[i];
-                cashflows[yearIndex] = flow;
-
-                // Track called capital to determine unfunded
-                // Note: Profile usually mixes capital calls and distributions. 
-                // A pure "Call" profile is needed for accurate Unfunded calc.
-                // WE APPROXIMATE: Any negative flow is a call.
-                if (profile[i] < 0) {
-                    cumulativeCalled += Math.abs(flow);
-                }
+
+        if (i < profileLength) {
+            const call = commitmentAmount * (callProfile[i] || 0);
+            const distribution = commitmentAmount * (distProfile[i] || 0);
+            calls[yearIndex] = call;
+            distributions[yearIndex] = distribution;
+            // Cashflow (positive = net distribution, negative = net call)
+            cashflows[yearIndex] = distribution - call;
+            cumulativeCalled += call;
+            managementFees[yearIndex] = commitmentAmount * (profile.managementFees?.[i] || 0);
+            carriedInterest[yearIndex] = commitmentAmount * (profile.carriedInterest?.[i] || 0);
+            if (i < recallEnd) recallableDistributed += recallShare * distribution;
+
+            cumulativeNet += distribution - call;
+            if (cumulativeNet > recognisedGain) {
+                realisedResult[yearIndex] = cumulativeNet - recognisedGain;
+                recognisedGain = cumulativeNet;
+            }
+            if (i === profileLength - 1) {
+                const endValue = cumulativeNet + commitmentAmount * (navProfile[i] || 0);
+                realisedResult[yearIndex] += Math.min(0, endValue - recognisedGain);
             }
-            // Unfunded at END of yearIndex
-            // If we assume commitment amount is the "Total Cap"
-            // Unfunded = max(0, Commitment - CumulativeCalled)
-            unfunded[yearIndex] = Math.max(0, commitmentAmount - cumulativeCalled);
         }
+        if (i < navProfile.length) {
+            nav[yearIndex] = commitmentAmount * navProfile[i];
+        }
+
+        // Unfunded at END of yearIndex: what the funds can still call, recallable distributions included
+        // (calls above the commitment use them up). Before the commitment year it stays 0 (didn't exist yet).
+        const openRecall = i < recallEnd - 1 ? recallableDistributed : 0;
+        unfunded[yearIndex] = Math.max(0, commitmentAmount + openRecall - cumulativeCalled);
+        recallable[yearIndex] = Math.min(unfunded[yearIndex], openRecall);
     }
 
-    // Fill remaining years if profile is shorter than horizon
-    for (let t = startYearIndex + profile.length; t < horizon; t++) {
-        unfunded[t] = Math.max(0, commitmentAmount - cumulativeCalled);
+    return { cashflows, calls, distributions, unfunded, nav, realisedResult, managementFees, carriedInterest, recallable };
+}
+
+/**
+ * Resolves the gross call/distribution curves per category from the configuration.
+ * Configurations saved before separate curves existed only hold a net profile; those
+ * fall back to the legacy split where any negative net flow is treated as a call.
+ * Categories without curves in the configuration use the profiles of their registry entry.
+ * @param {object} config - Configuration with categories, callProfiles, distributionProfiles and/or profiles.
+ * @returns {object} { [category]: { calls, distributions } }
+ */
+export function resolveGrossProfiles(config) {
+    const gross = {};
+    resolveCategories(config).forEach(category => {
+        const cat = category.id;
+        const calls = config?.callProfiles?.[cat];
+        const distributions = config?.distributionProfiles?.[cat];
+        if (calls && distributions) gross[cat] = { calls, distributions };
+        else if (config?.profiles?.[cat]) gross[cat] = splitNetProfile(config.profiles[cat]);
+        else gross[cat] = { calls: category.profiles?.calls || [], distributions: category.profiles?.distributions || [] };
+    });
+    return gross;
+}
+
+/**
+ * Resolves everything needed to project a commitment per category: gross curves plus the NAV derived from them
+ * (see resolveNavProfile), converted to net curves when config.feeSettings is enabled (see applyCategoryFees).
+ * @param {object} config - Configuration (see resolveGrossProfiles); navGrowth and the navProfiles overrides set the NAV.
+ * @returns {object} { [category]: { calls, distributions, nav, recall } } - with fees also managementFees, carriedInterest and
+ *   gross (the curves before fees). recall: recallable distributions (see resolveRecallTerms), null when there are none.
+ */
+export function resolveCategoryProfiles(config) {
+    const grossProfiles = resolveGrossProfiles(config);
+    const categoryProfiles = {};
+    resolveCategories(config).forEach(category => {
+        const cat = category.id;
+        const profile = { ...grossProfiles[cat], nav: resolveNavProfile(config, cat, grossProfiles[cat]) };
+        categoryProfiles[cat] = { ...applyCategoryFees(profile, config, cat), recall: resolveRecallTerms(config, cat) };
+    });
+    return categoryProfiles;
+}
+
+/**
+ * Expands a base value with a per-year schedule into a value per year index.
+ * The schedule is keyed by calendar year; each entry applies from that year until the next one.
+ * @param {number} value - Value before the first schedule entry.
+ * @param {object} schedule - { [year]: value }.
+ * @param {number} startYear - First plan year.
+ * @param {number} horizon - Number of years to expand.
+ * @returns {Array<number>} Value per year index.
+ */
+function expandSchedule(value, schedule = {}, startYear, horizon) {
+    const levels = new Array(horizon).fill(0);
+    let level = value || 0;
+    // Entries before the start year still set the level the plan starts with
+    Object.keys(schedule).map(Number).filter(y => y < startYear).sort((a, b) => a - b)
+        .forEach(y => { level = Number(schedule[y]); });
+
+    for (let t = 0; t < horizon; t++) {
+        const scheduled = schedule[startYear + t];
+        if (scheduled !== undefined && scheduled !== null && scheduled !== '') level = Number(scheduled);
+        levels[t] = level;
     }
+    return levels;
+}
+
+/**
+ * Expands the liquidity buffer setting into a per-year level.
+ * @param {object} liquidityBuffer - { mode: 'none'|'fixed'|'capitalPct'|'navPct', value, schedule: { [year]: value } }.
+ * @param {number} startYear - First plan year.
+ * @param {number} horizon - Number of years to expand.
+ * @returns {Array<number>} Level per year index: euros for 'fixed', fractions for the percentage modes.
+ */
+function resolveBufferLevels(liquidityBuffer, startYear, horizon) {
+    if (!liquidityBuffer || !liquidityBuffer.mode || liquidityBuffer.mode === 'none') return new Array(horizon).fill(0);
+    return expandSchedule(liquidityBuffer.value, liquidityBuffer.schedule, startYear, horizon);
+}
 
-    // Fill previous years with 0 (didn't exist yet)
-    // Actually unfunded starts when committed. Before that 0.
+/**
+ * Expands scheduled external deposits and withdrawals into a net amount per year index.
+ * @param {Array<object>} externalFlows - [{ type: 'deposit'|'withdrawal', amount, year, recurring, endYear, indexation }].
+ *   Recurring flows repeat every year from `year` until `endYear` (inclusive, null = end of projection) and grow
+ *   by `indexation` per year.
+ * @param {number} startYear - First plan year.
+ * @param {number} horizon - Number of years to expand.
+ * @returns {Array<number>} Net external flow per year index (positive = deposit).
+ */
+function resolveExternalFlows(externalFlows, startYear, horizon) {
+    const flows = new Array(horizon).fill(0);
+    (externalFlows || []).forEach(flow => {
+        const amount = Number(flow.amount) || 0;
+        if (!amount || !Number.isInteger(Number(flow.year))) return;
+        const sign = flow.type === 'withdrawal' ? -1 : 1;
+        const firstYear = Number(flow.year);
+        const lastYear = flow.recurring ? (flow.endYear ? Number(flow.endYear) : startYear + horizon - 1) : firstYear;
+        for (let year = Math.max(firstYear, startYear); year <= lastYear && year < startYear + horizon; year++) {
+            flows[year - startYear] += sign * amount * Math.pow(1 + (flow.indexation || 0), year - firstYear);
+        }
+    });
+    return flows;
+}
 
-    return { cashflows, unfunded };
+/**
+ * Enumerates category mixes that respect the allocation bands.
+ * The first n-1 categories are stepped through their band; the last one takes the remainder
+ * and is only kept if that remainder also lies inside its band.
+ * @param {object} bands - { [category]: [min, max] } for the categories that may receive capital.
+ * @param {number} steps - Number of intervals per band (default 4 -> 5 points per category).
+ * @returns {Array<object>} Mixes { [category]: share } summing to 1.
+ */
+function enumerateMixCandidates(bands, steps = 4) {
+    const cats = Object.keys(bands);
+    const candidates = [];
+    if (cats.length === 0) return candidates;
+
+    const last = cats[cats.length - 1];
+    const walk = (idx, mix, sum) => {
+        if (idx === cats.length - 1) {
+            const remainder = 1 - sum;
+            const [lo, hi] = bands[last];
+            if (remainder >= lo - 1e-9 && remainder <= hi + 1e-9 && remainder >= -1e-9) {
+                candidates.push({ ...mix, [last]: Math.max(0, remainder) });
+            }
+            return;
+        }
+        const cat = cats[idx];
+        const [lo, hi] = bands[cat];
+        const stepCount = hi > lo ? steps : 0;
+        for (let k = 0; k <= stepCount; k++) {
+            const share = lo + (stepCount > 0 ? (hi - lo) * k / stepCount : 0);
+            walk(idx + 1, { ...mix, [cat]: share }, sum + share);
+        }
+    };
+    walk(0, {}, 0);
+    return candidates;
+}
+
+/**
+ * Annual view of a quarterly projection: flows summed per year, unfunded and NAV at the year end.
+ * @param {object} projection - Arrays per quarter (see calculateCommitmentProjection); missing series are skipped.
+ * @returns {object} The same series per year.
+ */
+function annualiseProjection(projection) {
+    const annual = {};
+    ['cashflows', 'calls', 'distributions', 'realisedResult', 'managementFees', 'carriedInterest'].forEach(key => {
+        if (projection[key]) annual[key] = aggregateToYears(projection[key], 'sum');
+    });
+    ['unfunded', 'nav', 'recallable'].forEach(key => {
+        if (projection[key]) annual[key] = aggregateToYears(projection[key], 'last');
+    });
+    return annual;
+}
+
+/**
+ * Lists the smoothing limits a relaxed plan loosened compared with the input limits.
+ * @param {Array<object>} baseLimits - { maxYearlyChange, firstYearCap } per plan year as entered.
+ * @param {Array<object>|null} limits - Limits of the relaxed plan per plan year (null: smoothing removed).
+ * @param {number} startYear - First plan year.
+ * @returns {Array<object>} [{ constraint, from, to, years }] - one entry per constraint and new value (to: null = removed),
+ *   years in calendar years. The first-year cap only counts for year 1, the growth cap for the years after it.
+ */
+function describeLoosenedLimits(baseLimits, limits, startYear) {
+    const loosened = [];
+    const record = (constraint, idx, from, to) => {
+        const entry = loosened.find(e => e.constraint === constraint && e.from === from && e.to === to);
+        if (entry) entry.years.push(startYear + idx);
+        else loosened.push({ constraint, from, to, years: [startYear + idx] });
+    };
+    baseLimits.forEach((base, idx) => {
+        const constraint = idx === 0 ? 'firstYearCap' : 'maxYearlyChange';
+        const to = limits ? limits[idx][constraint] : null;
+        if (to !== base[constraint]) record(constraint, idx, base[constraint], to === null ? null : Math.round(to * 1e4) / 1e4);
+    });
+    return loosened;
 }
 
 /**
  * Solves the commitment plan.
+ * Each commitment carries `diagnostics` ({ binding, limitBinding, ticketLoss, failYear, slack }) explaining what limited it;
+ * metrics.relaxation explains whether the smoothing limits were loosened, and which ones, by how much and in which years
+ * (or that the ticket sizes block the plan).
  * @param {object} params
  * @param {number} params.availableCapital - Total starting capital.
  * @param {number} params.startYear - e.g. 2026.
  * @param {number} params.horizon - Legacy parameter for investment duration (now planningHorizon).
  * @param {number} params.planningHorizon - Number of years to actively make new commitments.
  * @param {number} params.projectionHorizon - Total number of years to simulate (default 50).
- * @param {object} params.config - Profiles and Rules.
- * @param {object} params.selectedCategories - { secondaries: true, pe: true, vc: true }.
+ * @param {object} params.config - Profiles (net and gross call/distribution curves), Rules (phase list) and
+ *   ticketConstraints per category (opt-in, default null: see DEFAULT_TICKET_CONSTRAINTS). Each year's split
+ *   is capped, rounded and merged to valid tickets before its feasibility is tested; changes are listed in
+ *   commitment.ticketAdjustments and the tickets per category in commitment.tickets. With config.feeSettings enabled (see DEFAULT_FEE_SETTINGS) the curves are taken as
+ *   gross of fees and converted to net curves; the report then lists managementFees, carriedInterest and fees per year.
+ * @param {object} params.selectedCategories - { [category]: true } per category id in the registry (config.categories);
+ *   missing ids count as not selected.
  * @param {number} params.maxYearlyChange - Percentage (0.0 - 1.0, default 0.2).
  * @param {number} params.firstYearCap - Percentage of AvailCap (0.0 - 1.0, default 0.25).
+ * @param {string} params.mixOptimization - 'none' (point ratios, default), 'maxDeployment' or 'smoothTrough':
+ *   pick each year's category split inside the phase `ranges` to maximise the commitment or to maximise
+ *   the lowest projected cash headroom (balance - unfunded) at the default commitment amount.
+ * @param {object} params.liquidityBuffer - Minimum cash reserve that may never be breached:
+ *   { mode: 'none'|'fixed'|'capitalPct'|'navPct', value, schedule: { [year]: value } }. 'fixed' is in euros,
+ *   the percentage modes are fractions of starting capital or of that year's NAV.
+ * @param {string} params.commitmentStrategy - 'fullCoverage' (default: cash must cover 100% of unfunded)
+ *   or 'overCommit' (unfunded may be up to maxOvercommitRatio x available cash; cash itself may never go negative).
+ * @param {number} params.maxOvercommitRatio - Maximum unfunded / available resources in 'overCommit' mode (default 1.3).
+ * @param {object} params.taxSettings - Corporate tax (VPB), see DEFAULT_TAX_SETTINGS: { enabled, brackets,
+ *   participationExemption: { [category]: boolean }, solvencyAfterTax, ... }. With solvencyAfterTax the
+ *   feasibility checks run on cash after tax payments.
+ * @param {object} params.cashYield - Money-market yield on idle cash: { rate, schedule: { [year]: rate } }.
+ *   Interest is earned on the opening balance of each year (when positive), compounds in the feasibility checks
+ *   and is reported as interestIncome. It is not part of the VPB base.
+ * @param {Array<object>} params.externalFlows - Scheduled deposits and withdrawals (see resolveExternalFlows). They are
+ *   part of the running balance in the feasibility checks and the report; a withdrawal that cannot be paid blocks commitments.
+ * @param {Array<object>} params.legacyPortfolio - Existing fund commitments ({ id, name, vintage, category, commitment,
+ *   paidIn, nav }, see legacyPortfolio.js). Their remaining calls, distributions and NAV are projected and counted
+ *   before any new commitment is made.
+ * @param {string} params.fundPlanning - 'categories' (default: abstract category amounts) or 'pipeline': each year's
+ *   category budget is filled with named funds from config.fundPipeline (fund-specific profiles where available).
+ *   Commitments then carry `funds` (allocations) and `unallocated` (budget no open fund could take).
+ * @param {string} params.pacingMode - 'solvency' (default: commit as much as the constraints allow) or 'targetExposure':
+ *   commit only what is needed to bring NAV to the targeted share of portfolio value, still within all constraints.
+ * @param {object} params.targetExposure - { share, fromYear, schedule: { [year]: share } }: target NAV as a share of
+ *   portfolio value (cash + NAV), zero before fromYear. A schedule entry applies from its year on, so one entry per
+ *   year gives a curve. The report adds targetNav and trackingError (nav - targetNav) per year.
+ * @param {object} params.optimizer - { mode, objective, targetNav }, see DEFAULT_OPTIMIZER_SETTINGS. In 'lp' mode the whole
+ *   planning horizon is solved as one linear programme (see lpOptimizer.js); the year loop then commits the LP amounts,
+ *   each year still checked for solvency with tickets and tax (so it may commit less). metrics.optimizer compares the
+ *   objective value with the greedy plan. Falls back to the greedy plan when the LP is infeasible (metrics.optimizer
+ *   then has fallback true and objectiveValue null). With tight smoothing limits both objectives can reach the same plan.
+ * @param {string} params.granularity - 'annual' (default) or 'quarterly': project per quarter with config.quarterlyProfiles
+ *   or the annual curves interpolated with config.quarterlySplit, and check solvency at every quarter end. Commitments
+ *   are still made once a year (first quarter); external flows and tax fall in the fourth quarter. annualReport then
+ *   aggregates the quarters (with lowestQuarterBalance) and quarterlyReport holds the quarterly rows.
+ * @param {object} params.relaxation - Relaxation of the smoothing limits when the smoothed plan leaves capital idle,
+ *   see DEFAULT_RELAXATION_SETTINGS. 'graduated' loosens maxYearlyChange and firstYearCap step by step (only in the
+ *   years a smoothing cap limited, with scope 'bindingYears'); 'full' reruns without smoothing.
  */
-export function solveCPT({ availableCapital, startYear, horizon, planningHorizon, projectionHorizon = 50, config, selectedCategories, maxYearlyChange = 0.2, firstYearCap = 0.25, manualOverrides }) {
-    const profiles = config?.profiles || DEFAULT_CASHFLOW_PROFILES;
-    const rules = config?.rules || DEFAULT_ALLOCATION_RULES;
+export function solveCPT({ availableCapital, startYear, horizon, planningHorizon, projectionHorizon = 50, config, selectedCategories, maxYearlyChange = 0.2, firstYearCap = 0.25, manualOverrides, mixOptimization = 'none', liquidityBuffer, commitmentStrategy = 'fullCoverage', maxOvercommitRatio = 1.3, taxSettings, cashYield, externalFlows, legacyPortfolio, fundPlanning = 'categories', pacingMode = 'solvency', targetExposure, optimizer, relaxation: relaxationOptions, granularity = 'annual' }) {
+    // Projection step: a year, or a quarter ('quarterly'). Commitments are still made once a year (in its first
+    // period); solvency is checked at the end of every period.
+    const periodsPerYear = granularity === 'quarterly' ? QUARTERS_PER_YEAR : 1;
+    // Curves plus the NAV derived from them per category, net of fees when enabled (NAV feeds the NAV-based liquidity buffer and
+    // the report), and the curves per projection period. Quarterly curves define the annual ones (metrics, LP).
+    const baseProfiles = resolveCategoryProfiles(config);
+    const periodProfiles = periodsPerYear === 1 ? baseProfiles : resolveQuarterlyProfiles(config, baseProfiles);
+    const categoryProfiles = {};
+    Object.keys(periodProfiles).forEach(cat => {
+        categoryProfiles[cat] = periodsPerYear === 1 ? periodProfiles[cat] : annualiseProfile(periodProfiles[cat]);
+    });
+    const phases = normalizeAllocationRules(config?.rules || DEFAULT_ALLOCATION_RULES);
+    // Category ids from the registry; every per-category loop runs over these
+    const categories = resolveCategories(config).map(category => category.id);
 
     // Determine horizons
     // If planningHorizon is not explicitly provided, use the old 'horizon' param.
     // If neither, default to 15.
     const pHorizon = planningHorizon || horizon || 15;
 
+    const phaseErrors = validatePhases(phases, pHorizon);
+    if (phaseErrors.length > 0) {
+        throw new Error(`Invalid allocation phases: ${phaseErrors.join(' ')}`);
+    }
+
     // Ensure projection is at least as long as planning
     const totalHorizon = Math.max(pHorizon, projectionHorizon);
+    const totalPeriods = totalHorizon * periodsPerYear;
+    const yearOf = (t) => Math.floor(t / periodsPerYear);
+    const quarterOf = (t) => (periodsPerYear === 1 ? null : (t % periodsPerYear) + 1);
+    // Yearly amounts (external flows, tax) are booked in the last period of the year
+    const isYearEnd = (t) => (t + 1) % periodsPerYear === 0;
+
+    // Over-commitment: unfunded may exceed available resources (cash above the buffer) up to this ratio.
+    // 1.0 is the conservative full cash backing rule.
+    const unfundedRatio = commitmentStrategy === 'overCommit' ? Math.max(1, maxOvercommitRatio || 1) : 1;
+
+    // Liquidity buffer: requirement in year y = level[y] x base (1, starting capital or NAV)
+    const bufferMode = liquidityBuffer?.mode || 'none';
+    const bufferLevels = resolveBufferLevels(liquidityBuffer, startYear, totalHorizon);
+    const bufferRequirement = (y, nav) => {
+        if (bufferMode === 'fixed') return bufferLevels[y];
+        if (bufferMode === 'capitalPct') return bufferLevels[y] * availableCapital;
+        if (bufferMode === 'navPct') return bufferLevels[y] * nav;
+        return 0;
+    };
+
+    // Corporate tax: only results of non-exempt categories are taxable
+    const tax = resolveTaxSettings(taxSettings);
+    const isTaxable = (cat) => tax.enabled && !tax.participationExemption[cat];
+    const taxInSolvency = tax.enabled && tax.solvencyAfterTax;
+    // Tax is assessed on the result of the year and paid in its last period
+    const projectPeriodTax = (taxable) => {
+        if (periodsPerYear === 1) return projectTax(taxable, tax);
+        const annual = projectTax(aggregateToYears(taxable, 'sum'), tax);
+        const atYearEnd = (series) => taxable.map((_, t) => (isYearEnd(t) ? series[yearOf(t)] : 0));
+        return {
+            tax: atYearEnd(annual.tax),
+            taxableProfit: atYearEnd(annual.taxableProfit),
+            lossCarryForward: taxable.map((_, t) => annual.lossCarryForward[yearOf(t)])
+        };
+    };
+
+    // Interest on idle cash per year index; per period the annual rate compounds over the periods of the year
+    const cashYieldRates = expandSchedule(cashYield?.rate, cashYield?.schedule, startYear, totalHorizon);
+    const periodYieldRates = periodsPerYear === 1
+        ? cashYieldRates
+        : Array.from({ length: totalPeriods }, (_, t) => Math.pow(1 + cashYieldRates[yearOf(t)], 1 / periodsPerYear) - 1);
+    const interestOn = (t, openingBalance) => Math.max(0, openingBalance) * periodYieldRates[t];
+
+    // Scheduled external deposits (+) and withdrawals (-) per year index and per period
+    const externalFlowsByYear = resolveExternalFlows(externalFlows, startYear, totalHorizon);
+    const externalFlowsByPeriod = periodsPerYear === 1
+        ? externalFlowsByYear
+        : Array.from({ length: totalPeriods }, (_, t) => (isYearEnd(t) ? externalFlowsByYear[yearOf(t)] : 0));
+
+    // Target exposure: NAV target per year index as a share of total value (null when pacing on solvency)
+    const targetShares = pacingMode === 'targetExposure'
+        ? expandSchedule(targetExposure?.share, targetExposure?.schedule, startYear, totalHorizon)
+            .map((share, t) => (startYear + t < (targetExposure?.fromYear ?? startYear) ? 0 : share))
+        : null;
+    // Cash balance per period for projected flows (before tax)
+    const projectBalance = (cashflows) => {
+        const balances = new Array(totalPeriods).fill(0);
+        let balance = availableCapital;
+        for (let t = 0; t < totalPeriods; t++) {
+            balance += interestOn(t, balance) + externalFlowsByPeriod[t] + cashflows[t];
+            balances[t] = balance;
+        }
+        return balances;
+    };
+
+    // Existing commitments: projected once, the new plan is built on top of them
+    const legacyErrors = validateLegacyFunds(legacyPortfolio, Object.keys(categoryProfiles));
+    if (legacyErrors.length > 0) {
+        throw new Error(`Invalid legacy portfolio: ${legacyErrors.join(' ')}`);
+    }
+    const legacy = projectLegacyPortfolio(legacyPortfolio, periodProfiles, startYear, totalPeriods, periodsPerYear);
+    const legacyTaxable = new Array(totalPeriods).fill(0);
+    legacy.funds.forEach(fund => {
+        if (!isTaxable(fund.category)) return;
+        for (let t = 0; t < totalPeriods; t++) legacyTaxable[t] += fund.projection.realisedResult[t];
+    });
+    // Annual view of the legacy projection (LP and result.legacyFunds; quarterly funds keep quarterlyProjection)
+    const legacyAnnual = periodsPerYear === 1 ? legacy : {
+        ...legacy,
+        totals: annualiseProjection(legacy.totals),
+        funds: legacy.funds.map(fund => ({ ...fund, projection: annualiseProjection(fund.projection), quarterlyProjection: fund.projection }))
+    };
+
+    // Ticket sizes per category
+    const ticketConstraints = config?.ticketConstraints ?? DEFAULT_TICKET_CONSTRAINTS;
+
+    // Fund pipeline: curves per fund, resolved once
+    const usePipeline = fundPlanning === 'pipeline';
+    const pipeline = usePipeline ? (config?.fundPipeline || DEFAULT_FUND_PIPELINE) : [];
+    const pipelineErrors = validateFundPipeline(pipeline, Object.keys(categoryProfiles), ticketConstraints);
+    if (pipelineErrors.length > 0) {
+        throw new Error(`Invalid fund pipeline: ${pipelineErrors.join(' ')}`);
+    }
+    const fundProfiles = {};
+    pipeline.forEach(fund => {
+        const profile = resolveFundProfile(fund, baseProfiles, config);
+        // A fund's own (annual) profile is interpolated like the category curves
+        if (profile === baseProfiles[fund.category]) fundProfiles[fund.id] = periodProfiles[fund.category];
+        else fundProfiles[fund.id] = periodsPerYear === 1 ? profile : interpolateQuarterlyProfile(profile, config?.quarterlySplit);
+    });
+
+    // Annual report rows from quarterly ones: flows summed, balances and positions at the year end,
+    // plus the lowest quarter-end balance of the year
+    const reportFlowKeys = ['netCashflow', 'interestIncome', 'externalFlow', 'legacyCashflow', 'capitalCalls', 'distributions', 'managementFees', 'carriedInterest', 'fees', 'taxableResult', 'taxableProfit', 'tax', 'afterTaxCashflow'];
+    const annualiseReport = (rows) => {
+        const years = [];
+        for (let y = 0; y < totalHorizon; y++) {
+            const quarters = rows.slice(y * periodsPerYear, (y + 1) * periodsPerYear);
+            const row = {
+                ...quarters[quarters.length - 1],
+                openingBalance: quarters[0].openingBalance,
+                cashYield: cashYieldRates[y],
+                totalCommitted: quarters[0].totalCommitted,
+                breakdown: quarters[0].breakdown,
+                lowestQuarterBalance: Math.min(...quarters.map(q => q.endBalance))
+            };
+            delete row.quarter;
+            reportFlowKeys.forEach(key => { row[key] = quarters.reduce((acc, q) => acc + q[key], 0); });
+            years.push(row);
+        }
+        return years;
+    };
 
     // --- Helper: Run the Solver Core Logic ---
     // We wrap this to allow retrying with relaxed constraints
-    const runSolver = (smoothingEnabled) => {
-        // Arrays sized to TOTAL projection horizon
-        const currentProjectedCashflows = new Array(totalHorizon).fill(0);
-        const currentProjectedUnfunded = new Array(totalHorizon).fill(0);
+    // smoothingLimits: { maxYearlyChange, firstYearCap } per plan year, null runs without smoothing
+    // lpPlan: per year breakdown from the whole-horizon LP, used as ceiling and mix for that year
+    const runSolver = (smoothingLimits, lpPlan = null) => {
+        // Arrays sized to TOTAL projection horizon, seeded with the legacy portfolio
+        const currentProjectedCashflows = [...legacy.totals.cashflows];
+        const currentProjectedCalls = [...legacy.totals.calls];
+        const currentProjectedDistributions = [...legacy.totals.distributions];
+        const currentProjectedManagementFees = [...legacy.totals.managementFees];
+        const currentProjectedCarry = [...legacy.totals.carriedInterest];
+        const currentProjectedUnfunded = [...legacy.totals.unfunded];
+        const currentProjectedRecallable = [...legacy.totals.recallable];
+        const currentProjectedNav = [...legacy.totals.nav];
+        const currentProjectedTaxable = [...legacyTaxable];
 
         // Accumulators for global state
         const commitments = [];
+        // Per commitment: its own projected { cashflows, nav } per category (for its IRR)
+        const commitmentFlows = [];
+        // Pipeline funds that already received a commitment
+        const committedFundIds = new Set();
 
         // Track last year's total commitment for smoothing
         let lastYearCommitment = 0;
@@ -94,36 +513,42 @@ export function solveCPT({ availableCapital, startYear, horizon, planningHorizon
         for (let yearIdx = 0; yearIdx < pHorizon; yearIdx++) {
             const currentYear = startYear + yearIdx;
             const yearNum = yearIdx + 1;
+            // Commitments are made in the first period of the year
+            const firstPeriod = yearIdx * periodsPerYear;
 
             // 1. Determine Ratios
-            let phase = 'phase3';
-            if (yearNum <= 5) phase = 'phase1';
-            else if (yearNum <= 10) phase = 'phase2';
-
-            const phaseRules = rules[phase];
-            const rawRatios = { ...phaseRules.ratios };
+            const phaseRules = resolvePhase(phases, yearNum);
+            const phase = phaseRules.id;
+            // Categories a phase does not mention have ratio 0
+            const rawRatios = { ...emptyBreakdown(categories), ...phaseRules.ratios };
             let ratioSum = 0;
-            if (selectedCategories.secondaries) ratioSum += rawRatios.secondaries;
-            if (selectedCategories.pe) ratioSum += rawRatios.pe;
-            if (selectedCategories.vc) ratioSum += rawRatios.vc;
+            categories.forEach(cat => {
+                if (selectedCategories[cat]) ratioSum += rawRatios[cat];
+            });
 
-            const ratios = { secondaries: 0, pe: 0, vc: 0 };
+            const ratios = emptyBreakdown(categories);
             if (ratioSum > 0) {
-                if (selectedCategories.secondaries) ratios.secondaries = rawRatios.secondaries / ratioSum;
-                if (selectedCategories.pe) ratios.pe = rawRatios.pe / ratioSum;
-                if (selectedCategories.vc) ratios.vc = rawRatios.vc / ratioSum;
+                categories.forEach(cat => {
+                    if (selectedCategories[cat]) ratios[cat] = rawRatios[cat] / ratioSum;
+                });
             }
 
             // Check for Manual Overrides (NEW)
-            // manualOverrides structure: { [yearIndex]: { secondaries: val, pe: val, vc: val } }
+            // manualOverrides structure: { [yearIndex]: { [category]: val } }
             // or we pass it as { [year]: ... }? Better yearIndex for array alignment, but year for stability.
             // Let's assume yearIndex 0-based relative to startYear.
 
             const overrides = manualOverrides?.[yearIdx];
 
             let optimal = 0;
-            let breakdown = { secondaries: 0, pe: 0, vc: 0 };
+            let breakdown = emptyBreakdown(categories);
             let isManual = false;
+            // Mix and upper bound of the optimised part (for the buffer-binding check)
+            let committedMix = null;
+            let maxAdditionalUsed = 0;
+            // Diagnostics: the cap on the optimised part and which constraint set it; smoothing cap on the total
+            let capConstraint = null;
+            let smoothingLimit = null;
 
             // If we have ANY override for this year, we treat this year as "Manually Directed" to some extent.
             // Simplified logic: If an override exists for a category, use it. 
@@ -156,14 +581,18 @@ export function solveCPT({ availableCapital, startYear, horizon, planningHorizon
             // 3. Solve for "Remaining Optimal Amount" for non-overridden categories.
             // 4. Combine.
 
-            const forcedBreakdown = { secondaries: 0, pe: 0, vc: 0 };
+            const forcedBreakdown = emptyBreakdown(categories);
             const activeRatios = { ...ratios };
             let hasOverride = false;
             let forcedTotal = 0;
 
+            // Manual amounts are never changed by the ticket constraints
+            const lockedCategories = new Set();
+
             if (overrides) {
-                ['secondaries', 'pe', 'vc'].forEach(cat => {
+                categories.forEach(cat => {
                     if (overrides[cat] !== undefined && overrides[cat] !== null) {
+                        lockedCategories.add(cat);
                         forcedBreakdown[cat] = overrides[cat]; // This is the manual amount
                         forcedTotal += overrides[cat];
                         activeRatios[cat] = 0; // Don't allocate via optimizer
@@ -173,52 +602,161 @@ export function solveCPT({ availableCapital, startYear, horizon, planningHorizon
             }
 
             // Normalize remaining ratios
-            let activeRatioSum = activeRatios.secondaries + activeRatios.pe + activeRatios.vc;
+            let activeRatioSum = categories.reduce((acc, cat) => acc + activeRatios[cat], 0);
             if (activeRatioSum > 0) {
                 // Re-normalize to sum to 1
-                activeRatios.secondaries /= activeRatioSum;
-                activeRatios.pe /= activeRatioSum;
-                activeRatios.vc /= activeRatioSum;
+                categories.forEach(cat => { activeRatios[cat] /= activeRatioSum; });
             }
 
-            // Feasibility Function (Updated)
-            // Solves for "additionalAmount" to distribute among ACTIVE categories
-            const isFeasible = (additionalAmount) => {
-                // Total new flows = Forced Flows + Additional Flows
-                const newBreakdown = { ...forcedBreakdown };
-                newBreakdown.secondaries += additionalAmount * activeRatios.secondaries;
-                newBreakdown.pe += additionalAmount * activeRatios.pe;
-                newBreakdown.vc += additionalAmount * activeRatios.vc;
-
-                const newFlows = new Array(totalHorizon).fill(0);
-                const newUnfunded = new Array(totalHorizon).fill(0);
-
-                ['secondaries', 'pe', 'vc'].forEach(cat => {
-                    if (newBreakdown[cat] > 0) {
-                        const proj = calculateCommitmentProjection(newBreakdown[cat], profiles[cat], yearIdx, totalHorizon);
-                        for (let t = 0; t < totalHorizon; t++) {
-                            newFlows[t] += proj.cashflows[t];
-                            newUnfunded[t] += proj.unfunded[t];
-                        }
+            // Unit projections: a commitment's flows scale linearly with its size, so project
+            // 1 euro per category once and scale inside the feasibility checks.
+            const unitProjections = {};
+            categories.forEach(cat => {
+                unitProjections[cat] = calculateCommitmentProjection(1, periodProfiles[cat], firstPeriod, totalPeriods);
+            });
+            const fundUnitProjections = {};
+            const fundUnit = (fundId) => {
+                if (!fundUnitProjections[fundId]) {
+                    fundUnitProjections[fundId] = calculateCommitmentProjection(1, fundProfiles[fundId], firstPeriod, totalPeriods);
+                }
+                return fundUnitProjections[fundId];
+            };
+
+            // Pieces a breakdown is projected with: one per category, or per pipeline fund plus the
+            // unallocated remainder per category
+            const planPieces = (newBreakdown) => {
+                const pieces = [];
+                let remainder = newBreakdown;
+                let allocations = [];
+                if (usePipeline) {
+                    ({ allocations, unallocated: remainder } = allocateToFunds(newBreakdown, currentYear, pipeline, committedFundIds));
+                    allocations.forEach(allocation => {
+                        pieces.push({ category: allocation.category, amount: allocation.amount, unit: fundUnit(allocation.fundId), profile: fundProfiles[allocation.fundId] });
+                    });
+                }
+                categories.forEach(cat => {
+                    if (remainder[cat] > 0) {
+                        pieces.push({ category: cat, amount: remainder[cat], unit: unitProjections[cat], profile: periodProfiles[cat] });
                     }
                 });
+                return { pieces, allocations, unallocated: remainder };
+            };
+
+            // Headroom Function
+            // Lowest (balance - buffer - unfunded / unfundedRatio) from this year on when "additionalAmount" is distributed
+            // among the ACTIVE categories according to "mix". Negative means infeasible.
+            // ignoreBuffer: test pure solvency (used to detect whether the buffer was binding).
+            // Returns { lowest, lowestYear, firstFailure } - period indices; firstFailure is null when the headroom never goes negative.
+            const headroomProfile = (additionalAmount, mix = activeRatios, ignoreBuffer = false) => {
+                // Total new commitment = Forced + Additional
+                const newBreakdown = { ...forcedBreakdown };
+                categories.forEach(cat => { newBreakdown[cat] += additionalAmount * (mix[cat] || 0); });
+                const { pieces } = planPieces(applyTicketConstraints(newBreakdown, ticketConstraints, lockedCategories).breakdown);
+
+                // Tax depends on the whole result path (brackets, loss carry-forward), so project it up front
+                let taxPath = null;
+                if (taxInSolvency) {
+                    const taxable = currentProjectedTaxable.map((value, t) => {
+                        let result = value;
+                        pieces.forEach(piece => {
+                            if (isTaxable(piece.category)) result += piece.amount * piece.unit.realisedResult[t];
+                        });
+                        return result;
+                    });
+                    taxPath = projectPeriodTax(taxable).tax;
+                }
 
-                // Check Integrity
                 let runningBalance = availableCapital;
-                for (let t = 0; t < totalHorizon; t++) {
-                    runningBalance += currentProjectedCashflows[t];
-                    runningBalance += newFlows[t];
+                let lowest = Infinity;
+                let lowestYear = null;
+                let firstFailure = null;
+                for (let t = 0; t < totalPeriods; t++) {
+                    let newFlow = 0;
+                    let newUnfunded = 0;
+                    let newNav = 0;
+                    pieces.forEach(piece => {
+                        newFlow += piece.amount * piece.unit.cashflows[t];
+                        newUnfunded += piece.amount * piece.unit.unfunded[t];
+                        newNav += piece.amount * piece.unit.nav[t];
+                    });
+                    runningBalance += interestOn(t, runningBalance) + externalFlowsByPeriod[t] + currentProjectedCashflows[t] + newFlow - (taxPath ? taxPath[t] : 0);
+
+                    if (t >= firstPeriod) {
+                        // Solvency: resources (cash above the minimum liquidity buffer) must cover the unfunded
+                        // commitments up to the allowed over-commitment ratio and stay non-negative
+                        const totalUnfunded = currentProjectedUnfunded[t] + newUnfunded;
+                        const buffer = ignoreBuffer ? 0 : bufferRequirement(yearOf(t), currentProjectedNav[t] + newNav);
+                        const resources = runningBalance - buffer;
+                        const headroom = Math.min(resources - totalUnfunded / unfundedRatio, resources);
+                        if (headroom < lowest) {
+                            lowest = headroom;
+                            lowestYear = t;
+                        }
+                        if (headroom < 0 && firstFailure === null) firstFailure = t;
+                    }
+                }
+                return { lowest, lowestYear, firstFailure };
+            };
+            const minHeadroom = (additionalAmount, mix = activeRatios, ignoreBuffer = false) => headroomProfile(additionalAmount, mix, ignoreBuffer).lowest;
+
+            const isFeasible = (additionalAmount, mix = activeRatios) => minHeadroom(additionalAmount, mix) >= 0;
+
+            // Target exposure: additional amount that brings NAV to the target share of cash + NAV in the year this
+            // mix's NAV peaks, assuming the same amount is committed every year until then (steady pacing; a single
+            // commitment aimed at that year would overshoot once later commitments add to it).
+            const requiredForTarget = (mix) => {
+                const unit = (key, t) => categories.reduce((acc, cat) => acc + (mix[cat] || 0) * unitProjections[cat][key][t], 0);
+                let peak = firstPeriod;
+                for (let t = firstPeriod + 1; t < totalPeriods; t++) {
+                    if (unit('nav', t) > unit('nav', peak)) peak = t;
+                }
+
+                // Per euro committed each year from now until the peak year (commitment j years later = shifted curves)
+                let navPerEuro = 0;
+                let cashPerEuro = 0;
+                for (let j = 0; j <= Math.min(yearOf(peak), pHorizon - 1) - yearIdx; j++) {
+                    const shift = j * periodsPerYear;
+                    navPerEuro += unit('nav', peak - shift);
+                    for (let t = firstPeriod; t <= peak - shift; t++) cashPerEuro += unit('cashflows', t);
+                }
+
+                const forced = (key, t) => categories.reduce((acc, cat) => acc + forcedBreakdown[cat] * unitProjections[cat][key][t], 0);
+                let forcedCash = 0;
+                for (let t = firstPeriod; t <= peak; t++) forcedCash += forced('cashflows', t);
+                const nav = currentProjectedNav[peak] + forced('nav', peak);
+                const cash = projectBalance(currentProjectedCashflows)[peak] + forcedCash;
+
+                // share x (cash + nav + a x (cashPerEuro + navPerEuro)) = nav + a x navPerEuro
+                const share = targetShares[yearOf(peak)];
+                const gap = share * (cash + nav) - nav;
+                const perEuro = navPerEuro * (1 - share) - share * cashPerEuro;
+                return gap > 0 && perEuro > 0 ? Math.floor(gap / perEuro / 10000) * 10000 : 0;
+            };
 
-                    if (t >= yearIdx) {
-                        const totalUnfunded = currentProjectedUnfunded[t] + newUnfunded[t];
-                        if (runningBalance < totalUnfunded) return false;
-                        if (runningBalance < 0) return false;
+            // Binary Search for the maximum feasible additional amount for a given mix
+            const maxFeasibleAmount = (maxAdditional, mix = activeRatios) => {
+                // The whole cap when it fits (the search below only approaches it from below)
+                const capAmount = Math.floor(maxAdditional / 10000) * 10000;
+                if (isFeasible(capAmount, mix)) return capAmount;
 
-                        // LIQUIDITY CAP (Soft constraint logic from prev versions?)
-                        // No, just solvency.
+                let low = 0;
+                let high = maxAdditional;
+                let bestAdd = 0;
+
+                for (let iter = 0; iter < 20; iter++) {
+                    const mid = (low + high) / 2;
+                    if (isFeasible(mid, mix)) {
+                        bestAdd = mid;
+                        low = mid;
+                    } else {
+                        high = mid;
                     }
                 }
-                return true;
+
+                // Round down; ticketing makes feasibility non-monotone, so step down until the rounded amount passes
+                bestAdd = Math.floor(bestAdd / 10000) * 10000;
+                while (bestAdd > 0 && !isFeasible(bestAdd, mix)) bestAdd -= 10000;
+                return bestAdd;
             };
 
             // Optimization
@@ -237,49 +775,166 @@ export function solveCPT({ availableCapital, startYear, horizon, planningHorizon
 
                 // Bounds for Additional Amount
                 let maxAdditional = availableCapital * 2;
+                capConstraint = 'hardCap';
 
                 // Smoothing logic applies to TOTAL (Forced + Additional)
-                if (smoothingEnabled) {
-                    if (yearIdx === 0) {
-                        const cap = availableCapital * firstYearCap;
+                // (Target exposure: the programme may start later, the first-year cap applies until it does)
+                const limits = smoothingLimits?.[yearIdx];
+                if (limits) {
+                    if (yearIdx === 0 || (targetShares && commitments.every(c => c.amount === 0))) {
+                        const cap = availableCapital * limits.firstYearCap;
                         maxAdditional = Math.max(0, cap - forcedTotal);
+                        capConstraint = 'firstYearCap';
+                        smoothingLimit = cap;
                     } else {
-                        const growthCap = lastYearCommitment * (1 + maxYearlyChange);
+                        const growthCap = lastYearCommitment * (1 + limits.maxYearlyChange);
                         const restartFloor = availableCapital * 0.05;
                         const maxTotal = Math.max(growthCap, restartFloor);
                         maxAdditional = Math.max(0, maxTotal - forcedTotal);
+                        capConstraint = growthCap >= restartFloor ? 'growthCap' : 'restartFloor';
+                        smoothingLimit = maxTotal;
                     }
                 }
+                if (availableCapital * 5 < maxAdditional) capConstraint = 'hardCap';
                 maxAdditional = Math.min(maxAdditional, availableCapital * 5); // Hard cap
 
-                // Binary Search for Additional
-                let low = 0;
-                let high = maxAdditional;
-                let bestAdd = 0;
+                let mix = activeRatios;
+
+                // LP plan: its amounts are the ceiling and its split the mix; the feasibility checks
+                // (tickets, tax, pipeline funds) still apply
+                const target = lpPlan?.[yearIdx];
+                if (target) {
+                    const freeCategories = categories.filter(cat => !lockedCategories.has(cat));
+                    const targetTotal = freeCategories.reduce((acc, cat) => acc + (target[cat] || 0), 0);
+                    maxAdditional = targetTotal;
+                    capConstraint = 'lpPlan';
+                    if (targetTotal > 0) {
+                        mix = emptyBreakdown(categories);
+                        freeCategories.forEach(cat => { mix[cat] = (target[cat] || 0) / targetTotal; });
+                    }
+                }
 
-                // Optimization: If isFeasible(high) is true, just take high? 
-                // We want MAX feasible.
+                let bestAdd = maxFeasibleAmount(maxAdditional, mix);
 
-                for (let iter = 0; iter < 20; iter++) {
-                    const mid = (low + high) / 2;
-                    if (isFeasible(mid)) {
-                        bestAdd = mid;
-                        low = mid;
-                    } else {
-                        high = mid;
+                // Mix optimisation inside the allocation bands (only for years without manual overrides)
+                if (mixOptimization !== 'none' && !hasOverride && !target && phaseRules.ranges) {
+                    const bands = {};
+                    categories.forEach(cat => {
+                        if (selectedCategories[cat] && ratioSum > 0) {
+                            const [lo, hi] = phaseRules.ranges[cat] || [rawRatios[cat], rawRatios[cat]];
+                            bands[cat] = [lo / ratioSum, hi / ratioSum];
+                        }
+                    });
+                    const candidates = enumerateMixCandidates(bands).map(c => ({ ...emptyBreakdown(categories), ...c }));
+
+                    if (mixOptimization === 'maxDeployment') {
+                        // Largest feasible commitment; the default mix wins ties
+                        candidates.forEach(candidate => {
+                            const amount = maxFeasibleAmount(maxAdditional, candidate);
+                            if (amount > bestAdd) {
+                                bestAdd = amount;
+                                mix = candidate;
+                            }
+                        });
+                    } else if (mixOptimization === 'smoothTrough' && bestAdd > 0) {
+                        // Same commitment, mix with the highest liquidity trough
+                        let bestHeadroom = minHeadroom(bestAdd, mix);
+                        candidates.forEach(candidate => {
+                            const headroom = minHeadroom(bestAdd, candidate);
+                            if (headroom > bestHeadroom) {
+                                bestHeadroom = headroom;
+                                mix = candidate;
+                            }
+                        });
                     }
                 }
 
-                bestAdd = Math.round(bestAdd / 10000) * 10000;
+                // Target exposure: never more than the target needs
+                if (targetShares) {
+                    const required = requiredForTarget(mix);
+                    bestAdd = Math.min(bestAdd, required);
+                    if (required < maxAdditional) capConstraint = 'targetExposure';
+                    maxAdditional = Math.min(maxAdditional, required);
+                }
+
+                // The exact ticketed breakdown committed below must pass the solvency check
+                while (bestAdd > 0 && !isFeasible(bestAdd, mix)) bestAdd -= 10000;
+
+                committedMix = mix;
+                maxAdditionalUsed = maxAdditional;
 
                 // Construct final breakdown
                 optimal = forcedTotal + bestAdd;
-                breakdown = {
-                    secondaries: forcedBreakdown.secondaries + (bestAdd * activeRatios.secondaries),
-                    pe: forcedBreakdown.pe + (bestAdd * activeRatios.pe),
-                    vc: forcedBreakdown.vc + (bestAdd * activeRatios.vc)
-                };
+                breakdown = {};
+                categories.forEach(cat => { breakdown[cat] = forcedBreakdown[cat] + (bestAdd * (mix[cat] || 0)); });
+            }
+
+            // Buffer binding: pure solvency would have allowed a larger commitment than the buffer did
+            let bufferBinding = false;
+            if (bufferMode !== 'none' && committedMix) {
+                const nextStep = optimal - forcedTotal + 10000;
+                bufferBinding = nextStep <= maxAdditionalUsed
+                    && minHeadroom(nextStep, committedMix, true) >= 0
+                    && minHeadroom(nextStep, committedMix) < 0;
+            }
+
+            // Valid tickets: the same adjustment the feasibility checks were based on
+            const ticketed = applyTicketConstraints(breakdown, ticketConstraints, lockedCategories);
+            breakdown = ticketed.breakdown;
+            const additional = optimal - forcedTotal;
+            optimal = categories.reduce((acc, cat) => acc + breakdown[cat], 0);
+
+            // Diagnostics: what stopped the commitment from being larger
+            // - binding: the cap that was reached, 'solvency' or 'buffer' (a larger amount fails the headroom check),
+            //   'ticketMinimum' / 'ticketRounding' (the ticket constraints took at least 10k off the amount the limits
+            //   allowed: an allocation below its minimum ticket was dropped / capped at maxTicket, rounded down or cut
+            //   to an amount that splits into valid tickets)
+            //   or 'manual' (all amounts entered by hand)
+            // - limitBinding: the cap, 'solvency' or 'buffer' behind a ticket binding (same as binding otherwise;
+            //   null for manual years); ticketLoss: the amount the ticket constraints took off
+            // - failYear: first year the headroom would go negative with 10k more (for manual years: at the amount entered);
+            //   failQuarter: the quarter of that year in quarterly mode (null otherwise)
+            // - slack: room left under the other constraints at the committed amount
+            const committedHeadroom = headroomProfile(isManual ? 0 : additional, committedMix || activeRatios);
+            const nextHeadroom = isManual ? committedHeadroom : headroomProfile(additional + 10000, committedMix);
+            const ticketLoss = forcedTotal + additional - optimal;
+            let binding = 'manual';
+            let limitBinding = null;
+            if (!isManual) {
+                if (additional >= maxAdditionalUsed - 10000) limitBinding = capConstraint;
+                else limitBinding = bufferBinding ? 'buffer' : 'solvency';
+                binding = limitBinding;
+                if (ticketLoss >= 10000) {
+                    const dropped = ticketed.adjustments.some(a => a.reason === 'belowMinimum' && !a.mergedInto);
+                    binding = dropped ? 'ticketMinimum' : 'ticketRounding';
+                }
             }
+            const diagnostics = {
+                binding,
+                limitBinding,
+                ticketLoss,
+                failYear: nextHeadroom.firstFailure === null ? null : startYear + yearOf(nextHeadroom.firstFailure),
+                failQuarter: nextHeadroom.firstFailure === null ? null : quarterOf(nextHeadroom.firstFailure),
+                slack: {
+                    smoothing: smoothingLimit === null ? null : smoothingLimit - optimal,
+                    hardCap: availableCapital * 5 - optimal,
+                    solvency: committedHeadroom.lowest,
+                    solvencyYear: committedHeadroom.lowestYear === null ? null : startYear + yearOf(committedHeadroom.lowestYear),
+                    solvencyQuarter: committedHeadroom.lowestYear === null ? null : quarterOf(committedHeadroom.lowestYear)
+                }
+            };
+
+            // Chosen ratios: the split actually committed (default ratios if nothing was committed)
+            const chosenRatios = { ...ratios };
+            if (optimal > 0) {
+                categories.forEach(cat => {
+                    chosenRatios[cat] = breakdown[cat] / optimal;
+                });
+            }
+
+            // Named funds (pipeline mode) for the committed breakdown
+            const plan = planPieces(breakdown);
+            plan.allocations.forEach(allocation => committedFundIds.add(allocation.fundId));
 
             // Store
             commitments.push({
@@ -287,173 +942,456 @@ export function solveCPT({ availableCapital, startYear, horizon, planningHorizon
                 amount: optimal,
                 breakdown,
                 ratios: { ...ratios },
+                chosenRatios,
                 phase,
-                isManual
+                isManual,
+                bufferBinding,
+                diagnostics,
+                funds: plan.allocations,
+                unallocated: plan.unallocated,
+                ticketAdjustments: ticketed.adjustments,
+                // { [category]: ticket amounts } for categories with ticket constraints
+                tickets: ticketed.tickets
             });
 
             lastYearCommitment = optimal;
 
             // Update Global Projections
+            const ownFlows = {};
             if (optimal > 0) {
-                ['secondaries', 'pe', 'vc'].forEach(cat => {
-                    if (breakdown[cat] > 0) {
-                        const proj = calculateCommitmentProjection(breakdown[cat], profiles[cat], yearIdx, totalHorizon);
-                        for (let t = 0; t < totalHorizon; t++) {
-                            currentProjectedCashflows[t] += proj.cashflows[t];
-                            currentProjectedUnfunded[t] += proj.unfunded[t];
-                        }
+                plan.pieces.forEach(piece => {
+                    const proj = calculateCommitmentProjection(piece.amount, piece.profile, firstPeriod, totalPeriods);
+                    if (!ownFlows[piece.category]) {
+                        ownFlows[piece.category] = { cashflows: new Array(totalPeriods).fill(0), nav: new Array(totalPeriods).fill(0) };
+                    }
+                    const own = ownFlows[piece.category];
+                    for (let t = 0; t < totalPeriods; t++) {
+                        own.cashflows[t] += proj.cashflows[t];
+                        own.nav[t] += proj.nav[t];
+                        currentProjectedCashflows[t] += proj.cashflows[t];
+                        currentProjectedCalls[t] += proj.calls[t];
+                        currentProjectedDistributions[t] += proj.distributions[t];
+                        currentProjectedManagementFees[t] += proj.managementFees[t];
+                        currentProjectedCarry[t] += proj.carriedInterest[t];
+                        currentProjectedUnfunded[t] += proj.unfunded[t];
+                        currentProjectedRecallable[t] += proj.recallable[t];
+                        currentProjectedNav[t] += proj.nav[t];
+                        if (isTaxable(piece.category)) currentProjectedTaxable[t] += proj.realisedResult[t];
                     }
                 });
             }
+            commitmentFlows.push(ownFlows);
         } // End Planning Loop
 
-        // Post-Calculation Report (Full Projection)
+        // Post-Calculation Report (Full Projection), one row per period
+        const taxProjection = projectPeriodTax(currentProjectedTaxable);
         let runningMult = availableCapital;
-        const annualReport = [];
-        for (let t = 0; t < totalHorizon; t++) {
+        let runningAfterTax = availableCapital;
+        const periodReport = [];
+        for (let t = 0; t < totalPeriods; t++) {
             const netFlow = currentProjectedCashflows[t];
-            runningMult += netFlow;
-
-            const committedAmount = t < pHorizon && commitments[t] ? commitments[t].amount : 0;
-            const committedBreakdown = t < pHorizon && commitments[t] ? commitments[t].breakdown : { secondaries: 0, pe: 0, vc: 0 };
-
-            annualReport.push({
-                year: startYear + t,
+            const taxPaid = tax.enabled ? taxProjection.tax[t] : 0;
+            const interestIncome = interestOn(t, runningMult);
+            const openingBalance = runningMult;
+            const externalFlow = externalFlowsByPeriod[t];
+            runningMult += interestIncome + externalFlow + netFlow;
+            runningAfterTax += interestOn(t, runningAfterTax) + externalFlow + netFlow - taxPaid;
+
+            // Commitments count in the first period of their year
+            const commitment = t % periodsPerYear === 0 ? commitments[yearOf(t)] : null;
+            const committedAmount = commitment ? commitment.amount : 0;
+            const committedBreakdown = commitment ? commitment.breakdown : emptyBreakdown(categories);
+
+            periodReport.push({
+                year: startYear + yearOf(t),
+                ...(periodsPerYear === 1 ? {} : { quarter: quarterOf(t) }),
+                // NAV of the legacy portfolio and every commitment along its own curve (pipeline funds included)
+                projectedNav: currentProjectedNav[t],
                 netCashflow: netFlow,
+                openingBalance,
+                interestIncome,
+                cashYield: periodYieldRates[t],
+                // Scheduled deposits (+) and withdrawals (-)
+                externalFlow,
+                // Existing commitments (already included in the totals)
+                legacyCashflow: legacy.totals.cashflows[t],
+                legacyNav: legacy.totals.nav[t],
+                capitalCalls: currentProjectedCalls[t],
+                distributions: currentProjectedDistributions[t],
+                // Fees (zero when disabled), already included in the calls and distributions above
+                managementFees: currentProjectedManagementFees[t],
+                carriedInterest: currentProjectedCarry[t],
+                fees: currentProjectedManagementFees[t] + currentProjectedCarry[t],
                 endBalance: runningMult,
                 totalCommitted: committedAmount,
                 unfunded: currentProjectedUnfunded[t],
+                // Part of unfunded that is recallable distributions
+                recallableUnfunded: currentProjectedRecallable[t],
+                liquidityBuffer: bufferRequirement(yearOf(t), currentProjectedNav[t]),
+                // Cash cover of unfunded commitments (1 = fully backed); null when nothing is unfunded
+                coverageRatio: currentProjectedUnfunded[t] > 1 ? runningMult / currentProjectedUnfunded[t] : null,
+                // Corporate tax (zero when disabled): taxable result, tax paid and cash after tax
+                taxableResult: currentProjectedTaxable[t],
+                taxableProfit: taxProjection.taxableProfit[t],
+                tax: taxPaid,
+                lossCarryForward: taxProjection.lossCarryForward[t],
+                afterTaxCashflow: netFlow - taxPaid,
+                afterTaxBalance: runningAfterTax,
                 breakdown: committedBreakdown
             });
         }
 
-        return { commitments, annualReport, totalHorizon };
+        if (periodsPerYear === 1) return { commitments, commitmentFlows, annualReport: periodReport, quarterlyReport: null, totalHorizon };
+        return { commitments, commitmentFlows, annualReport: annualiseReport(periodReport), quarterlyReport: periodReport, totalHorizon };
+    };
+
+    // --- Whole-horizon linear programme (optimizer.mode 'lp') ---
+    // Same solvency, buffer, smoothing and mix rules as the greedy run, for all plan years at once.
+    // Always on the annual curves; in quarterly mode the year loop then checks every quarter of the LP plan.
+    const buildLinearProblem = (settings) => {
+        const unitProjections = [];
+        const mix = [];
+        for (let yearIdx = 0; yearIdx < pHorizon; yearIdx++) {
+            const units = {};
+            categories.forEach(cat => {
+                units[cat] = calculateCommitmentProjection(1, categoryProfiles[cat], yearIdx, totalHorizon);
+            });
+            unitProjections.push(units);
+
+            // Manual amounts are fixed; the other categories follow the phase ratios (or bands)
+            const phaseRules = resolvePhase(phases, yearIdx + 1);
+            const phaseRatios = { ...emptyBreakdown(categories), ...phaseRules.ratios };
+            const overrides = manualOverrides?.[yearIdx] || {};
+            const fixed = {};
+            categories.forEach(cat => {
+                if (overrides[cat] !== undefined && overrides[cat] !== null) fixed[cat] = overrides[cat];
+            });
+            const selected = categories.filter(cat => selectedCategories[cat]);
+            const free = selected.filter(cat => fixed[cat] === undefined);
+            const bands = {};
+            if (mixOptimization !== 'none' && Object.keys(fixed).length === 0 && phaseRules.ranges) {
+                const ratioSum = selected.reduce((acc, cat) => acc + phaseRatios[cat], 0);
+                if (ratioSum > 0) {
+                    selected.forEach(cat => {
+                        const [lo, hi] = phaseRules.ranges[cat] || [phaseRatios[cat], phaseRatios[cat]];
+                        bands[cat] = [lo / ratioSum, hi / ratioSum];
+                    });
+                }
+            } else {
+                const freeSum = free.reduce((acc, cat) => acc + phaseRatios[cat], 0);
+                free.forEach(cat => {
+                    const share = freeSum > 0 ? phaseRatios[cat] / freeSum : 0;
+                    if (share > 0) bands[cat] = [share, share];
+                });
+            }
+            mix.push({ bands, fixed });
+        }
+
+        const targetNav = Array.from({ length: pHorizon }, (_, idx) => {
+            if (Array.isArray(settings.targetNav)) {
+                const path = settings.targetNav;
+                return Number(path[Math.min(idx, path.length - 1)]) || 0;
+            }
+            return (Number(settings.targetNav) || 0) * availableCapital;
+        });
+
+        return {
+            objective: settings.objective,
+            years: pHorizon,
+            horizon: totalHorizon,
+            categories,
+            unitProjections,
+            availableCapital,
+            cashYieldRates,
+            baseFlows: legacyAnnual.totals.cashflows.map((flow, t) => flow + externalFlowsByYear[t]),
+            baseUnfunded: legacyAnnual.totals.unfunded,
+            baseNav: legacyAnnual.totals.nav,
+            buffer: (t) => ({
+                fixed: bufferMode === 'navPct' ? 0 : bufferRequirement(t, 0),
+                navShare: bufferMode === 'navPct' ? bufferLevels[t] : 0
+            }),
+            unfundedRatio,
+            mix,
+            smoothing: {
+                firstYearCap: availableCapital * firstYearCap,
+                maxYearlyChange,
+                restartFloor: availableCapital * 0.05,
+                hardCap: availableCapital * 5
+            },
+            targetNav
+        };
     };
 
     // --- Execution Strategy ---
+    const relaxationSettings = { ...DEFAULT_RELAXATION_SETTINGS, ...relaxationOptions };
+    const baseLimits = Array.from({ length: pHorizon }, () => ({ maxYearlyChange, firstYearCap }));
+    const committedTotal = (run) => run.commitments.reduce((sum, c) => sum + c.amount, 0);
+    // Check cash at end of PLANNING horizon (not projection end, as cash might grow later)
+    const cashAtPlanEnd = (run) => run.annualReport[Math.min(pHorizon - 1, run.annualReport.length - 1)].endBalance;
+    // Capital left idle: too little committed while cash is left at plan end
+    const underDeployed = (run) => cashAtPlanEnd(run) > availableCapital * relaxationSettings.minCashShare
+        && committedTotal(run) < availableCapital * relaxationSettings.minDeployment;
+
     // 1. Try with Smoothing
-    let result = runSolver(true);
+    let result = runSolver(baseLimits);
     let relaxed = false;
+    const totalComm = committedTotal(result);
+    const balanceAtPlanEnd = cashAtPlanEnd(result);
+
+    // Why a relaxed run was (not) tried or chosen:
+    // 'disabled' (mode 'off') | 'targetExposure' | 'lowCash' (<= minCashShare of capital left at plan end)
+    // | 'committedEnough' (>= minDeployment committed) | 'smoothingNotBinding' (no year limited by a smoothing cap)
+    // | 'insufficientGain' (relaxed run still short of minDeployment and commits <= minGain more)
+    // | 'ticketSize' (not relaxed and the ticket constraints held back the amounts in ticketBoundYears)
+    // | 'moreCommitted' (chosen) | 'lpPlan' (replaced by the LP plan)
+    // steps: one entry per graduated rerun; loosened: the limits of the chosen plan that differ from the inputs,
+    // [{ constraint: 'maxYearlyChange'|'firstYearCap', from, to (null = removed), years }]
+    const relaxation = {
+        mode: relaxationSettings.mode,
+        settings: relaxationSettings,
+        attempted: false,
+        chosen: false,
+        reason: null,
+        smoothedTotal: totalComm,
+        relaxedTotal: null,
+        balanceAtPlanEnd,
+        steps: [],
+        loosened: [],
+        ticketBoundYears: []
+    };
 
-    // 2. Check if we failed to deploy capital effectively?
-    // Heuristic: If TotalCommitted < 50% of AvailableCapital in pHorizon, and we have Smoothing ON...
-    const totalComm = result.commitments.reduce((sum, c) => sum + c.amount, 0);
+    // (Not when pacing on a target exposure: idle cash is then intended)
+    if (relaxationSettings.mode === 'off') {
+        relaxation.reason = 'disabled';
+    } else if (targetShares) {
+        relaxation.reason = 'targetExposure';
+    } else if (balanceAtPlanEnd <= availableCapital * relaxationSettings.minCashShare) {
+        relaxation.reason = 'lowCash';
+    } else if (totalComm >= availableCapital * relaxationSettings.minDeployment) {
+        relaxation.reason = 'committedEnough';
+    } else {
+        let candidate = null;
+        let candidateLimits = null;
+
+        if (relaxationSettings.mode === 'full') {
+            // One run with smoothing disabled
+            candidate = runSolver(null);
+        } else {
+            // Graduated: raise the limits one step at a time until capital is deployed (or no smoothing cap binds)
+            let limits = baseLimits;
+            let run = result;
+            for (let step = 1; step <= relaxationSettings.maxSteps && underDeployed(run); step++) {
+                // (A year blocked by the minimum ticket counts with the smoothing cap behind it: a higher cap can
+                // lift the amount over the minimum)
+                const bound = run.commitments
+                    .map((c, idx) => ({ idx, binding: c.diagnostics.limitBinding }))
+                    .filter(({ binding }) => ['firstYearCap', 'growthCap', 'restartFloor'].includes(binding));
+                if (bound.length === 0) break;
+
+                const loosenFirstYear = bound.some(({ binding }) => binding === 'firstYearCap');
+                const boundIdx = new Set(bound.map(({ idx }) => idx));
+                // The first-year cap only applies to year 1, the growth cap to the years after it
+                const loosen = (idx) => relaxationSettings.scope === 'allYears'
+                    ? (idx === 0 ? loosenFirstYear : bound.some(({ binding }) => binding !== 'firstYearCap'))
+                    : boundIdx.has(idx);
+                const nextLimits = limits.map((yearLimits, idx) => {
+                    if (!loosen(idx)) return yearLimits;
+                    return idx === 0
+                        ? { ...yearLimits, firstYearCap: Math.min(1, yearLimits.firstYearCap + relaxationSettings.firstYearCapStep) }
+                        : { ...yearLimits, maxYearlyChange: yearLimits.maxYearlyChange + relaxationSettings.maxYearlyChangeStep };
+                });
+                // Nothing left to loosen (first-year cap at 100%, zero step sizes)
+                if (nextLimits.every((yearLimits, idx) => yearLimits.firstYearCap === limits[idx].firstYearCap
+                    && yearLimits.maxYearlyChange === limits[idx].maxYearlyChange)) break;
+                limits = nextLimits;
+                run = runSolver(limits);
+                relaxation.steps.push({
+                    step,
+                    years: [...Array(pHorizon).keys()].filter(loosen).map(idx => startYear + idx),
+                    totalCommitted: committedTotal(run),
+                    balanceAtPlanEnd: cashAtPlanEnd(run)
+                });
+            }
+            if (relaxation.steps.length > 0) {
+                candidate = run;
+                candidateLimits = limits;
+            }
+        }
 
-    // Check cash at end of PLANNING horizon (not projection end, as cash might grow later)
-    // Actually, check end of pHorizon.
-    const checkIdx = Math.min(pHorizon - 1, result.annualReport.length - 1);
-    const balanceAtPlanEnd = result.annualReport[checkIdx].endBalance;
-
-    if (balanceAtPlanEnd > availableCapital * 0.1 && totalComm < availableCapital * 0.8) {
-        // Try Relaxed
-        const relaxedResult = runSolver(false); // Disable smoothing
-        const relaxedTotal = relaxedResult.commitments.reduce((acc, c) => acc + c.amount, 0);
-
-        if (relaxedTotal > totalComm * 1.2) {
-            result = relaxedResult;
-            relaxed = true;
+        if (!candidate) {
+            relaxation.reason = 'smoothingNotBinding';
+        } else {
+            const relaxedTotal = committedTotal(candidate);
+            relaxation.attempted = true;
+            relaxation.relaxedTotal = relaxedTotal;
+            relaxation.reason = 'insufficientGain';
+
+            // A plan that deploys enough capital is taken; one that still falls short must gain at least minGain
+            if (relaxedTotal > totalComm && (!underDeployed(candidate) || relaxedTotal > totalComm * (1 + relaxationSettings.minGain))) {
+                result = candidate;
+                relaxed = true;
+                relaxation.chosen = true;
+                relaxation.reason = 'moreCommitted';
+                relaxation.loosened = describeLoosenedLimits(baseLimits, candidateLimits, startYear);
+            }
+        }
+
+        // Capital left idle because the limits leave amounts below the minimum ticket (or the rounding step):
+        // say so instead of blaming smoothing
+        if (!relaxation.chosen) {
+            relaxation.ticketBoundYears = result.commitments
+                .filter(c => c.diagnostics.binding === 'ticketMinimum' || c.diagnostics.binding === 'ticketRounding')
+                .map(c => c.year);
+            if (relaxation.ticketBoundYears.length > 0) relaxation.reason = 'ticketSize';
+        }
+    }
+
+    // 3. Whole-horizon LP (optional): solve all years at once, then run the year loop with the LP amounts as ceilings
+    const optimizerSettings = { ...DEFAULT_OPTIMIZER_SETTINGS, ...optimizer };
+    let optimizerReport = { mode: 'greedy', objective: optimizerSettings.objective };
+    if (optimizerSettings.mode === 'lp') {
+        const problem = buildLinearProblem(optimizerSettings);
+        const greedyTotalCommitted = result.commitments.reduce((acc, c) => acc + c.amount, 0);
+        const greedyObjectiveValue = evaluateObjective(problem, result.commitments.map(c => c.breakdown));
+        const lp = optimizeCommitmentPlan(problem);
+        optimizerReport = {
+            mode: 'lp',
+            objective: optimizerSettings.objective,
+            status: lp.feasible ? 'optimal' : 'infeasible',
+            // Only an LP plan has an optimised objective; an infeasible LP keeps the greedy plan
+            objectiveValue: null,
+            fallback: !lp.feasible,
+            greedyObjectiveValue,
+            greedyTotalCommitted
+        };
+
+        if (lp.feasible) {
+            result = runSolver(null, lp.breakdowns);
+            relaxed = false;
+            relaxation.chosen = false;
+            relaxation.reason = 'lpPlan';
+            relaxation.loosened = [];
+            optimizerReport.objectiveValue = evaluateObjective(problem, result.commitments.map(c => c.breakdown));
         }
     }
 
     // --- Metrics & MOIC/IRR ---
+    // Profile MOIC: distributions plus the NAV left at the end of the curves, like portfolioMOIC
     const calculateMetrics = (profile) => {
-        let distributions = 0;
-        let calls = 0;
-        profile.forEach(p => {
-            if (p > 0) distributions += p;
-            if (p < 0) calls += Math.abs(p);
-        });
-        return calls === 0 ? 0 : distributions / calls;
+        const calls = profile.calls.reduce((acc, p) => acc + p, 0);
+        const distributions = profile.distributions.reduce((acc, p) => acc + p, 0);
+        const profileLength = Math.max(profile.calls.length, profile.distributions.length);
+        const residualNav = profileLength > 0 ? profile.nav?.[profileLength - 1] || 0 : 0;
+        return calls === 0 ? 0 : (distributions + residualNav) / calls;
     };
 
-    // Use NAV Profiles for exposure calculation to ensure positive bars
-    // If config doesn't have custom NAV profiles, use default estimates.
-    const navProfiles = config?.navProfiles || NAV_PROFILES;
+    // Implied IRR of each category profile, including its residual NAV at the end of the profile
+    const catMetrics = {};
+    categories.forEach(cat => {
+        catMetrics[cat] = { moic: calculateMetrics(categoryProfiles[cat]), irr: calculateProfileIRR(categoryProfiles[cat]) };
+    });
 
-    const catMetrics = {
-        secondaries: { moic: calculateMetrics(profiles.secondaries) },
-        pe: { moic: calculateMetrics(profiles.pe) },
-        vc: { moic: calculateMetrics(profiles.vc) }
+    // IRR per commitment row: its own projected flows (pipeline-fund curves, net of fees) from the commitment period
+    // until the end of the projection horizon plus the residual NAV there. Quarterly flows are dated at the quarter
+    // ends (XIRR).
+    const projectionIRR = ({ cashflows, nav }, from) => {
+        const flows = cashflows.slice(from);
+        flows[flows.length - 1] += nav[totalPeriods - 1];
+        if (periodsPerYear === 1) return calculateIRR(flows);
+        return calculateXIRR(flows.map((amount, i) => {
+            const t = from + i;
+            // Day 0 of the month after the quarter = its last day
+            return { date: new Date(startYear + yearOf(t), (t % periodsPerYear + 1) * 3, 0), amount };
+        }));
     };
+    result.commitments.forEach((c, idx) => {
+        c.irr = {};
+        categories.forEach(cat => {
+            const own = result.commitmentFlows[idx][cat];
+            c.irr[cat] = c.breakdown[cat] > 0 && own ? projectionIRR(own, idx * periodsPerYear) : null;
+        });
+    });
 
     // Calculate Portfolio Level Metrics
-    let totalCalls = 0;
-    let totalDistributions = 0;
-
-    let cumCalls = 0;
-    let cumDist = 0;
-    let cumCommitments = 0; // NEW: Track cumulative commitments over time
-
-    result.annualReport.forEach((r, idx) => {
-        let yearCalls = 0;
-        let yearDist = 0;
-        let trueNav = 0;
-
-        // Add this year's commitment to cumulative total
-        // (commitments array is indexed by year offset from startYear)
-        if (idx < result.commitments.length && result.commitments[idx]) {
-            cumCommitments += result.commitments[idx].amount;
-        }
-
-        // Iterate all commitments made
-        result.commitments.forEach(c => {
-            ['secondaries', 'pe', 'vc'].forEach(cat => {
-                if (c.breakdown[cat] > 0) {
-                    const prof = profiles[cat];
-                    const navProf = navProfiles[cat];
-                    const age = r.year - c.year;
-
-                    // Cashflow calc
-                    if (age >= 0 && age < prof.length) {
-                        const val = c.breakdown[cat] * prof[age];
-                        if (val < 0) yearCalls += Math.abs(val);
-                        else yearDist += val;
-                    }
-
-                    // NAV/Exposure calc
-                    if (age >= 0 && age < navProf.length) {
-                        trueNav += c.breakdown[cat] * navProf[age];
-                    }
-                }
-            });
+    // Running totals per report row (annual rows, and quarterly rows in quarterly mode)
+    // navAt(row): NAV at the end of the row; targetShareAt(idx): target exposure share of the row
+    const addRunningTotals = (rows, navAt, targetShareAt) => {
+        let cumCalls = 0;
+        let cumDist = 0;
+        let cumTax = 0;
+        let cumInterest = 0;
+        let cumExternal = 0;
+        // Outstanding legacy commitments are locked from the start
+        let cumCommitments = legacy.outstanding; // NEW: Track cumulative commitments over time
+
+        rows.forEach((r, idx) => {
+            // Gross calls and distributions come straight from the projection
+            const yearCalls = r.capitalCalls;
+            const yearDist = r.distributions;
+            const trueNav = navAt(r);
+
+            // Add this row's commitment to cumulative total
+            cumCommitments += r.totalCommitted;
+
+            cumCalls += yearCalls;
+            cumDist += yearDist;
+            cumTax += r.tax;
+            cumInterest += r.interestIncome;
+            cumExternal += r.externalFlow;
+
+
+
+            // NEW: Calculate AVAILABLE CASH correctly
+            // Available Cash = Starting Capital - Cumulative Commitments + Cumulative Distributions
+            // This represents money that can still be committed to new funds
+            const availableCash = availableCapital - cumCommitments + cumDist + cumInterest + cumExternal;
+
+            // Assign calculated values to report
+            r.nav = trueNav;
+            r.cumulativeCommitments = cumCommitments;  // NEW: Total locked capital
+            r.cumulativeCalls = cumCalls;
+            r.cumulativeDistributions = cumDist;
+            r.availableCash = availableCash;           // NEW: True investable capital
+            r.capitalCalled = cumCalls;                // NEW: Actual money spent
+            r.cumulativeInterest = cumInterest;
+            r.cumulativeExternalFlows = cumExternal;
+
+            // For chart display:
+            // - investedCapital: NAV (market value of active investments)
+            // - lockedCapital: cumulative commitments (money promised to funds)
+            r.investedCapital = trueNav;
+            r.lockedCapital = cumCommitments;
+
+            // Total Value calculation per user request: 
+            // "total value = available cash + commitments"
+            // This avoids showing the J-curve drop (NAV < Cost) in early years.
+            // Formula: (Capital - Commitments + Distributions) + Commitments = Capital + Distributions
+            r.totalValue = availableCash + cumCommitments;
+
+            // Target exposure: target NAV and the deviation from it (null when pacing on solvency)
+            r.targetNav = targetShares ? targetShareAt(idx) * (r.endBalance + trueNav) : null;
+            r.trackingError = targetShares ? trueNav - r.targetNav : null;
+
+            // Profit calculation: Distributions - Capital Called (NOT commitments)
+            r.realizedProfit = cumDist - cumCalls;
+
+            // Running MOIC before and after corporate tax
+            r.cumulativeTax = cumTax;
+            r.moic = cumCalls > 0 ? (cumDist + trueNav) / cumCalls : null;
+            r.moicAfterTax = cumCalls > 0 ? (cumDist - cumTax + trueNav) / cumCalls : null;
         });
 
-        cumCalls += yearCalls;
-        cumDist += yearDist;
-
-
-
-        // NEW: Calculate AVAILABLE CASH correctly
-        // Available Cash = Starting Capital - Cumulative Commitments + Cumulative Distributions
-        // This represents money that can still be committed to new funds
-        const availableCash = availableCapital - cumCommitments + cumDist;
-
-        // Assign calculated values to report
-        r.nav = trueNav;
-        r.cumulativeCommitments = cumCommitments;  // NEW: Total locked capital
-        r.cumulativeCalls = cumCalls;
-        r.cumulativeDistributions = cumDist;
-        r.availableCash = availableCash;           // NEW: True investable capital
-        r.capitalCalled = cumCalls;                // NEW: Actual money spent
-
-        // For chart display:
-        // - investedCapital: NAV (market value of active investments)
-        // - lockedCapital: cumulative commitments (money promised to funds)
-        r.investedCapital = trueNav;
-        r.lockedCapital = cumCommitments;
-
-        // Total Value calculation per user request: 
-        // "total value = available cash + commitments"
-        // This avoids showing the J-curve drop (NAV < Cost) in early years.
-        // Formula: (Capital - Commitments + Distributions) + Commitments = Capital + Distributions
-        r.totalValue = availableCash + cumCommitments;
+        return { cumCalls, cumDist, cumTax, cumInterest };
+    };
 
-        // Profit calculation: Distributions - Capital Called (NOT commitments)
-        r.realizedProfit = cumDist - cumCalls;
-    });
+    // NAV as projected by the solver (year-end NAV for annualised quarterly rows)
+    const { cumCalls, cumDist, cumTax, cumInterest } = addRunningTotals(result.annualReport, r => r.projectedNav, idx => targetShares[idx]);
+    if (result.quarterlyReport) {
+        addRunningTotals(result.quarterlyReport, r => r.projectedNav, idx => targetShares[yearOf(idx)]);
+    }
 
-    totalCalls = cumCalls;
-    totalDistributions = cumDist;
+    const totalCalls = cumCalls;
+    const totalDistributions = cumDist;
 
     // Use end of projection for final metrics
     const finalReportItem = result.annualReport[result.totalHorizon - 1];
@@ -464,24 +1402,91 @@ export function solveCPT({ availableCapital, startYear, horizon, planningHorizon
     const fullyCommittedItem = result.annualReport.find(r => r.cumulativeCommitments >= availableCapital);
     const fullyCommittedYear = fullyCommittedItem ? fullyCommittedItem.year : null;
 
+    // Liquidity lows over every period checked (quarter ends in quarterly mode)
+    const periodRows = result.quarterlyReport || result.annualReport;
+    const coverageRatios = periodRows.filter(a => a.coverageRatio !== null).map(a => a.coverageRatio);
+
     const portfolioMOIC = totalCalls > 0 ? (totalDistributions + finalReportItem.nav) / totalCalls : 0;
+    const portfolioMOICAfterTax = totalCalls > 0 ? (totalDistributions - cumTax + finalReportItem.nav) / totalCalls : 0;
+
+    // Programme IRR: yearly gross distributions - calls, residual NAV at the end of the horizon
+    const programmeFlows = result.annualReport.map(r => r.distributions - r.capitalCalls);
+    programmeFlows[programmeFlows.length - 1] += finalReportItem.nav;
+    const portfolioIRR = calculateIRR(programmeFlows);
+
+    // Cash drag over the planning horizon: the share of the portfolio held in cash times the
+    // return gap between private markets (programme IRR) and the money-market yield actually earned
+    const planningYears = result.annualReport.slice(0, pHorizon);
+    const openingCash = planningYears.reduce((acc, r) => acc + Math.max(0, r.openingBalance), 0);
+    const planningInterest = planningYears.reduce((acc, r) => acc + r.interestIncome, 0);
+    const effectiveCashYield = openingCash > 0 ? planningInterest / openingCash : 0;
+    const cashHeld = planningYears.reduce((acc, r) => acc + Math.max(0, r.endBalance), 0);
+    const totalHeld = planningYears.reduce((acc, r) => acc + Math.max(0, r.endBalance) + r.nav, 0);
+    const averageCashShare = totalHeld > 0 ? cashHeld / totalHeld : 0;
+    const cashDrag = portfolioIRR === null ? null : averageCashShare * (portfolioIRR - effectiveCashYield);
+
+    // Target exposure: absolute tracking error over the planning years that have a target
+    const trackedYears = targetShares ? planningYears.filter(r => r.targetNav > 0) : [];
+    const trackingErrors = trackedYears.map(r => Math.abs(r.trackingError));
 
     return {
         commitments: result.commitments,
         annualReport: result.annualReport,
+        // Quarterly rows (same fields, plus quarter) in quarterly mode, otherwise null
+        quarterlyReport: result.quarterlyReport,
+        legacyFunds: legacyAnnual.funds,
+        // Category registry the plan was made with (ids, labels, colours, export codes)
+        categories: resolveCategories(config),
+        // Annual curves per category the plan was projected with (net of fees; gross: the curves before fees)
+        categoryProfiles,
+        // Quarterly curves per category in quarterly mode (categoryProfiles are their annual sums), otherwise null
+        quarterlyProfiles: periodsPerYear === 1 ? null : periodProfiles,
         metrics: {
             totalCommitted: result.commitments.reduce((acc, c) => acc + c.amount, 0),
-            minCash: Math.min(...result.annualReport.map(a => a.endBalance)),
-            maxCash: Math.max(...result.annualReport.map(a => a.endBalance)),
+            granularity: periodsPerYear === 1 ? 'annual' : 'quarterly',
+            minCash: Math.min(...periodRows.map(a => a.endBalance)),
+            maxCash: Math.max(...periodRows.map(a => a.endBalance)),
             isSmoothed: !relaxed,
             relaxedConstraint: relaxed,
+            relaxation,
+            mixOptimization,
+            // Greedy or LP plan; in LP mode with the objective value of both plans
+            optimizer: optimizerReport,
+            commitmentStrategy,
+            maxUnfundedRatio: unfundedRatio,
+            minCoverageRatio: coverageRatios.length ? Math.min(...coverageRatios) : null,
+            bufferBindingYears: result.commitments.filter(c => c.bufferBinding).map(c => c.year),
+            ticketAdjustments: result.commitments.flatMap(c => c.ticketAdjustments.map(a => ({ year: c.year, ...a }))),
             categoryMetrics: catMetrics,
             // New Metrics
             portfolioMOIC,
+            portfolioIRR,
             fullyCommittedYear,
             finalNav: finalReportItem.nav,
             finalCash: finalReportItem.endBalance,
-            finalTotalValue: finalReportItem.totalValue
+            finalTotalValue: finalReportItem.totalValue,
+            // Corporate tax
+            taxEnabled: tax.enabled,
+            solvencyAfterTax: taxInSolvency,
+            totalTax: cumTax,
+            portfolioMOICAfterTax,
+            minCashAfterTax: Math.min(...periodRows.map(a => a.afterTaxBalance)),
+            finalCashAfterTax: finalReportItem.afterTaxBalance,
+            // Fees (gross-to-net)
+            feesEnabled: resolveFeeSettings(config?.feeSettings).enabled,
+            totalFees: result.annualReport.reduce((acc, r) => acc + r.fees, 0),
+            // Idle cash
+            totalInterestIncome: cumInterest,
+            effectiveCashYield,
+            averageCashShare,
+            cashDrag,
+            // Target exposure
+            pacingMode,
+            averageTrackingError: trackingErrors.length ? trackingErrors.reduce((acc, e) => acc + e, 0) / trackingErrors.length : null,
+            maxTrackingError: trackingErrors.length ? Math.max(...trackingErrors) : null,
+            // External flows
+            totalDeposits: result.annualReport.reduce((acc, r) => acc + Math.max(0, r.externalFlow), 0),
+            totalWithdrawals: result.annualReport.reduce((acc, r) => acc + Math.max(0, -r.externalFlow), 0)
         }
     };
 }
@@ -0,0 +1,119 @@
+import { DEFAULT_STRESS_SCENARIOS } from '../config/dummyData.js';
+import { calculateCommitmentProjection, resolveCategoryProfiles } from './solver.js';
+import { shiftCurve, resolvePlanPieces } from './monteCarlo.js';
+import { projectLegacyCommitment } from './legacyPortfolio.js';
+
+/**
+ * Applies the profile shocks of a stress scenario to one set of curves.
+ * Calls move earlier by callAcceleration years, distributions (and NAV) later by distributionDelay years,
+ * and distributions and NAV are cut by multipleCut.
+ * @param {object} profile - { calls, distributions, nav } as fractions of commitment.
+ * @param {object} scenario - Stress scenario (see DEFAULT_STRESS_SCENARIOS).
+ * @returns {object} Stressed { calls, distributions, nav }.
+ */
+export function stressProfile(profile, scenario) {
+    const factor = 1 - (scenario.multipleCut || 0);
+    const delay = scenario.distributionDelay || 0;
+    return {
+        calls: shiftCurve(profile.calls || [], -(scenario.callAcceleration || 0)),
+        distributions: shiftCurve(profile.distributions || [], delay).map(d => d * factor),
+        nav: shiftCurve(profile.nav || [], delay).map(n => n * factor)
+    };
+}
+
+/**
+ * Frozen exit market: no distributions in the freeze years (calendar based, for all vintages);
+ * everything held back is paid out in the first year after the freeze.
+ * @param {Array<number>} distributions - Distributions per year index (modified copy is returned).
+ * @param {object|null} exitFreeze - { start: year index, years }.
+ * @returns {Array<number>}
+ */
+export function applyExitFreeze(distributions, exitFreeze) {
+    const out = [...distributions];
+    if (!exitFreeze || !(exitFreeze.years > 0)) return out;
+    const start = Math.max(0, exitFreeze.start || 0);
+    const end = start + exitFreeze.years;
+    let held = 0;
+    for (let t = start; t < Math.min(end, out.length); t++) {
+        held += out[t];
+        out[t] = 0;
+    }
+    if (end < out.length) out[end] += held;
+    return out;
+}
+
+/**
+ * Runs stress scenarios on a fixed plan: the commitments of a solveCPT result (including the legacy funds,
+ * interest on cash and external flows of that result) are re-projected with stressed curves.
+ * The plan is not re-optimised. Cash is before corporate tax.
+ *
+ * @param {object} params
+ * @param {object} params.result - solveCPT result ({ commitments, annualReport, legacyFunds }).
+ * @param {number} params.availableCapital - Starting capital.
+ * @param {number} params.startYear - First projection year.
+ * @param {object} params.config - Configuration (profiles, navGrowth, navProfiles, stressScenarios).
+ * @param {Array<object>} [params.scenarios] - Scenarios to run (default config.stressScenarios or DEFAULT_STRESS_SCENARIOS).
+ * @param {object} [params.categoryProfiles] - Annual category curves the plan was made with (default
+ *   result.categoryProfiles, which in quarterly mode are the annualised quarterly curves).
+ * @returns {object} { base, scenarios: [{ id, name, ... }] } - each with balances (per year), worstCash, worstCashYear,
+ *   firstShortfallYear (null when cash never goes negative) and extraLiquidity (starting cash needed on top to avoid
+ *   any shortfall); scenarios also carry worstCashChange and extraLiquidityChange versus the base case.
+ */
+export function runStressTests({ result, availableCapital, startYear, config, scenarios, categoryProfiles = result.categoryProfiles ?? resolveCategoryProfiles(config) }) {
+    const library = scenarios || config?.stressScenarios || DEFAULT_STRESS_SCENARIOS;
+    const horizon = result.annualReport.length;
+
+    // One piece per pipeline fund or category amount, as the solver projected them
+    const pieces = resolvePlanPieces(result, categoryProfiles, config);
+
+    const project = (scenario) => {
+        const stress = (profile) => (scenario ? stressProfile(profile, scenario) : profile);
+        const calls = new Array(horizon).fill(0);
+        let distributions = new Array(horizon).fill(0);
+        const add = (proj) => {
+            for (let t = 0; t < horizon; t++) {
+                calls[t] += proj.calls[t];
+                distributions[t] += proj.distributions[t];
+            }
+        };
+        pieces.forEach(piece => add(calculateCommitmentProjection(piece.amount, stress(piece.profile), piece.startIdx, horizon)));
+        (result.legacyFunds || []).forEach(fund => {
+            add(scenario ? projectLegacyCommitment(fund, stress(categoryProfiles[fund.category]), startYear, horizon) : fund.projection);
+        });
+        if (scenario) distributions = applyExitFreeze(distributions, scenario.exitFreeze);
+
+        // Same cash recursion as the solver report: interest on the opening balance plus external flows
+        const balances = new Array(horizon).fill(0);
+        let balance = availableCapital;
+        for (let t = 0; t < horizon; t++) {
+            const report = result.annualReport[t];
+            balance += Math.max(0, balance) * (report.cashYield || 0) + (report.externalFlow || 0) + distributions[t] - calls[t];
+            balances[t] = balance;
+        }
+
+        const worstCash = Math.min(...balances);
+        const shortfallIdx = balances.findIndex(b => b < 0);
+        return {
+            balances,
+            worstCash,
+            worstCashYear: startYear + balances.indexOf(worstCash),
+            firstShortfallYear: shortfallIdx === -1 ? null : startYear + shortfallIdx,
+            extraLiquidity: Math.max(0, -worstCash)
+        };
+    };
+
+    const base = project(null);
+    return {
+        base,
+        scenarios: library.map(scenario => {
+            const stressed = project(scenario);
+            return {
+                id: scenario.id,
+                name: scenario.name,
+                ...stressed,
+                worstCashChange: stressed.worstCash - base.worstCash,
+                extraLiquidityChange: stressed.extraLiquidity - base.extraLiquidity
+            };
+        })
+    };
+}
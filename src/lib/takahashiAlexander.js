@@ -0,0 +1,65 @@
+// Takahashi-Alexander (Yale) pacing model.
+//
+// Per year t (1-based) on a commitment of 1:
+//   Contributions  C_t  = RC_t x (1 - PIC_{t-1})              (RC_t: rate of contribution)
+//   Distributions  D_t  = RD_t x NAV_{t-1} x (1 + G)           (RD_t = max(Y, (t / L)^B))
+//   NAV            NAV_t = NAV_{t-1} x (1 + G) + C_t - D_t
+// with B the bow factor, G the annual growth rate, L the fund lifetime and Y the yield.
+
+/**
+ * Validates Takahashi-Alexander parameters.
+ * @param {object} params - See generateTakahashiAlexanderProfile.
+ * @returns {Array<string>} Validation errors (empty when valid).
+ */
+export function validateTakahashiAlexanderParameters({ rateOfContribution, bow, growth, lifetime, yield: minYield = 0 } = {}) {
+    const errors = [];
+    const rates = Array.isArray(rateOfContribution) ? rateOfContribution : [rateOfContribution];
+    if (!rates.length || rates.some(r => !(r >= 0 && r <= 1))) errors.push('Rate of contribution must be between 0 and 1.');
+    if (!(bow > 0 && Number.isFinite(bow))) errors.push('Bow factor must be positive.');
+    if (!(growth > -1 && Number.isFinite(growth))) errors.push('Growth must be a number above -100%.');
+    if (!(Math.round(lifetime) >= 1 && Number.isFinite(lifetime))) errors.push('Lifetime must be at least 1 year.');
+    if (!(minYield >= 0 && minYield <= 1)) errors.push('Yield must be between 0 and 1.');
+    return errors;
+}
+
+/**
+ * Generates call, distribution and NAV curves from Takahashi-Alexander parameters.
+ * @param {object} params
+ * @param {number|Array<number>} params.rateOfContribution - RC per year; the last value applies to later years.
+ * @param {number} params.bow - Bow factor B (higher = later distributions).
+ * @param {number} params.growth - Annual NAV growth rate G (e.g. 0.12).
+ * @param {number} params.lifetime - Fund lifetime L in years; at t = L the remaining NAV is distributed.
+ * @param {number} [params.yield] - Minimum distribution rate Y (default 0).
+ * @returns {object} { calls, distributions, nav } - Arrays of length L, fractions of commitment (4 decimals).
+ * @throws {Error} When the parameters are invalid (see validateTakahashiAlexanderParameters).
+ */
+export function generateTakahashiAlexanderProfile({ rateOfContribution, bow, growth, lifetime, yield: minYield = 0 }) {
+    const errors = validateTakahashiAlexanderParameters({ rateOfContribution, bow, growth, lifetime, yield: minYield });
+    if (errors.length > 0) throw new Error(errors.join(' '));
+    const rates = Array.isArray(rateOfContribution) ? rateOfContribution : [rateOfContribution];
+    const years = Math.round(lifetime);
+
+    const round = (v) => Math.round(v * 10000) / 10000;
+    const calls = [];
+    const distributions = [];
+    const nav = [];
+
+    let paidIn = 0;
+    let prevNav = 0;
+    for (let t = 1; t <= years; t++) {
+        const rc = rates[Math.min(t - 1, rates.length - 1)];
+        const contribution = rc * (1 - paidIn);
+        const rd = Math.max(minYield, Math.pow(t / years, bow));
+        const distribution = Math.min(1, rd) * prevNav * (1 + growth);
+        const currentNav = Math.max(0, prevNav * (1 + growth) + contribution - distribution);
+
+        calls.push(round(contribution));
+        distributions.push(round(distribution));
+        nav.push(round(currentNav));
+
+        paidIn += contribution;
+        prevNav = currentNav;
+    }
+
+    return { calls, distributions, nav };
+}
@@ -0,0 +1,72 @@
+// Dutch corporate tax (VPB) on realised results of the programme.
+//
+// Realised results per commitment follow the cost-recovery method (as in the Context workbooks):
+// distributions first return paid-in capital, only the excess is a gain. A commitment that ends
+// below cost is written off as a loss in its last profile year.
+
+import { DEFAULT_TAX_SETTINGS } from '../config/dummyData.js';
+
+/**
+ * Merges tax settings over the defaults.
+ * @param {object} [taxSettings] - Partial settings (see DEFAULT_TAX_SETTINGS).
+ * @returns {object} Complete settings.
+ */
+export function resolveTaxSettings(taxSettings) {
+    return {
+        ...DEFAULT_TAX_SETTINGS,
+        ...taxSettings,
+        participationExemption: {
+            ...DEFAULT_TAX_SETTINGS.participationExemption,
+            ...taxSettings?.participationExemption
+        }
+    };
+}
+
+/**
+ * Tax on a taxable profit using progressive brackets.
+ * @param {number} profit - Taxable profit (after loss offset).
+ * @param {Array<{upTo: number|null, rate: number}>} brackets - Brackets in ascending order.
+ * @returns {number} Tax due (0 for profit <= 0).
+ */
+export function calculateCorporateTax(profit, brackets = DEFAULT_TAX_SETTINGS.brackets) {
+    if (profit <= 0) return 0;
+    let tax = 0;
+    let lower = 0;
+    for (const { upTo, rate } of brackets) {
+        const upper = upTo === null || upTo === undefined ? Infinity : upTo;
+        if (profit <= lower) break;
+        tax += (Math.min(profit, upper) - lower) * rate;
+        lower = upper;
+    }
+    return tax;
+}
+
+/**
+ * Projects tax per year from the realised results, with loss carry-forward.
+ * @param {Array<number>} realisedResults - Taxable result per year (gains positive, losses negative).
+ * @param {object} settings - Resolved tax settings.
+ * @returns {object} { tax, taxableProfit, lossCarryForward } - Arrays per year.
+ */
+export function projectTax(realisedResults, settings) {
+    const tax = new Array(realisedResults.length).fill(0);
+    const taxableProfit = new Array(realisedResults.length).fill(0);
+    const lossCarryForward = new Array(realisedResults.length).fill(0);
+
+    let lossPool = 0;
+    realisedResults.forEach((result, t) => {
+        if (result < 0) {
+            lossPool += -result;
+        } else if (result > 0) {
+            // Offset limited to the threshold plus a share of the profit above it
+            const threshold = settings.lossOffsetThreshold ?? Infinity;
+            const maxOffset = Math.min(result, threshold) + Math.max(0, result - threshold) * (settings.lossOffsetExcessShare ?? 1);
+            const offset = Math.min(lossPool, maxOffset);
+            lossPool -= offset;
+            taxableProfit[t] = result - offset;
+            tax[t] = calculateCorporateTax(taxableProfit[t], settings.brackets);
+        }
+        lossCarryForward[t] = lossPool;
+    });
+
+    return { tax, taxableProfit, lossCarryForward };
+}
@@ -0,0 +1,136 @@
+// Ticket size constraints: turn a year's category split into commitments a fund would accept.
+//
+// Constraint format per category (see DEFAULT_TICKET_CONSTRAINTS):
+// { minTicket, maxTicket, roundingStep, maxCommitmentsPerYear } - null disables a constraint.
+// A category's amount in a year is committed as one or more tickets (splitIntoTickets).
+
+/**
+ * Largest amount a category can receive in one year (maxTicket x maxCommitmentsPerYear).
+ * @param {object} constraint - Ticket constraint of the category.
+ * @returns {number} Cap (Infinity when unconstrained).
+ */
+export function categoryYearCap(constraint) {
+    if (!constraint?.maxTicket) return Infinity;
+    return constraint.maxTicket * (constraint.maxCommitmentsPerYear || 1);
+}
+
+const roundDown = (amount, step) => (step > 0 ? Math.floor(amount / step + 1e-9) * step : amount);
+
+// Fewest tickets of at most maxTicket that hold the amount
+const ticketCount = (amount, constraint) => (constraint?.maxTicket ? Math.max(1, Math.ceil(amount / constraint.maxTicket - 1e-9)) : 1);
+
+/**
+ * Largest amount up to `amount` that splits into valid tickets: n tickets hold n x minTicket to n x maxTicket, so an
+ * amount in a gap between those ranges (e.g. 11m with tickets of 6m-10m) is cut to the fewer tickets below it.
+ * @param {number} amount - Capped and rounded amount.
+ * @param {object} constraint - Ticket constraint of the category.
+ * @returns {number} Amount that splitIntoTickets can split (0 or below minTicket when no ticket fits).
+ */
+function ticketableAmount(amount, constraint) {
+    const n = ticketCount(amount, constraint);
+    if (n < 2 || amount >= n * (constraint.minTicket || 0)) return amount;
+    return roundDown((n - 1) * constraint.maxTicket, constraint.roundingStep);
+}
+
+/**
+ * Splits a category's yearly amount into the fewest tickets of at most maxTicket, as equal as the rounding step
+ * allows. For amounts from applyTicketConstraints every ticket lies between minTicket and maxTicket and there are
+ * at most maxCommitmentsPerYear of them; manual amounts are split the same way but are not checked.
+ * @param {number} amount - Amount of the category in the year.
+ * @param {object} constraint - Ticket constraint of the category.
+ * @returns {number[]} Ticket amounts (empty when the amount is 0).
+ */
+export function splitIntoTickets(amount, constraint) {
+    if (!(amount > 0)) return [];
+    const n = ticketCount(amount, constraint);
+    const step = constraint?.roundingStep > 0 ? constraint.roundingStep : 0;
+    const base = roundDown(amount / n, step);
+    const tickets = Array(n).fill(base);
+    // Hand out what the rounding left, one step per ticket (the last ticket takes any odd remainder)
+    let rest = amount - base * n;
+    for (let i = 0; step > 0 && i < n && rest >= step - 1e-6; i++) {
+        tickets[i] += step;
+        rest -= step;
+    }
+    tickets[n - 1] += rest;
+    return tickets;
+}
+
+/**
+ * Applies ticket constraints to a year's breakdown.
+ * 1. Each category is capped at maxTicket x maxCommitmentsPerYear, rounded down to its rounding step and cut to an
+ *    amount that splits into tickets between minTicket and maxTicket.
+ * 2. An allocation below minTicket is merged into the largest category that can still take it
+ *    (re-capped, re-rounded and re-cut), or dropped when there is none.
+ * 3. Every category is split into its tickets.
+ * Locked categories (manual overrides) are left untouched and never receive merged amounts.
+ * @param {object} breakdown - { [category]: amount }.
+ * @param {object} constraints - { [category]: constraint }.
+ * @param {Set<string>} [locked] - Categories that must not be changed.
+ * @returns {object} { breakdown, adjustments: [{ category, from, to, reason, mergedInto? }], tickets: { [category]: number[] } }
+ *   reason: 'maxTicket' | 'rounding' | 'ticketSplit' | 'belowMinimum' | 'merged'. tickets only lists categories
+ *   with a constraint and an amount.
+ */
+export function applyTicketConstraints(breakdown, constraints, locked = new Set()) {
+    const result = { ...breakdown };
+    const adjustments = [];
+    if (!constraints) return { breakdown: result, adjustments, tickets: {} };
+
+    const record = (category, from, to, reason, extra = {}) => {
+        if (Math.abs(from - to) >= 0.5) adjustments.push({ category, from, to, reason, ...extra });
+    };
+
+    const free = Object.keys(result).filter(cat => !locked.has(cat) && constraints[cat]);
+
+    // 1. Cap and round
+    free.forEach(cat => {
+        const c = constraints[cat];
+        const original = result[cat];
+        if (original <= 0) return;
+        const capped = Math.min(original, categoryYearCap(c));
+        record(cat, original, capped, 'maxTicket');
+        const rounded = roundDown(capped, c.roundingStep);
+        record(cat, capped, rounded, 'rounding');
+        const split = ticketableAmount(rounded, c);
+        record(cat, rounded, split, 'ticketSplit');
+        result[cat] = split;
+    });
+
+    // 2. Merge or drop allocations below the minimum ticket (smallest first)
+    free.filter(cat => result[cat] > 0 && result[cat] < (constraints[cat].minTicket || 0))
+        .sort((a, b) => result[a] - result[b])
+        .forEach(cat => {
+            const amount = result[cat];
+            if (amount <= 0 || amount >= (constraints[cat].minTicket || 0)) return;
+            result[cat] = 0;
+
+            const target = free
+                .filter(other => other !== cat && result[other] >= (constraints[other].minTicket || 0) && result[other] > 0)
+                .filter(other => result[other] < categoryYearCap(constraints[other]))
+                .sort((a, b) => result[b] - result[a])[0];
+
+            if (!target) {
+                record(cat, amount, 0, 'belowMinimum');
+                return;
+            }
+            const c = constraints[target];
+            const before = result[target];
+            const merged = ticketableAmount(roundDown(Math.min(before + amount, categoryYearCap(c)), c.roundingStep), c);
+            // The cut back to fewer tickets can leave no room for the amount
+            if (merged <= before) {
+                record(cat, amount, 0, 'belowMinimum');
+                return;
+            }
+            result[target] = merged;
+            record(cat, amount, 0, 'belowMinimum', { mergedInto: target });
+            record(target, before, result[target], 'merged', { mergedFrom: cat });
+        });
+
+    // 3. Tickets per category
+    const tickets = {};
+    Object.keys(result).forEach(cat => {
+        if (constraints[cat] && result[cat] > 0) tickets[cat] = splitIntoTickets(result[cat], constraints[cat]);
+    });
+
+    return { breakdown: result, adjustments, tickets };
+}